@@ -0,0 +1,44 @@
+/**
+ * OpenID Connect provider settings, read from the environment on every call.
+ * SSO is enabled when OIDC_ISSUER, OIDC_CLIENT_ID and OIDC_REDIRECT_URI are set.
+ *
+ * OIDC_PROVIDER_NAME       - label for the login button (default "SSO")
+ * OIDC_ISSUER              - issuer URL; endpoints come from its discovery document
+ * OIDC_CLIENT_ID           - client ID registered with the provider
+ * OIDC_CLIENT_SECRET       - client secret (omit for public clients, PKCE is always used)
+ * OIDC_REDIRECT_URI        - frontend callback URL registered with the provider
+ * OIDC_SCOPES              - requested scopes (default "openid email profile")
+ * OIDC_AUTO_PROVISION      - create accounts for first-time SSO users (default true)
+ * OIDC_LINK_EXISTING       - link SSO logins to existing accounts with the same verified email (default true)
+ * OIDC_ALLOWED_DOMAINS     - comma-separated email domains allowed to sign in (default: any)
+ */
+const parseFlag = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return ['true', '1', 'yes'].includes(value.toLowerCase());
+};
+
+const getOidcConfig = () => {
+  const issuer = (process.env.OIDC_ISSUER || '').replace(/\/+$/, '');
+  const clientId = process.env.OIDC_CLIENT_ID || '';
+  const redirectUri = process.env.OIDC_REDIRECT_URI || '';
+
+  return {
+    enabled: Boolean(issuer && clientId && redirectUri),
+    providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+    issuer,
+    clientId,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    redirectUri,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    autoProvision: parseFlag(process.env.OIDC_AUTO_PROVISION, true),
+    linkExisting: parseFlag(process.env.OIDC_LINK_EXISTING, true),
+    allowedDomains: (process.env.OIDC_ALLOWED_DOMAINS || '')
+      .split(',')
+      .map(domain => domain.trim().toLowerCase())
+      .filter(Boolean)
+  };
+};
+
+module.exports = {
+  getOidcConfig
+};
\ No newline at end of file
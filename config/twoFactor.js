@@ -0,0 +1,19 @@
+/**
+ * Two-factor authentication settings, read from the environment on every call.
+ *
+ * TWO_FACTOR_ISSUER             - issuer name shown in authenticator apps
+ * REQUIRE_2FA_FOR_BOARD_OWNERS  - require 2FA before a user can own boards (default: on;
+ *                                 set to false only for local development)
+ */
+const getTwoFactorPolicy = () => {
+  const requireForBoardOwners = (process.env.REQUIRE_2FA_FOR_BOARD_OWNERS || '').toLowerCase();
+
+  return {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'KanbanFlow',
+    requireForBoardOwners: !['false', '0', 'no'].includes(requireForBoardOwners)
+  };
+};
+
+module.exports = {
+  getTwoFactorPolicy
+};
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**
+ * Email verification policy, read from the environment on every call so it
+ * can be changed without touching the code paths that enforce it.
+ *
+ * REQUIRE_VERIFIED_EMAIL_FOR_MEMBERSHIP   - block adding unverified users to boards
+ * REQUIRE_VERIFIED_EMAIL_FOR_PUBLIC_BOARDS - block unverified users from making boards public
+ */
+const parseFlag = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return ['true', '1', 'yes'].includes(value.toLowerCase());
+};
+
+const getEmailVerificationPolicy = () => {
+  return {
+    requireForMembership: parseFlag(process.env.REQUIRE_VERIFIED_EMAIL_FOR_MEMBERSHIP, false),
+    requireForPublicBoards: parseFlag(process.env.REQUIRE_VERIFIED_EMAIL_FOR_PUBLIC_BOARDS, false)
+  };
+};
+
+module.exports = {
+  getEmailVerificationPolicy
+};
\ No newline at end of file
@@ -0,0 +1,346 @@
+const User = require('../models/User');
+const Board = require('../models/Board');
+const List = require('../models/List');
+const Card = require('../models/Card');
+const Workspace = require('../models/Workspace');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const BoardInvitation = require('../models/BoardInvitation');
+const BoardTemplate = require('../models/BoardTemplate');
+const LoginEvent = require('../models/LoginEvent');
+const Activity = require('../models/Activity');
+const { logSecurityEvent } = require('../middleware/logger');
+const { getTwoFactorPolicy } = require('../config/twoFactor');
+const { disconnectUser, emitToBoardMembers } = require('../socket/socketHandlers');
+const { applyOwnershipTransfer } = require('./boardController');
+
+/**
+ * Pick the member who should inherit a board or workspace: the highest role wins,
+ * then whoever joined first
+ * @param {Object} doc - Board or Workspace document
+ * @param {String[]} roles - Roles of the model, least privileged first
+ * @param {Function} canOwn - Whether a member may become the owner
+ * @returns {ObjectId|null} - New owner ID, or null if no other member qualifies
+ */
+const pickSuccessor = (doc, roles, canOwn = () => true) => {
+  let successor = null;
+  let successorRank = -1;
+
+  doc.members.forEach(memberId => {
+    if (memberId.equals(doc.ownerId) || !canOwn(memberId)) return;
+
+    const rank = roles.indexOf(doc.getRole(memberId));
+    if (rank > successorRank) {
+      successor = memberId;
+      successorRank = rank;
+    }
+  });
+
+  return successor;
+};
+
+/**
+ * Export everything the platform stores about the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportAccountData = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const user = await User.findById(userId);
+
+    const ownedBoards = await Board.find({ ownerId: userId }).lean();
+    const ownedBoardIds = ownedBoards.map(board => board._id);
+
+    const [
+      lists,
+      memberBoards,
+      workspaces,
+      cardsCreated,
+      cardsAssigned,
+      cardsWithActivity,
+      sessions,
+      accessTokens,
+      loginHistory,
+      templates
+    ] = await Promise.all([
+      List.find({ boardId: { $in: ownedBoardIds } }).sort({ position: 1 }).lean(),
+      Board.find({ members: userId }).select('name ownerId memberRoles createdAt').lean(),
+      Workspace.find({ $or: [{ ownerId: userId }, { members: userId }] }).select('name ownerId createdAt').lean(),
+      Card.find({ createdBy: userId }).lean(),
+      Card.find({ assignedTo: userId }).select('title boardId listId dueDate completed createdAt').lean(),
+      Card.find({ $or: [{ 'comments.userId': userId }, { 'attachments.uploadedBy': userId }] })
+        .select('title boardId comments attachments')
+        .lean(),
+      Session.find({ userId }).select('-__v').lean(),
+      PersonalAccessToken.find({ userId }).select('-tokenHash -__v').lean(),
+      LoginEvent.findForUser(user, { limit: 1000 }).lean(),
+      BoardTemplate.find({ ownerId: userId }).select('-__v').lean()
+    ]);
+
+    const userIdStr = userId.toString();
+    const comments = [];
+    const attachments = [];
+
+    cardsWithActivity.forEach(card => {
+      card.comments
+        .filter(comment => comment.userId.toString() === userIdStr)
+        .forEach(comment => comments.push({ cardId: card._id, cardTitle: card.title, boardId: card.boardId, ...comment }));
+
+      // Metadata only; the files themselves are served from their URLs
+      card.attachments
+        .filter(attachment => attachment.uploadedBy.toString() === userIdStr)
+        .forEach(attachment => attachments.push({ cardId: card._id, cardTitle: card.title, boardId: card.boardId, ...attachment }));
+    });
+
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      profile: user.toJSON(),
+      boardsOwned: ownedBoards.map(board => ({
+        ...board,
+        lists: lists.filter(list => list.boardId.equals(board._id))
+      })),
+      boardMemberships: memberBoards.map(board => ({
+        _id: board._id,
+        name: board.name,
+        role: board.memberRoles?.[userIdStr] || Board.DEFAULT_MEMBER_ROLE
+      })),
+      workspaces,
+      templates,
+      cardsCreated,
+      cardsAssigned,
+      comments,
+      attachments,
+      sessions,
+      personalAccessTokens: accessTokens,
+      loginHistory
+    };
+
+    logSecurityEvent('account_data_exported', {
+      userId,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    const fileName = `kanbanflow-export-${userId}-${new Date().toISOString().split('T')[0]}.json`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.json({
+      success: true,
+      data: archive
+    });
+
+  } catch (error) {
+    console.error('Export account data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export account data'
+    });
+  }
+};
+
+/**
+ * Delete the current user's account: hand over or delete owned boards and workspaces,
+ * leave every board and workspace, sign out everywhere and anonymize the user record
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteAccount = async (req, res) => {
+  try {
+    const { password, code, recoveryCode, ownedBoards: strategy = 'transfer' } = req.body;
+    const userId = req.user._id;
+
+    const user = await User.findById(userId)
+      .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const passwordMatches = await user.comparePassword(password);
+    const secondFactorOk = !user.twoFactorEnabled || user.verifyTwoFactorCode({ code, recoveryCode });
+
+    if (!passwordMatches || !secondFactorOk) {
+      logSecurityEvent('account_deletion_failed', {
+        userId,
+        reason: passwordMatches ? 'invalid_2fa_code' : 'invalid_password',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: user.twoFactorEnabled
+          ? 'Invalid password or authentication code'
+          : 'Invalid password'
+      });
+    }
+
+    // Owned boards: hand over to the highest-ranking member who may own boards, or delete them
+    const transferredBoards = [];
+    const deletedBoards = [];
+    const ownedBoards = await Board.find({ ownerId: userId });
+
+    const requireTwoFactor = getTwoFactorPolicy().requireForBoardOwners;
+    const candidates = strategy === 'transfer'
+      ? await User.find({ _id: { $in: ownedBoards.flatMap(board => board.members) }, isActive: true })
+        .select('name twoFactorEnabled')
+      : [];
+    const candidatesById = new Map(candidates.map(candidate => [candidate._id.toString(), candidate]));
+    const canOwnBoards = (memberId) => {
+      const candidate = candidatesById.get(memberId.toString());
+      return Boolean(candidate) && (!requireTwoFactor || candidate.twoFactorEnabled);
+    };
+
+    const handovers = ownedBoards.map(board => ({
+      board,
+      successor: strategy === 'transfer' ? pickSuccessor(board, Board.ROLES, canOwnBoards) : null
+    }));
+
+    // Shared boards are never deleted just because no member could take them over
+    const stranded = handovers.filter(({ board, successor }) =>
+      strategy === 'transfer' && !successor && board.members.some(memberId => !memberId.equals(userId))
+    );
+
+    if (stranded.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: requireTwoFactor
+          ? 'No member of these boards can take them over: new owners need two-factor authentication. Transfer them yourself or delete them with ownedBoards: "delete".'
+          : 'No member of these boards can take them over. Transfer them yourself or delete them with ownedBoards: "delete".',
+        data: {
+          boards: stranded.map(({ board }) => ({ _id: board._id, name: board.name }))
+        }
+      });
+    }
+
+    for (const { board, successor } of handovers) {
+      if (successor) {
+        await applyOwnershipTransfer(req, board, candidatesById.get(successor.toString()), 'account_deleted');
+        transferredBoards.push({ boardId: board._id, newOwnerId: successor });
+      } else {
+        await board.deleteOne();
+        deletedBoards.push(board._id);
+      }
+    }
+
+    // Owned workspaces follow the same strategy; deleting one keeps its remaining boards
+    const ownedWorkspaces = await Workspace.find({ ownerId: userId });
+
+    for (const workspace of ownedWorkspaces) {
+      const successor = strategy === 'transfer' ? pickSuccessor(workspace, Workspace.ROLES) : null;
+
+      if (successor) {
+        workspace.removeMember(successor);
+        workspace.ownerId = successor;
+        await workspace.save();
+      } else {
+        await workspace.deleteOne();
+      }
+    }
+
+    // Leave every board and workspace the user is still a member of
+    const userIdStr = userId.toString();
+    const memberBoards = await Board.find({ members: userId }).select('_id');
+    const assignedCards = await Card.find({ assignedTo: userId });
+    await Board.updateMany(
+      { members: userId },
+      { $pull: { members: userId }, $unset: { [`memberRoles.${userIdStr}`]: 1 } }
+    );
+    await Workspace.updateMany(
+      { members: userId },
+      { $pull: { members: userId }, $unset: { [`memberRoles.${userIdStr}`]: 1 } }
+    );
+    await Card.updateMany({ assignedTo: userId }, { $pull: { assignedTo: userId } });
+
+    memberBoards.forEach(board => {
+      emitToBoardMembers(req, board._id, 'member-removed', {
+        boardId: board._id,
+        removedMemberId: userId,
+        reason: 'account_deleted',
+        removedBy: {
+          userId,
+          userName: user.name
+        }
+      });
+    });
+
+    const unassignedCards = await Card.find({ _id: { $in: assignedCards.map(card => card._id) } })
+      .populate('assignedTo', 'name email avatarUrl')
+      .populate('completedBy', 'name email avatarUrl');
+    const previousCards = new Map(assignedCards.map(card => [card._id.toString(), card]));
+
+    unassignedCards.forEach(card => {
+      emitToBoardMembers(req, card.boardId, 'card-updated', {
+        card,
+        previous: previousCards.get(card._id.toString()),
+        updatedBy: {
+          userId,
+          userName: user.name
+        }
+      });
+    });
+    await Card.updateMany({ votes: userId }, { $pull: { votes: userId }, $inc: { voteCount: -1 } });
+    await Board.updateMany(
+      { 'ownershipTransfer.toUserId': userId },
+      { $set: { ownershipTransfer: { toUserId: null, requestedBy: null, requestedAt: null, expiresAt: null } } }
+    );
+    await BoardTemplate.deleteMany({ ownerId: userId });
+
+    // Invitations the user sent can no longer be trusted
+    await BoardInvitation.updateMany(
+      { invitedBy: userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    // Sign out everywhere and drop credentials
+    await RefreshToken.revokeAllForUser(userId, 'account_deleted');
+    await PersonalAccessToken.updateMany(
+      { userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    await LoginEvent.deleteMany({ $or: [{ userId }, { email: user.email }] });
+    await Activity.anonymizeUser(userId, user.email);
+
+    // Cards and comments keep pointing at this record, which no longer holds personal data
+    user.anonymize();
+    await user.save({ validateBeforeSave: false });
+
+    if (req.io) {
+      disconnectUser(req.io, userId);
+    }
+
+    logSecurityEvent('account_deleted', {
+      userId,
+      strategy,
+      transferredBoards: transferredBoards.length,
+      deletedBoards: deletedBoards.length,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully',
+      data: {
+        transferredBoards,
+        deletedBoards
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete account'
+    });
+  }
+};
+
+module.exports = {
+  exportAccountData,
+  deleteAccount
+};
\ No newline at end of file
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+
+/**
+ * Send a page of activities matching a filter. Pages are newest first; pass the
+ * previous page's nextCursor as ?before= to continue.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} filter - Activity query
+ */
+const sendActivityPage = async (req, res, filter) => {
+  const { before, limit } = req.query;
+
+  if (before && !mongoose.Types.ObjectId.isValid(before)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid cursor'
+    });
+  }
+
+  const { activities, nextCursor, hasMore } = await Activity.page(filter, { before, limit });
+
+  res.json({
+    success: true,
+    data: {
+      activities,
+      pagination: {
+        nextCursor,
+        hasMore
+      }
+    }
+  });
+};
+
+/**
+ * Get a board's activity feed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBoardActivity = async (req, res) => {
+  try {
+    // Board access was checked by requireBoardRole
+    await sendActivityPage(req, res, { boardId: req.board._id });
+
+  } catch (error) {
+    console.error('Get board activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch board activity'
+    });
+  }
+};
+
+/**
+ * Get the history of a single card
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCardActivity = async (req, res) => {
+  try {
+    // Card and board access are resolved by requireBoardRole
+    await sendActivityPage(req, res, { boardId: req.board._id, cardId: req.card._id });
+
+  } catch (error) {
+    console.error('Get card activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch card activity'
+    });
+  }
+};
+
+module.exports = {
+  getBoardActivity,
+  getCardActivity
+};
\ No newline at end of file
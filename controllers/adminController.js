@@ -0,0 +1,486 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Board = require('../models/Board');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const LoginEvent = require('../models/LoginEvent');
+const { logSecurityEvent } = require('../middleware/logger');
+const { sendMail, buildFrontendUrl } = require('../utils/mailer');
+const { disconnectUser } = require('../socket/socketHandlers');
+const { applyOwnershipTransfer } = require('./boardController');
+const { getTwoFactorPolicy } = require('../config/twoFactor');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Read page and limit from the query string
+ * @param {Object} query - Express query object
+ * @returns {Object} - { page, limit, skip }
+ */
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_PAGE_SIZE);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {String} value - Raw user input
+ * @returns {String} - Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Load the target user for an admin action, sending a 404 if it doesn't exist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - User document
+ */
+const findTargetUser = async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Common fields for admin security log entries
+ * @param {Object} req - Express request object
+ * @param {Object} user - Target user
+ * @returns {Object} - Log details
+ */
+const auditDetails = (req, user) => ({
+  adminId: req.user._id,
+  userId: user._id,
+  email: user.email,
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+/**
+ * Search and page through users
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUsers = async (req, res) => {
+  try {
+    const { search, role, status } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+    const query = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search.trim()), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (role) {
+      query.role = role;
+    }
+
+    if (status === 'active') {
+      query.isActive = true;
+    } else if (status === 'inactive') {
+      query.isActive = false;
+    } else if (status === 'locked') {
+      query.lockUntil = { $gt: new Date() };
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('+loginAttempts +lockUntil')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(user => ({
+          ...user.toJSON(),
+          isLocked: user.isLocked,
+          lockUntil: user.lockUntil || null
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users'
+    });
+  }
+};
+
+/**
+ * Get a single user with account details
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('+loginAttempts +lockUntil');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [ownedBoards, memberBoards, activeSessions] = await Promise.all([
+      Board.countDocuments({ ownerId: user._id }),
+      Board.countDocuments({ members: user._id }),
+      Session.countDocuments({ userId: user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...user.toJSON(),
+        isLocked: user.isLocked,
+        loginAttempts: user.loginAttempts,
+        lockUntil: user.lockUntil || null,
+        stats: {
+          ownedBoards,
+          memberBoards,
+          activeSessions
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user'
+    });
+  }
+};
+
+/**
+ * Deactivate or reactivate a user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateUserStatus = async (req, res) => {
+  try {
+    const { isActive, reason } = req.body;
+
+    if (!isActive && req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deleted accounts cannot be reactivated'
+      });
+    }
+
+    user.isActive = isActive;
+    await user.save({ validateBeforeSave: false });
+
+    // A deactivated user is signed out everywhere immediately
+    if (!isActive) {
+      await RefreshToken.revokeAllForUser(user._id, 'account_deactivated');
+      if (req.io) {
+        disconnectUser(req.io, user._id);
+      }
+    }
+
+    logSecurityEvent(isActive ? 'admin_user_reactivated' : 'admin_user_deactivated', {
+      ...auditDetails(req, user),
+      reason: reason || null
+    });
+
+    res.json({
+      success: true,
+      message: isActive ? 'User reactivated successfully' : 'User deactivated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Admin update user status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user status'
+    });
+  }
+};
+
+/**
+ * Unlock an account locked by too many failed logins
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    await user.updateOne({
+      $set: { loginAttempts: 0 },
+      $unset: { lockUntil: 1 }
+    });
+
+    logSecurityEvent('admin_user_unlocked', auditDetails(req, user));
+
+    res.json({
+      success: true,
+      message: 'User account unlocked successfully'
+    });
+
+  } catch (error) {
+    console.error('Admin unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user'
+    });
+  }
+};
+
+/**
+ * Force a password reset: the current password stops working, every session is
+ * signed out and the user is emailed a reset link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const forcePasswordReset = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    // Replace the password with an unguessable one so only the reset link gets the user back in
+    user.password = crypto.randomBytes(32).toString('hex');
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    await RefreshToken.revokeAllForUser(user._id, 'password_reset_forced');
+    if (req.io) {
+      disconnectUser(req.io, user._id);
+    }
+
+    let emailSent = true;
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your KanbanFlow password must be reset',
+        text: `Hi ${user.name},\n\n` +
+          'An administrator has required you to choose a new KanbanFlow password. ' +
+          `Your old password no longer works. Use the link below to choose a new one:\n\n` +
+          `${buildFrontendUrl('/reset-password', { token: resetToken })}\n\n` +
+          'If the link has expired, use "Forgot password" on the login page.'
+      });
+    } catch (mailError) {
+      emailSent = false;
+      console.error('Forced password reset mail error:', mailError);
+    }
+
+    logSecurityEvent('admin_password_reset_forced', {
+      ...auditDetails(req, user),
+      emailSent
+    });
+
+    res.json({
+      success: true,
+      message: emailSent
+        ? 'Password reset forced and reset link sent'
+        : 'Password reset forced, but the email could not be sent. The user can use "Forgot password".'
+    });
+
+  } catch (error) {
+    console.error('Admin force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to force password reset'
+    });
+  }
+};
+
+/**
+ * Change a user's platform role
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    logSecurityEvent('admin_user_role_changed', {
+      ...auditDetails(req, user),
+      previousRole,
+      role
+    });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Admin update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user role'
+    });
+  }
+};
+
+/**
+ * Get a user's login history (successful and failed attempts)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUserLoginHistory = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { page, limit, skip } = getPagination(req.query);
+    const events = await LoginEvent.findForUser(user, { skip, limit });
+
+    logSecurityEvent('admin_login_history_viewed', auditDetails(req, user));
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          page,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch login history'
+    });
+  }
+};
+
+/**
+ * Transfer a board to a new owner without their acceptance, e.g. when the owner has
+ * left. The previous owner stays on the board as an admin.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const transferBoardOwnership = async (req, res) => {
+  try {
+    const { userId, reason } = req.body;
+
+    const board = await Board.findById(req.params.id);
+
+    if (!board) {
+      return res.status(404).json({
+        success: false,
+        message: 'Board not found'
+      });
+    }
+
+    if (board.isOwner(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user already owns the board'
+      });
+    }
+
+    const newOwner = await User.findById(userId);
+
+    if (!newOwner || !newOwner.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Boards can only be transferred to an active user'
+      });
+    }
+
+    // Same rule as accepting a transfer: the new owner must be able to manage the board
+    if (getTwoFactorPolicy().requireForBoardOwners && !newOwner.twoFactorEnabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'The new owner must enable two-factor authentication before taking over the board'
+      });
+    }
+
+    const previousOwnerId = board.ownerId;
+    await applyOwnershipTransfer(req, board, newOwner, 'admin_override');
+
+    logSecurityEvent('admin_board_ownership_transferred', {
+      adminId: req.user._id,
+      boardId: board._id,
+      previousOwnerId,
+      newOwnerId: newOwner._id,
+      reason: reason || null,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Board ownership transferred successfully',
+      data: {
+        boardId: board._id,
+        ownerId: board.ownerId,
+        previousOwnerId
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin transfer board ownership error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to transfer board ownership'
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUser,
+  updateUserStatus,
+  unlockUser,
+  forcePasswordReset,
+  updateUserRole,
+  getUserLoginHistory,
+  transferBoardOwnership
+};
\ No newline at end of file
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const List = require('../models/List');
+const { computeBoardAnalytics } = require('../utils/boardAnalytics');
+
+// Default and longest date ranges, in days
+const DEFAULT_RANGE_DAYS = 84;
+const MAX_RANGE_DAYS = 730;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a date from the query string
+ * @param {String} value - Date string
+ * @returns {Date|null} - Date, or null if missing or invalid
+ */
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Get a board's flow metrics: lead time and cycle time (average and percentiles, in
+ * days), weekly throughput, and breakdowns per assignee and per label. Filters:
+ * ?from=&to= (completion dates; defaults to the last 12 weeks) and ?lists=<id>,<id>.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBoardAnalytics = async (req, res) => {
+  try {
+    // Board access was checked by requireBoardRole
+    const board = req.board;
+
+    if ((req.query.from && !parseDate(req.query.from)) || (req.query.to && !parseDate(req.query.to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    const to = parseDate(req.query.to) || new Date();
+    const from = parseDate(req.query.from) || new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: `The date range cannot exceed ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    let listIds = null;
+    if (req.query.lists) {
+      const ids = [...new Set(String(req.query.lists).split(',').map(id => id.trim()).filter(Boolean))];
+
+      if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid list ID'
+        });
+      }
+
+      const lists = await List.find({ _id: { $in: ids }, boardId: board._id }).select('_id');
+      if (lists.length !== ids.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Lists must belong to this board'
+        });
+      }
+
+      listIds = lists.map(list => list._id);
+    }
+
+    const analytics = await computeBoardAnalytics(board, { from, to, listIds });
+
+    res.json({
+      success: true,
+      data: {
+        boardId: board._id,
+        range: { from, to },
+        lists: listIds,
+        ...analytics
+      }
+    });
+
+  } catch (error) {
+    console.error('Get board analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute board analytics'
+    });
+  }
+};
+
+module.exports = {
+  getBoardAnalytics
+};
\ No newline at end of file
@@ -1,6 +1,12 @@
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const BoardInvitation = require('../models/BoardInvitation');
+const LoginEvent = require('../models/LoginEvent');
 const { validationResult } = require('express-validator');
-const { logSecurityEvent } = require('../middleware/logger');
+const { logSecurityEvent, getClientIP } = require('../middleware/logger');
+const { sendMail, buildFrontendUrl } = require('../utils/mailer');
+const { disconnectUser } = require('../socket/socketHandlers');
+const { acceptPendingInvitations } = require('./invitationController');
 const rateLimit = require('express-rate-limit');
 
 // Rate limiting for authentication endpoints
@@ -22,6 +28,23 @@ const strictAuthLimiter = rateLimit({
   }
 });
 
+/**
+ * Email a verification link to the user
+ * @param {Object} user - User document
+ * @param {String} token - Raw verification token
+ */
+const sendVerificationEmail = async (user, token) => {
+  const verifyUrl = buildFrontendUrl(`/verify-email/${token}`);
+  
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your KanbanFlow email address',
+    text: `Hi ${user.name},\n\n` +
+      `Please confirm your email address by opening the link below:\n\n${verifyUrl}\n\n` +
+      'If you did not create a KanbanFlow account or change your email, you can ignore this email.'
+  });
+};
+
 /**
  * Register a new user
  * @param {Object} req - Express request object
@@ -45,7 +68,7 @@ const register = async (req, res) => {
       });
     }
     
-    const { name, email, password } = req.body;
+    const { name, email, password, inviteToken } = req.body;
     
     // Check if user already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
@@ -69,10 +92,32 @@ const register = async (req, res) => {
       password
     });
     
-    await user.save();
+    // Signing up from an emailed invitation proves the address, so no verification mail is needed
+    const invitation = inviteToken ? await BoardInvitation.findActiveByToken(inviteToken) : null;
+    const invitedByEmail = invitation?.type === 'email' && invitation.email === user.email;
+    
+    if (invitedByEmail) {
+      user.emailVerified = true;
+      await user.save();
+    } else {
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
+      
+      // A failed verification email must not fail the registration; the user can resend it
+      try {
+        await sendVerificationEmail(user, verificationToken);
+      } catch (mailError) {
+        console.error('Verification mail error:', mailError);
+      }
+    }
     
-    // Generate JWT token
-    const token = user.generateAuthToken();
+    const joinedBoards = await acceptPendingInvitations(req, user);
+    
+    // Issue access and refresh tokens
+    const { token, refreshToken, expiresAt } = await RefreshToken.issueFor(user, {
+      ip: getClientIP(req),
+      userAgent: req.get('User-Agent')
+    });
     
     // Log successful registration
     logSecurityEvent('user_registered', {
@@ -91,7 +136,10 @@ const register = async (req, res) => {
       message: 'User registered successfully',
       data: {
         user: userResponse,
-        token
+        token,
+        refreshToken,
+        expiresAt,
+        joinedBoards: joinedBoards.map(board => board._id)
       }
     });
     
@@ -148,8 +196,38 @@ const login = async (req, res) => {
       // Find user by credentials
       const user = await User.findByCredentials(email, password);
       
-      // Generate JWT token
-      const token = user.generateAuthToken();
+      // Second step required: hand out a short-lived challenge instead of tokens
+      if (user.twoFactorEnabled) {
+        logSecurityEvent('login_2fa_challenge_issued', {
+          userId: user._id,
+          ip: req.ip,
+          userAgent: req.get('User-Agent')
+        });
+        
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: {
+            twoFactorRequired: true,
+            challengeToken: user.generateTwoFactorChallenge()
+          }
+        });
+      }
+      
+      // Issue access and refresh tokens
+      const { token, refreshToken, expiresAt } = await RefreshToken.issueFor(user, {
+        ip: getClientIP(req),
+        userAgent: req.get('User-Agent')
+      });
+      
+      const joinedBoards = await acceptPendingInvitations(req, user);
+      
+      await LoginEvent.record(req, {
+        userId: user._id,
+        email: user.email,
+        success: true,
+        method: 'password'
+      });
       
       // Log successful login
       logSecurityEvent('user_logged_in', {
@@ -167,7 +245,10 @@ const login = async (req, res) => {
         message: 'Login successful',
         data: {
           user: userResponse,
-          token
+          token,
+          refreshToken,
+          expiresAt,
+          joinedBoards: joinedBoards.map(board => board._id)
         }
       });
       
@@ -180,6 +261,13 @@ const login = async (req, res) => {
         userAgent: req.get('User-Agent')
       });
       
+      await LoginEvent.record(req, {
+        email,
+        success: false,
+        method: 'password',
+        reason: loginError.message
+      });
+      
       // Return generic error message for security
       return res.status(401).json({
         success: false,
@@ -203,6 +291,54 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    try {
+      const issued = await RefreshToken.rotate(refreshToken, {
+        ip: getClientIP(req),
+        userAgent: req.get('User-Agent')
+      });
+      
+      res.json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: {
+          token: issued.token,
+          refreshToken: issued.refreshToken,
+          expiresAt: issued.expiresAt
+        }
+      });
+      
+    } catch (refreshError) {
+      logSecurityEvent(refreshError.reuseDetected ? 'refresh_token_reuse' : 'refresh_token_rejected', {
+        userId: refreshError.userId,
+        error: refreshError.message,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token, please login again'
+      });
+    }
+    
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token'
+    });
+  }
+};
+
 /**
  * Get current user profile
  * @param {Object} req - Express request object
@@ -263,9 +399,22 @@ const updateProfile = async (req, res) => {
     if (email) updateData.email = email.toLowerCase().trim();
     if (avatarUrl !== undefined) updateData.avatarUrl = avatarUrl;
     
+    // A changed email address has to be verified again
+    const emailChanged = updateData.email && updateData.email !== req.user.email;
+    const verificationUpdate = {};
+    let verificationToken = null;
+    
+    if (emailChanged) {
+      const generated = User.generateEmailVerificationToken();
+      verificationToken = generated.token;
+      verificationUpdate.emailVerified = false;
+      verificationUpdate.emailVerificationToken = generated.hashedToken;
+      verificationUpdate.emailVerificationExpires = generated.expires;
+    }
+    
     const user = await User.findByIdAndUpdate(
       userId,
-      updateData,
+      { ...updateData, ...verificationUpdate },
       { new: true, runValidators: true }
     );
     
@@ -276,9 +425,18 @@ const updateProfile = async (req, res) => {
       });
     }
     
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user, verificationToken);
+      } catch (mailError) {
+        console.error('Verification mail error:', mailError);
+      }
+    }
+    
     logSecurityEvent('profile_updated', {
       userId: user._id,
       updatedFields: Object.keys(updateData),
+      emailChanged: !!emailChanged,
       ip: req.ip,
       userAgent: req.get('User-Agent')
     });
@@ -306,6 +464,106 @@ const updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * Verify email address using the token from the verification email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findByEmailVerificationToken(req.params.token);
+    
+    if (!user) {
+      logSecurityEvent('email_verification_failed', {
+        reason: 'invalid_or_expired_token',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+    
+    user.emailVerified = true;
+    user.emailVerificationToken = null;
+    user.emailVerificationExpires = null;
+    await user.save({ validateBeforeSave: false });
+    
+    logSecurityEvent('email_verified', {
+      userId: user._id,
+      email: user.email,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    // Invitations sent to this address can now be trusted
+    await acceptPendingInvitations(req, user);
+    
+    res.json({
+      success: true,
+      message: 'Email address verified successfully',
+      data: user
+    });
+    
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email address'
+    });
+  }
+};
+
+/**
+ * Resend the email verification link to the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+    
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    
+    await sendVerificationEmail(user, verificationToken);
+    
+    logSecurityEvent('email_verification_resent', {
+      userId: user._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+    
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+};
+
 /**
  * Change user password
  * @param {Object} req - Express request object
@@ -346,15 +604,29 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
     
+    // Kill every outstanding token, then keep the current client signed in
+    const revokedCount = await RefreshToken.revokeAllForUser(user._id, 'password_changed');
+    disconnectUser(req.io, user._id);
+    const { token, refreshToken, expiresAt } = await RefreshToken.issueFor(user, {
+      ip: getClientIP(req),
+      userAgent: req.get('User-Agent')
+    });
+    
     logSecurityEvent('password_changed', {
       userId: user._id,
+      revokedTokens: revokedCount,
       ip: req.ip,
       userAgent: req.get('User-Agent')
     });
     
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken,
+        expiresAt
+      }
     });
     
   } catch (error) {
@@ -367,14 +639,147 @@ const changePassword = async (req, res) => {
 };
 
 /**
- * Logout user (client-side token removal)
+ * Request a password reset email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const forgotPassword = async (req, res) => {
+  // Same response whether or not the account exists, to avoid email enumeration
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  };
+  
+  try {
+    const email = req.body.email.toLowerCase().trim();
+    const user = await User.findOne({ email });
+    
+    if (!user || !user.isActive) {
+      logSecurityEvent('password_reset_requested_unknown', {
+        email,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      return res.json(genericResponse);
+    }
+    
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+    
+    const resetUrl = buildFrontendUrl('/reset-password', { token: resetToken });
+    
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your KanbanFlow password',
+        text: `Hi ${user.name},\n\n` +
+          'We received a request to reset your KanbanFlow password. ' +
+          `Use the link below to choose a new one:\n\n${resetUrl}\n\n` +
+          'This link expires soon and can only be used once. ' +
+          'If you did not request a password reset, you can ignore this email.'
+      });
+    } catch (mailError) {
+      console.error('Password reset mail error:', mailError);
+      
+      // Don't leave a usable token behind if the user never received it
+      user.passwordResetToken = null;
+      user.passwordResetExpires = null;
+      await user.save({ validateBeforeSave: false });
+      
+      logSecurityEvent('password_reset_mail_failed', {
+        userId: user._id,
+        error: mailError.message,
+        ip: req.ip
+      });
+      return res.json(genericResponse);
+    }
+    
+    logSecurityEvent('password_reset_requested', {
+      userId: user._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    res.json(genericResponse);
+    
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request'
+    });
+  }
+};
+
+/**
+ * Reset password using a token from the reset email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    const user = await User.findByPasswordResetToken(token);
+    
+    if (!user) {
+      logSecurityEvent('password_reset_failed', {
+        reason: 'invalid_or_expired_token',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+    
+    // Tokens are single-use: clear them together with any lockout
+    user.password = password;
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+    
+    const revokedCount = await RefreshToken.revokeAllForUser(user._id, 'password_reset');
+    disconnectUser(req.io, user._id);
+    
+    logSecurityEvent('password_reset_completed', {
+      userId: user._id,
+      revokedTokens: revokedCount,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully. Please login with your new password.'
+    });
+    
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+};
+
+/**
+ * Logout user and revoke every outstanding token
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const logout = async (req, res) => {
   try {
+    const revokedCount = await RefreshToken.revokeAllForUser(req.user._id, 'logout');
+    disconnectUser(req.io, req.user._id);
+    
     logSecurityEvent('user_logged_out', {
       userId: req.user._id,
+      revokedTokens: revokedCount,
       ip: req.ip,
       userAgent: req.get('User-Agent')
     });
@@ -426,9 +831,14 @@ const getUserStats = async (req, res) => {
 module.exports = {
   register,
   login,
+  refresh,
   getProfile,
   updateProfile,
+  verifyEmail,
+  resendVerificationEmail,
   changePassword,
+  forgotPassword,
+  resetPassword,
   logout,
   getUserStats,
   authLimiter,
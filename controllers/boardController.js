@@ -1,32 +1,110 @@
+const mongoose = require('mongoose');
 const Board = require('../models/Board');
 const List = require('../models/List');
 const Card = require('../models/Card');
 const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const BoardTemplate = require('../models/BoardTemplate');
 const { validationResult } = require('express-validator');
-const { emitToBoardMembers } = require('../socket/socketHandlers');
+const { emitToBoardMembers, emitToUser } = require('../socket/socketHandlers');
+const { logSecurityEvent } = require('../middleware/logger');
+const { sendMail, buildFrontendUrl } = require('../utils/mailer');
+const { getEmailVerificationPolicy } = require('../config/verification');
+const { getTwoFactorPolicy } = require('../config/twoFactor');
+const { buildCustomFieldFilter } = require('../utils/customFields');
+const { createInvitation } = require('./invitationController');
+
+const OWNERSHIP_TRANSFER_EXPIRES_DAYS = parseInt(process.env.BOARD_TRANSFER_EXPIRES_DAYS) || 7;
 
 /**
- * Get all boards for the authenticated user
+ * Check that a user may put a board into a workspace
+ * @param {String} workspaceId - Workspace ID
+ * @param {Object} user - User document
+ * @returns {Promise<Object|null>} - The workspace, or null if it doesn't exist or the user isn't a member
+ */
+const findWorkspaceForBoard = async (workspaceId, user) => {
+  const workspace = await Workspace.findById(workspaceId);
+  return workspace && workspace.getRole(user._id) ? workspace : null;
+};
+
+/**
+ * Build the query for every board a user can see: boards they own or are a member of,
+ * workspace-visible boards of their workspaces and all boards of workspaces they administer
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} - { query, workspaces }
+ */
+const buildAccessibleBoardsQuery = async (userId) => {
+  const workspaces = await Workspace.findByUser(userId).select('name ownerId members memberRoles');
+  const workspaceIds = workspaces.map(workspace => workspace._id);
+  const adminWorkspaceIds = workspaces
+    .filter(workspace => workspace.hasRole(userId, 'admin'))
+    .map(workspace => workspace._id);
+  
+  const query = {
+    $or: [
+      { ownerId: userId },
+      { members: userId },
+      { workspaceId: { $in: workspaceIds }, workspaceVisible: true },
+      { workspaceId: { $in: adminWorkspaceIds } }
+    ]
+  };
+  
+  return { query, workspaces };
+};
+
+/**
+ * Get all boards for the authenticated user, in the user's own order with their stars and pins
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const getBoards = async (req, res) => {
   try {
     const userId = req.user._id;
+    const { workspace: workspaceFilter, groupBy } = req.query;
     
-    //const boards = await Board.findByUser(userId);
-     // Find boards where the user's ID is in the 'members' array OR is the 'ownerId'.
-    const boards = await Board.find({
-      $or: [
-        { ownerId: userId },
-        { members: userId }
-      ]
-    }).populate('ownerId', 'name email avatarUrl')
-      .populate('members', 'name email avatarUrl');
+    if (workspaceFilter && workspaceFilter !== 'none' && !mongoose.Types.ObjectId.isValid(workspaceFilter)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid workspace ID'
+      });
+    }
+    
+    const { query, workspaces } = await buildAccessibleBoardsQuery(userId);
+    query.archived = false;
+    
+    if (workspaceFilter === 'none') {
+      query.workspaceId = null;
+    } else if (workspaceFilter) {
+      query.workspaceId = workspaceFilter;
+    }
+    
+    const boards = req.user.sortBoards(
+      await Board.find(query)
+        .populate('ownerId', 'name email avatarUrl')
+        .populate('members', 'name email avatarUrl')
+    );
+    
+    if (groupBy !== 'workspace') {
+      return res.json({
+        success: true,
+        data: boards
+      });
+    }
+    
+    // One group per workspace (including empty ones), then standalone boards
+    const groups = workspaces.map(workspace => ({
+      workspace: { _id: workspace._id, name: workspace.name },
+      boards: boards.filter(board => board.workspaceId && board.workspaceId.equals(workspace._id))
+    }));
+    
+    groups.push({
+      workspace: null,
+      boards: boards.filter(board => !board.workspaceId)
+    });
     
     res.json({
       success: true,
-      data: boards
+      data: workspaceFilter ? groups.filter(group => group.boards.length > 0) : groups
     });
     
   } catch (error) {
@@ -38,6 +116,155 @@ const getBoards = async (req, res) => {
   }
 };
 
+/**
+ * Get the archived boards the authenticated user can access, most recently archived first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getArchivedBoards = async (req, res) => {
+  try {
+    const { query } = await buildAccessibleBoardsQuery(req.user._id);
+    query.archived = true;
+    
+    const boards = await Board.find(query)
+      .populate('ownerId', 'name email avatarUrl')
+      .populate('archivedBy', 'name email avatarUrl')
+      .sort({ archivedAt: -1 });
+    
+    res.json({
+      success: true,
+      data: boards
+    });
+    
+  } catch (error) {
+    console.error('Get archived boards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch archived boards'
+    });
+  }
+};
+
+/**
+ * Archive/Unarchive a board. Archived boards are hidden from board lists and read-only.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const archiveBoard = async (req, res) => {
+  try {
+    const { archived } = req.body;
+    
+    // Ownership was checked by isBoardOwner
+    const board = req.board;
+    
+    if (board.archived === archived) {
+      return res.status(400).json({
+        success: false,
+        message: archived ? 'Board is already archived' : 'Board is not archived'
+      });
+    }
+    
+    board.archived = archived;
+    board.archivedAt = archived ? new Date() : null;
+    board.archivedBy = archived ? req.user._id : null;
+    await board.save();
+    
+    emitToBoardMembers(req, board._id, 'board-archived', {
+      boardId: board._id,
+      archived,
+      archivedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: `Board ${archived ? 'archived' : 'restored'} successfully`,
+      data: board
+    });
+    
+  } catch (error) {
+    console.error('Archive board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to archive board'
+    });
+  }
+};
+
+/**
+ * Star/unstar or pin/unpin a board for the authenticated user only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateBoardPreferences = async (req, res) => {
+  try {
+    const { starred, pinned } = req.body;
+    
+    // Access was checked by requireBoardRole
+    const preference = req.user.setBoardPreference(req.board._id, { starred, pinned });
+    await req.user.save({ validateBeforeSave: false });
+    
+    res.json({
+      success: true,
+      message: 'Board preferences updated successfully',
+      data: {
+        boardId: req.board._id,
+        ...preference
+      }
+    });
+    
+  } catch (error) {
+    console.error('Update board preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update board preferences'
+    });
+  }
+};
+
+/**
+ * Set the authenticated user's manual board order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reorderBoards = async (req, res) => {
+  try {
+    const { boardIds } = req.body;
+    const { query } = await buildAccessibleBoardsQuery(req.user._id);
+    
+    const accessibleCount = await Board.countDocuments({
+      $and: [{ _id: { $in: boardIds } }, query]
+    });
+    
+    if (accessibleCount !== boardIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more boards were not found'
+      });
+    }
+    
+    req.user.setBoardOrder(boardIds);
+    await req.user.save({ validateBeforeSave: false });
+    
+    res.json({
+      success: true,
+      message: 'Board order updated successfully',
+      data: {
+        boardIds
+      }
+    });
+    
+  } catch (error) {
+    console.error('Reorder boards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder boards'
+    });
+  }
+};
+
 /**
  * Get a specific board with lists and cards
  * @param {Object} req - Express request object
@@ -46,7 +273,6 @@ const getBoards = async (req, res) => {
 const getBoard = async (req, res) => {
   try {
     const boardId = req.params.id;
-    const userId = req.user._id;
     
     const board = await Board.findById(boardId)
       .populate('ownerId', 'name email avatarUrl')
@@ -59,23 +285,18 @@ const getBoard = async (req, res) => {
       });
     }
     
-    // Check if user has access to the board
-    const isOwner = board.ownerId._id.toString() === userId.toString();
-    const isMember = board.members.some(member => member._id.toString() === userId.toString());
-
-    if (!isOwner && !isMember && !board.isPublic) {
-      return res.status(403).json({
-      success: false,
-      message: 'Access denied to this board'
+    // Access (including through a workspace) was checked by requireBoardRole
+    // Get lists with cards (?sortCards=votes or field:<fieldId>[:desc], ?field[<fieldId>]=value)
+    const lists = await List.getWithCards(boardId, {
+      cardSort: Card.sortOrder(req.query.sortCards, board),
+      cardFilter: buildCustomFieldFilter(board, req.query.field, req.user)
     });
-    }
-    
-    // Get lists with cards
-    const lists = await List.getWithCards(boardId);
     
     // Add lists to board response
     const boardResponse = board.toJSON();
-    boardResponse.lists = lists;
+    boardResponse.lists = lists.map(list => list.toBoardJSON(board, req.user._id));
+    boardResponse.myRole = req.boardRole;
+    Object.assign(boardResponse, req.user.getBoardPreference(board._id));
     
     res.json({
       success: true,
@@ -83,6 +304,13 @@ const getBoard = async (req, res) => {
     });
     
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     console.error('Get board error:', error);
     res.status(500).json({
       success: false,
@@ -107,28 +335,97 @@ const createBoard = async (req, res) => {
       });
     }
     
-    const { name, description, isPublic, backgroundColor, backgroundImage } = req.body;
+    const { backgroundImage, workspaceId = null, templateId } = req.body;
     const userId = req.user._id;
+    const visibility = req.body.visibility || (req.body.isPublic ? 'public' : 'private');
+    const { isPublic, workspaceVisible } = Board.visibilityFields(visibility);
+    
+    if (getTwoFactorPolicy().requireForBoardOwners && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please enable two-factor authentication before creating boards'
+      });
+    }
+    
+    if (isPublic && getEmailVerificationPolicy().requireForPublicBoards && !req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before creating public boards'
+      });
+    }
+    
+    if (workspaceId && !(await findWorkspaceForBoard(workspaceId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only create boards in workspaces you belong to'
+      });
+    }
+    
+    if (workspaceVisible && !workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only boards in a workspace can be visible to the workspace'
+      });
+    }
+    
+    const template = templateId ? await BoardTemplate.findById(templateId) : null;
+    
+    if (templateId && (!template || !(await template.isAvailableTo(userId)))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+    
+    // Fields left out of the request come from the template
+    const name = req.body.name || template.name;
+    const description = req.body.description ?? template?.description;
+    const backgroundColor = req.body.backgroundColor || template?.backgroundColor;
     
     const board = new Board({
       name: name.trim(),
       description: description?.trim() || '',
       ownerId: userId,
       members: [userId],
-      isPublic: isPublic || false,
+      workspaceId,
+      isPublic,
+      workspaceVisible,
       backgroundColor: backgroundColor || '#0079bf',
-      backgroundImage: backgroundImage || null
+      backgroundImage: backgroundImage || null,
+      settings: template ? template.settings : undefined
     });
     
     await board.save();
     
+    let created = null;
+    if (template) {
+      try {
+        created = await template.applyTo(board, userId);
+      } catch (error) {
+        // Don't leave a half-built board behind
+        await board.deleteOne();
+        throw error;
+      }
+    }
+    
+    emitToBoardMembers(req, board._id, 'board-created', {
+      board,
+      source: template ? { type: 'template', templateId: template._id } : null,
+      createdBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
+    
     // Populate owner information
     await board.populate('ownerId', 'name email avatarUrl');
     
     res.status(201).json({
       success: true,
-      message: 'Board created successfully',
-      data: board
+      message: template ? 'Board created from template successfully' : 'Board created successfully',
+      data: template
+        ? { ...board.toJSON(), template: { _id: template._id, name: template.name, ...created } }
+        : board
     });
     
   } catch (error) {
@@ -169,16 +466,16 @@ const updateBoard = async (req, res) => {
       });
     }
     
-    // Check if user is owner or has edit permissions
-    if (!board.isOwner(userId)) {
+    // Board settings can be changed by admins and the owner
+    if (!Board.roleAtLeast(req.boardRole, 'admin')) {
       return res.status(403).json({
         success: false,
-        message: 'Only board owner can update board settings'
+        message: 'Only board admins can update board settings'
       });
     }
     
     // Update allowed fields
-    const allowedUpdates = ['name', 'description', 'isPublic', 'backgroundColor', 'backgroundImage', 'starred', 'settings'];
+    const allowedUpdates = ['name', 'description', 'isPublic', 'backgroundColor', 'backgroundImage', 'settings'];
     const updates = {};
     
     allowedUpdates.forEach(field => {
@@ -190,6 +487,53 @@ const updateBoard = async (req, res) => {
     if (updates.name) updates.name = updates.name.trim();
     if (updates.description !== undefined) updates.description = updates.description.trim();
     
+    // Moving a board between workspaces changes who can see it, so only the owner may do it
+    if (updateData.workspaceId !== undefined) {
+      if (!board.isOwner(userId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the board owner can move the board to another workspace'
+        });
+      }
+      
+      if (getTwoFactorPolicy().requireForBoardOwners && !req.user.twoFactorEnabled) {
+        return res.status(403).json({
+          success: false,
+          message: 'Please enable two-factor authentication to manage boards you own'
+        });
+      }
+      
+      if (updateData.workspaceId && !(await findWorkspaceForBoard(updateData.workspaceId, req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only move boards into workspaces you belong to'
+        });
+      }
+      
+      updates.workspaceId = updateData.workspaceId || null;
+      if (!updates.workspaceId) updates.workspaceVisible = false;
+    }
+    
+    if (updateData.visibility !== undefined) {
+      Object.assign(updates, Board.visibilityFields(updateData.visibility));
+      
+      const targetWorkspaceId = updates.workspaceId !== undefined ? updates.workspaceId : board.workspaceId;
+      if (updates.workspaceVisible && !targetWorkspaceId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only boards in a workspace can be visible to the workspace'
+        });
+      }
+    }
+    
+    if (updates.isPublic && !board.isPublic &&
+        getEmailVerificationPolicy().requireForPublicBoards && !req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before making boards public'
+      });
+    }
+    
     const updatedBoard = await Board.findByIdAndUpdate(
       boardId,
       updates,
@@ -198,15 +542,13 @@ const updateBoard = async (req, res) => {
      .populate('members', 'name email avatarUrl');
     
     // Emit update to board members
-    if (req.io) {
-      emitToBoardMembers(req.io, boardId, 'board-updated', {
-        board: updatedBoard,
-        updatedBy: {
-          userId: req.user._id,
-          userName: req.user.name
-        }
-      });
-    }
+    emitToBoardMembers(req, boardId, 'board-updated', {
+      board: updatedBoard,
+      updatedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
     
     res.json({
       success: true,
@@ -223,6 +565,83 @@ const updateBoard = async (req, res) => {
   }
 };
 
+/**
+ * Copy a board with its lists and cards. The copy is private and owned by the caller;
+ * a failed copy is cleaned up so it leaves nothing behind.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const copyBoard = async (req, res) => {
+  try {
+    const { name, includeCards = true, keep = {} } = req.body;
+    const source = req.board;
+    
+    if (getTwoFactorPolicy().requireForBoardOwners && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please enable two-factor authentication before creating boards'
+      });
+    }
+    
+    // The copy stays in the source's workspace unless another one is given (or null for none)
+    let workspaceId = req.body.workspaceId !== undefined ? req.body.workspaceId : source.workspaceId;
+    
+    if (workspaceId && !(await findWorkspaceForBoard(workspaceId, req.user))) {
+      if (req.body.workspaceId) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only create boards in workspaces you belong to'
+        });
+      }
+      workspaceId = null;
+    }
+    
+    const result = await source.copyTo({
+      ownerId: req.user._id,
+      name: (name || `${source.name} (copy)`).trim().slice(0, 100),
+      workspaceId,
+      includeCards,
+      keep: {
+        checklists: true,
+        labels: true,
+        ...keep
+      }
+    });
+    
+    emitToBoardMembers(req, result.board._id, 'board-created', {
+      board: result.board,
+      source: { type: 'copy', boardId: source._id },
+      createdBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
+    
+    await result.board.populate('ownerId', 'name email avatarUrl');
+    await result.board.populate('members', 'name email avatarUrl');
+    
+    res.status(201).json({
+      success: true,
+      message: 'Board copied successfully',
+      data: {
+        ...result.board.toJSON(),
+        copiedFrom: source._id,
+        copied: {
+          lists: result.lists,
+          cards: result.cards
+        }
+      }
+    });
+    
+  } catch (error) {
+    console.error('Copy board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to copy board'
+    });
+  }
+};
+
 /**
  * Delete a board
  * @param {Object} req - Express request object
@@ -284,7 +703,7 @@ const addMember = async (req, res) => {
     }
     
     const boardId = req.params.id;
-    const { email } = req.body;
+    const { email, role = Board.DEFAULT_MEMBER_ROLE } = req.body;
     const userId = req.user._id;
     
     const board = await Board.findById(boardId);
@@ -296,21 +715,34 @@ const addMember = async (req, res) => {
       });
     }
     
-    // Check if user is owner
-    if (!board.isOwner(userId)) {
+    // Check if user is an admin
+    if (!Board.roleAtLeast(req.boardRole, 'admin')) {
       return res.status(403).json({
         success: false,
-        message: 'Only board owner can add members'
+        message: 'Only board admins can add members'
+      });
+    }
+    
+    // Only the owner can hand out the admin role
+    if (role === 'admin' && !board.isOwner(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the board owner can add admins'
       });
     }
     
     // Find user by email
     const userToAdd = await User.findOne({ email: email.toLowerCase() });
     
+    // People without an account get an email invitation instead
     if (!userToAdd) {
-      return res.status(404).json({
+      return createInvitation(req, res);
+    }
+    
+    if (getEmailVerificationPolicy().requireForMembership && !userToAdd.emailVerified) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found with this email address'
+        message: 'This user must verify their email address before being added to boards'
       });
     }
     
@@ -323,28 +755,27 @@ const addMember = async (req, res) => {
     }
     
     // Add member
-    board.addMember(userToAdd._id);
+    board.addMember(userToAdd._id, role);
     await board.save();
     
     // Populate members for response
     await board.populate('members', 'name email avatarUrl');
     
     // Emit update to board members
-    if (req.io) {
-      emitToBoardMembers(req.io, boardId, 'member-added', {
-        boardId,
-        member: {
-          _id: userToAdd._id,
-          name: userToAdd.name,
-          email: userToAdd.email,
-          avatarUrl: userToAdd.avatarUrl
-        },
-        addedBy: {
-          userId: req.user._id,
-          userName: req.user.name
-        }
-      });
-    }
+    emitToBoardMembers(req, boardId, 'member-added', {
+      boardId,
+      member: {
+        _id: userToAdd._id,
+        name: userToAdd.name,
+        email: userToAdd.email,
+        avatarUrl: userToAdd.avatarUrl
+      },
+      role,
+      addedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
     
     res.json({
       success: true,
@@ -384,14 +815,14 @@ const removeMember = async (req, res) => {
       });
     }
     
-    // Check if user is owner or removing themselves
-    const isOwner = board.isOwner(userId);
+    // Check if user is an admin or removing themselves
+    const isAdmin = Board.roleAtLeast(req.boardRole, 'admin');
     const isSelfRemoval = userId.toString() === memberIdToRemove;
     
-    if (!isOwner && !isSelfRemoval) {
+    if (!isAdmin && !isSelfRemoval) {
       return res.status(403).json({
         success: false,
-        message: 'Only board owner can remove members, or members can remove themselves'
+        message: 'Only board admins can remove members, or members can remove themselves'
       });
     }
     
@@ -399,25 +830,35 @@ const removeMember = async (req, res) => {
     if (board.isOwner(memberIdToRemove)) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot remove board owner'
+        message: 'Cannot remove board owner. Transfer ownership first.'
       });
     }
     
-    // Remove member
+    // Admins can only be removed by the owner (or themselves)
+    if (!isSelfRemoval && board.getRole(memberIdToRemove) === 'admin' && !board.isOwner(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the board owner can remove admins'
+      });
+    }
+    
+    // Remove member, along with any ownership transfer offered to them
     board.removeMember(memberIdToRemove);
+    const transferTarget = board.getPendingTransferTarget();
+    if (transferTarget && transferTarget.equals(memberIdToRemove)) {
+      board.clearOwnershipTransfer();
+    }
     await board.save();
     
     // Emit update to board members
-    if (req.io) {
-      emitToBoardMembers(req.io, boardId, 'member-removed', {
-        boardId,
-        removedMemberId: memberIdToRemove,
-        removedBy: {
-          userId: req.user._id,
-          userName: req.user.name
-        }
-      });
-    }
+    emitToBoardMembers(req, boardId, 'member-removed', {
+      boardId,
+      removedMemberId: memberIdToRemove,
+      removedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
     
     res.json({
       success: true,
@@ -433,6 +874,312 @@ const removeMember = async (req, res) => {
   }
 };
 
+/**
+ * Change a member's role on a board
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateMemberRole = async (req, res) => {
+  try {
+    const boardId = req.params.id;
+    const memberId = req.params.memberId;
+    const { role } = req.body;
+    const userId = req.user._id;
+    
+    const board = await Board.findById(boardId);
+    
+    if (!board) {
+      return res.status(404).json({
+        success: false,
+        message: 'Board not found'
+      });
+    }
+    
+    if (!Board.roleAtLeast(req.boardRole, 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only board admins can change member roles'
+      });
+    }
+    
+    if (board.isOwner(memberId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The board owner role cannot be changed'
+      });
+    }
+    
+    const currentRole = board.getRole(memberId);
+    
+    if (!currentRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this board'
+      });
+    }
+    
+    // Promoting to or demoting from admin is reserved for the owner
+    if ((role === 'admin' || currentRole === 'admin') && !board.isOwner(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the board owner can grant or revoke the admin role'
+      });
+    }
+    
+    board.setMemberRole(memberId, role);
+    await board.save();
+    
+    // Emit update to board members
+    emitToBoardMembers(req, boardId, 'member-role-updated', {
+      boardId,
+      memberId,
+      role,
+      previousRole: currentRole,
+      updatedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: {
+        memberId,
+        role
+      }
+    });
+    
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update member role'
+    });
+  }
+};
+
+/**
+ * Make a user the board owner and tell everyone about it. The previous owner stays on
+ * the board as an admin.
+ * @param {Object} req - Express request object
+ * @param {Object} board - Board document
+ * @param {Object} newOwner - User document of the new owner
+ * @param {String} via - How the transfer happened: accepted, admin_override or account_deleted
+ * @returns {Promise<Object>} - The saved board
+ */
+const applyOwnershipTransfer = async (req, board, newOwner, via) => {
+  const previousOwnerId = board.transferOwnership(newOwner._id);
+  await board.save();
+  
+  const event = {
+    boardId: board._id,
+    previousOwnerId,
+    newOwner: {
+      userId: newOwner._id,
+      userName: newOwner.name
+    },
+    via
+  };
+  
+  emitToBoardMembers(req, board._id, 'board-owner-changed', event);
+  emitToUser(req.io, newOwner._id, 'board-owner-changed', event);
+  emitToUser(req.io, previousOwnerId, 'board-owner-changed', event);
+  
+  logSecurityEvent('board_ownership_transferred', {
+    boardId: board._id,
+    previousOwnerId,
+    newOwnerId: newOwner._id,
+    via,
+    actorId: req.user._id,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+  
+  return board;
+};
+
+/**
+ * Offer board ownership to a member; the transfer happens once they accept
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const requestOwnershipTransfer = async (req, res) => {
+  try {
+    const { userId: newOwnerId } = req.body;
+    
+    // Ownership was checked by isBoardOwner
+    const board = req.board;
+    
+    if (board.isOwner(newOwnerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this board'
+      });
+    }
+    
+    if (!board.getRole(newOwnerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ownership can only be transferred to a board member'
+      });
+    }
+    
+    const newOwner = await User.findById(newOwnerId);
+    
+    if (!newOwner || !newOwner.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ownership can only be transferred to an active user'
+      });
+    }
+    
+    board.requestOwnershipTransfer(newOwner._id, req.user._id, OWNERSHIP_TRANSFER_EXPIRES_DAYS);
+    await board.save();
+    
+    const transfer = {
+      boardId: board._id,
+      boardName: board.name,
+      requestedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      },
+      newOwner: {
+        userId: newOwner._id,
+        userName: newOwner.name
+      },
+      expiresAt: board.ownershipTransfer.expiresAt
+    };
+    
+    emitToBoardMembers(req, board._id, 'board-transfer-requested', transfer);
+    emitToUser(req.io, newOwner._id, 'board-transfer-requested', transfer);
+    
+    try {
+      await sendMail({
+        to: newOwner.email,
+        subject: `${req.user.name} wants to make you the owner of "${board.name}"`,
+        text: `Hi ${newOwner.name},\n\n` +
+          `${req.user.name} would like to transfer ownership of the board "${board.name}" to you. ` +
+          `Open the board to accept or decline:\n\n${buildFrontendUrl(`/boards/${board._id}`)}\n\n` +
+          `This request expires on ${transfer.expiresAt.toUTCString()}.`
+      });
+    } catch (mailError) {
+      console.error('Ownership transfer mail error:', mailError);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Ownership transfer requested. The new owner needs to accept it.',
+      data: board.ownershipTransfer
+    });
+    
+  } catch (error) {
+    console.error('Request ownership transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request ownership transfer'
+    });
+  }
+};
+
+/**
+ * Accept a pending ownership transfer addressed to the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const acceptOwnershipTransfer = async (req, res) => {
+  try {
+    const board = req.board;
+    const target = board.getPendingTransferTarget();
+    
+    if (!target || !target.equals(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending ownership transfer for you on this board'
+      });
+    }
+    
+    if (getTwoFactorPolicy().requireForBoardOwners && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please enable two-factor authentication before taking over a board'
+      });
+    }
+    
+    await applyOwnershipTransfer(req, board, req.user, 'accepted');
+    
+    res.json({
+      success: true,
+      message: 'You are now the owner of this board',
+      data: {
+        boardId: board._id,
+        ownerId: board.ownerId
+      }
+    });
+    
+  } catch (error) {
+    console.error('Accept ownership transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept ownership transfer'
+    });
+  }
+};
+
+/**
+ * Cancel (owner) or decline (addressee) a pending ownership transfer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelOwnershipTransfer = async (req, res) => {
+  try {
+    const board = req.board;
+    const target = board.getPendingTransferTarget();
+    const isTarget = Boolean(target && target.equals(req.user._id));
+    
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'There is no pending ownership transfer on this board'
+      });
+    }
+    
+    if (!board.isOwner(req.user._id) && !isTarget) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the board owner or the proposed new owner can cancel the transfer'
+      });
+    }
+    
+    board.clearOwnershipTransfer();
+    await board.save();
+    
+    const event = {
+      boardId: board._id,
+      toUserId: target,
+      declined: isTarget,
+      cancelledBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    };
+    emitToBoardMembers(req, board._id, 'board-transfer-cancelled', event);
+    emitToUser(req.io, isTarget ? board.ownerId : target, 'board-transfer-cancelled', event);
+    
+    res.json({
+      success: true,
+      message: isTarget ? 'Ownership transfer declined' : 'Ownership transfer cancelled'
+    });
+    
+  } catch (error) {
+    console.error('Cancel ownership transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel ownership transfer'
+    });
+  }
+};
+
 /**
  * Get public boards
  * @param {Object} req - Express request object
@@ -460,11 +1207,22 @@ const getPublicBoards = async (req, res) => {
 
 module.exports = {
   getBoards,
+  updateBoardPreferences,
+  reorderBoards,
+  getArchivedBoards,
+  archiveBoard,
   getBoard,
   createBoard,
+  copyBoard,
   updateBoard,
   deleteBoard,
   addMember,
   removeMember,
+  updateMemberRole,
+  requestOwnershipTransfer,
+  acceptOwnershipTransfer,
+  cancelOwnershipTransfer,
+  applyOwnershipTransfer,
+  findWorkspaceForBoard,
   getPublicBoards
 };
\ No newline at end of file
@@ -1,9 +1,9 @@
 const Card = require('../models/Card');
 const List = require('../models/List');
-const Board = require('../models/Board');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
 const { emitToBoardMembers } = require('../socket/socketHandlers');
+const { parseCustomFieldValues } = require('../utils/customFields');
 const multer = require('multer');
 const path = require('path');
 
@@ -53,12 +53,6 @@ const createCard = async (req, res) => {
     const { title, listId, boardId } = req.body;
     const userId = req.user._id;
 
-    // Check user has access to the board
-    const board = await Board.findById(boardId);
-    if (!board || !board.isMember(userId)) {
-      return res.status(403).json({ success: false, message: 'Access denied' });
-    }
-
     // --- START: This is the critical new logic ---
     // Count existing cards in the list to determine the new position
     const cardCount = await Card.countDocuments({ listId });
@@ -77,12 +71,10 @@ const createCard = async (req, res) => {
     // Populate createdBy for the socket event
     await newCard.populate('createdBy', 'name email');
 
-    if (req.io) {
-      emitToBoardMembers(req, boardId, 'card-created', {
-        card: newCard,
-        listId: listId
-      });
-    }
+    emitToBoardMembers(req, boardId, 'card-created', {
+      card: newCard,
+      listId: listId
+    });
 
     res.status(201).json({
       success: true,
@@ -109,7 +101,6 @@ const createCard = async (req, res) => {
 const getCard = async (req, res) => {
   try {
     const cardId = req.params.id;
-    const userId = req.user._id;
     
     const card = await Card.findById(cardId)
       .populate('assignedTo', 'name email avatarUrl')
@@ -123,19 +114,9 @@ const getCard = async (req, res) => {
       });
     }
     
-    // Check if user has access to the board
-    const board = await Board.findById(card.boardId);
-    
-    if (!board || !board.isMember(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this board'
-      });
-    }
-    
     res.json({
       success: true,
-      data: card
+      data: card.toBoardJSON(req.board, req.user._id)
     });
     
   } catch (error) {
@@ -167,24 +148,9 @@ const updateCard = async (req, res) => {
     const userId = req.user._id;
     const updateData = req.body;
     
-    const card = await Card.findById(cardId);
-    
-    if (!card) {
-      return res.status(404).json({
-        success: false,
-        message: 'Card not found'
-      });
-    }
-    
-    // Check if user has access to the board
-    const board = await Board.findById(card.boardId);
-    
-    if (!board || !board.isMember(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this board'
-      });
-    }
+    // Card and board access are resolved by requireBoardRole
+    const card = req.card;
+    const board = req.board;
     
     // Update allowed fields
     const allowedUpdates = [
@@ -199,14 +165,27 @@ const updateCard = async (req, res) => {
       }
     });
     
+    if (updates.labels && !board.hasLabels(updates.labels)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Labels must come from the board label catalog'
+      });
+    }
+    
     if (updates.title) updates.title = updates.title.trim();
     if (updates.description !== undefined) updates.description = updates.description.trim();
     
-    // Set completedBy if marking as completed
+    // findByIdAndUpdate skips the model's save hook, so completion is stamped here
     if (updates.completed && !card.completed) {
       updates.completedBy = userId;
+      updates.completedAt = new Date();
+    } else if (updates.completed === false && card.completed) {
+      updates.completedBy = null;
+      updates.completedAt = null;
     }
     
+    updates.lastActivityAt = new Date();
+    
     const updatedCard = await Card.findByIdAndUpdate(
       cardId,
       updates,
@@ -215,20 +194,18 @@ const updateCard = async (req, res) => {
      .populate('completedBy', 'name email avatarUrl');
     
     // Emit update to board members
-    if (req.io) {
-      emitToBoardMembers(req, board._id, 'card-updated', {
-        card: updatedCard,
-        updatedBy: {
-          userId: req.user._id,
-          userName: req.user.name
-        }
-      });
-    }
+    emitToBoardMembers(req, board._id, 'card-updated', {
+      card: updatedCard,
+      updatedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
     
     res.json({
       success: true,
       message: 'Card updated successfully',
-      data: updatedCard
+      data: updatedCard.toBoardJSON(board, userId)
     });
     
   } catch (error) {
@@ -248,40 +225,22 @@ const updateCard = async (req, res) => {
 const deleteCard = async (req, res) => {
   try {
     const cardId = req.params.id;
-    const userId = req.user._id;
-    
-    const card = await Card.findById(cardId);
-    
-    if (!card) {
-      return res.status(404).json({
-        success: false,
-        message: 'Card not found'
-      });
-    }
     
-    // Check if user has access to the board
-    const board = await Board.findById(card.boardId);
-    
-    if (!board || !board.isMember(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this board'
-      });
-    }
+    // Card and board access are resolved by requireBoardRole
+    const card = req.card;
+    const board = req.board;
     
     // Delete the card
     await card.deleteOne();
     
     // Emit update to board members
-    if (req.io) {
-      emitToBoardMembers(req, board._id, 'card-deleted', {
-        cardId,
-        deletedBy: {
-          userId: req.user._id,
-          userName: req.user.name
-        }
-      });
-    }
+    emitToBoardMembers(req, board._id, 'card-deleted', {
+      cardId,
+      deletedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
     
     res.json({
       success: true,
@@ -315,26 +274,10 @@ const moveCard = async (req, res) => {
     
     const cardId = req.params.id;
     const { listId, position } = req.body;
-    const userId = req.user._id;
-    
-    const card = await Card.findById(cardId);
     
-    if (!card) {
-      return res.status(404).json({
-        success: false,
-        message: 'Card not found'
-      });
-    }
-    
-    // Check if user has access to the board
-    const board = await Board.findById(card.boardId);
-    
-    if (!board || !board.isMember(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this board'
-      });
-    }
+    // Card and board access are resolved by requireBoardRole
+    const card = req.card;
+    const board = req.board;
     
     // If moving to different list, check if target list exists
     if (listId !== card.listId.toString()) {
@@ -369,18 +312,16 @@ const moveCard = async (req, res) => {
     await card.moveToList(listId, position);
     
     // Emit update to board members
-    if (req.io) {
-      emitToBoardMembers(req, board._id, 'card-moved', {
-        cardId,
-        oldListId,
-        newListId: listId,
-        newPosition: card.position,
-        movedBy: {
-          userId: req.user._id,
-          userName: req.user.name
-        }
-      });
-    }
+    emitToBoardMembers(req, board._id, 'card-moved', {
+      cardId,
+      oldListId,
+      newListId: listId,
+      newPosition: card.position,
+      movedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
     
     res.json({
       success: true,
@@ -397,6 +338,56 @@ const moveCard = async (req, res) => {
   }
 };
 
+/**
+ * Set or clear a card's custom field values ({ values: { <fieldId>: value | null } })
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setCustomFieldValues = async (req, res) => {
+  try {
+    // Card and board access are resolved by requireBoardRole
+    const card = req.card;
+    const board = req.board;
+    
+    const { errors, set, unset } = parseCustomFieldValues(board, req.body.values);
+    
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+    
+    Object.entries(set).forEach(([fieldId, value]) => card.customFields.set(fieldId, value));
+    unset.forEach(fieldId => card.customFields.delete(fieldId));
+    
+    await card.save();
+    await card.populate('assignedTo', 'name email avatarUrl');
+    
+    emitToBoardMembers(req, board._id, 'card-updated', {
+      card,
+      updatedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Custom fields updated successfully',
+      data: card.toBoardJSON(board, req.user._id)
+    });
+    
+  } catch (error) {
+    console.error('Set custom fields error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update custom fields'
+    });
+  }
+};
+
 /**
  * Add comment to card
  * @param {Object} req - Express request object
@@ -417,22 +408,14 @@ const addComment = async (req, res) => {
     const { text } = req.body;
     const userId = req.user._id;
     
-    const card = await Card.findById(cardId);
-    
-    if (!card) {
-      return res.status(404).json({
-        success: false,
-        message: 'Card not found'
-      });
-    }
+    // Card and board access are resolved by requireBoardRole
+    const card = req.card;
+    const board = req.board;
     
-    // Check if user has access to the board
-    const board = await Board.findById(card.boardId);
-    
-    if (!board || !board.isMember(userId)) {
+    if (!board.settings.allowComments) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied to this board'
+        message: 'Comments are disabled on this board'
       });
     }
     
@@ -445,16 +428,14 @@ const addComment = async (req, res) => {
     const newComment = card.comments[card.comments.length - 1];
     
     // Emit update to board members
-    if (req.io) {
-      emitToBoardMembers(req, board._id, 'comment-added', {
-        cardId,
-        comment: newComment,
-        addedBy: {
-          userId: req.user._id,
-          userName: req.user.name
-        }
-      });
-    }
+    emitToBoardMembers(req, board._id, 'comment-added', {
+      cardId,
+      comment: newComment,
+      addedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
     
     res.status(201).json({
       success: true,
@@ -472,41 +453,99 @@ const addComment = async (req, res) => {
 };
 
 /**
- * Add attachment to card
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
+ * Vote for a card, or withdraw the vote
+ * @param {Boolean} voted - true to vote, false to withdraw
+ * @returns {Function} - Express handler
  */
-const addAttachment = async (req, res) => {
+const setVote = (voted) => async (req, res) => {
   try {
     const cardId = req.params.id;
     const userId = req.user._id;
     
-    if (!req.file) {
-      return res.status(400).json({
+    // Card and board access are resolved by requireBoardRole
+    const board = req.board;
+    
+    if (!board.settings.allowVoting) {
+      return res.status(403).json({
         success: false,
-        message: 'No file uploaded'
+        message: 'Voting is disabled on this board'
       });
     }
     
-    const card = await Card.findById(cardId);
+    const card = voted ? await Card.addVote(cardId, userId) : await Card.removeVote(cardId, userId);
     
     if (!card) {
-      return res.status(404).json({
+      return res.status(409).json({
         success: false,
-        message: 'Card not found'
+        message: voted ? 'You have already voted for this card' : 'You have not voted for this card'
       });
     }
     
-    // Check if user has access to the board
-    const board = await Board.findById(card.boardId);
+    // Emit update to board members
+    emitToBoardMembers(req, board._id, 'card-voted', {
+      cardId,
+      voteCount: card.voteCount,
+      voted,
+      votedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
     
-    if (!board || !board.isMember(userId)) {
-      return res.status(403).json({
+    res.json({
+      success: true,
+      message: voted ? 'Vote added successfully' : 'Vote removed successfully',
+      data: {
+        cardId,
+        voteCount: card.voteCount,
+        votedByMe: voted
+      }
+    });
+    
+  } catch (error) {
+    console.error(voted ? 'Vote card error:' : 'Unvote card error:', error);
+    res.status(500).json({
+      success: false,
+      message: voted ? 'Failed to vote for card' : 'Failed to remove vote'
+    });
+  }
+};
+
+/**
+ * Vote for a card
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const voteCard = setVote(true);
+
+/**
+ * Withdraw a vote for a card
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const unvoteCard = setVote(false);
+
+/**
+ * Add attachment to card
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const addAttachment = async (req, res) => {
+  try {
+    const cardId = req.params.id;
+    const userId = req.user._id;
+    
+    if (!req.file) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied to this board'
+        message: 'No file uploaded'
       });
     }
     
+    // Card and board access are resolved by requireBoardRole
+    const card = req.card;
+    const board = req.board;
+    
     // Create attachment data
     const attachmentData = {
       fileName: req.file.filename,
@@ -526,16 +565,14 @@ const addAttachment = async (req, res) => {
     const newAttachment = card.attachments[card.attachments.length - 1];
     
     // Emit update to board members
-    if (req.io) {
-      emitToBoardMembers(req, board._id, 'attachment-added', {
-        cardId,
-        attachment: newAttachment,
-        addedBy: {
-          userId: req.user._id,
-          userName: req.user.name
-        }
-      });
-    }
+    emitToBoardMembers(req, board._id, 'attachment-added', {
+      cardId,
+      attachment: newAttachment,
+      addedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
     
     res.status(201).json({
       success: true,
@@ -609,6 +646,9 @@ module.exports = {
   deleteCard,
   moveCard,
   addComment,
+  voteCard,
+  unvoteCard,
+  setCustomFieldValues,
   addAttachment: [upload.single('attachment'), addAttachment],
   getUserCards,
   getOverdueCards
@@ -0,0 +1,248 @@
+const Board = require('../models/Board');
+const Card = require('../models/Card');
+const { emitToBoardMembers } = require('../socket/socketHandlers');
+
+/**
+ * Find a custom field on the board, sending a 404 otherwise
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} - Custom field subdocument
+ */
+const findCustomField = (req, res) => {
+  const field = req.board.customFields.id(req.params.fieldId);
+
+  if (!field) {
+    res.status(404).json({
+      success: false,
+      message: 'Custom field not found'
+    });
+    return null;
+  }
+
+  return field;
+};
+
+/**
+ * Send a 409 if another custom field on the board already has this name
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {String} name - Field name
+ * @param {Object} field - Field being renamed, if any
+ * @returns {Boolean} - Whether a duplicate was found
+ */
+const rejectDuplicate = (req, res, name, field = null) => {
+  const existing = req.board.findCustomFieldByName(name);
+
+  if (existing && (!field || !existing._id.equals(field._id))) {
+    res.status(409).json({
+      success: false,
+      message: 'A custom field with this name already exists on the board'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Get the board's custom field definitions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCustomFields = (req, res) => {
+  res.json({
+    success: true,
+    data: req.board.customFields
+  });
+};
+
+/**
+ * Define a new custom field on the board
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createCustomField = async (req, res) => {
+  try {
+    const board = req.board;
+    const { name, type, options = [] } = req.body;
+
+    if (board.customFields.length >= Board.MAX_CUSTOM_FIELDS) {
+      return res.status(400).json({
+        success: false,
+        message: `A board cannot have more than ${Board.MAX_CUSTOM_FIELDS} custom fields`
+      });
+    }
+
+    if (rejectDuplicate(req, res, name)) return;
+
+    board.customFields.push({
+      name: name.trim(),
+      type,
+      options: options.map(option => ({ name: option.name.trim(), color: option.color || null }))
+    });
+    await board.save();
+
+    const field = board.customFields[board.customFields.length - 1];
+
+    emitToBoardMembers(req, board._id, 'custom-field-created', {
+      boardId: board._id,
+      field,
+      createdBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Custom field created successfully',
+      data: field
+    });
+
+  } catch (error) {
+    console.error('Create custom field error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create custom field'
+    });
+  }
+};
+
+/**
+ * Rename a custom field or replace a dropdown's options. Cards holding a removed
+ * option lose their value for the field.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateCustomField = async (req, res) => {
+  try {
+    const board = req.board;
+    const field = findCustomField(req, res);
+    if (!field) return;
+
+    const { name, options } = req.body;
+
+    if (name !== undefined && rejectDuplicate(req, res, name, field)) return;
+
+    let removedOptionIds = [];
+
+    if (options) {
+      if (field.type !== 'dropdown') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only dropdown fields have options'
+        });
+      }
+
+      const unknownOption = options.find(option => option._id && !field.options.id(option._id));
+      if (unknownOption) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown option: ${unknownOption._id}`
+        });
+      }
+
+      const keptOptionIds = new Set(options.filter(option => option._id).map(option => option._id));
+      removedOptionIds = field.options
+        .filter(option => !keptOptionIds.has(option._id.toString()))
+        .map(option => option._id);
+
+      field.options = options.map(option => ({
+        ...(option._id ? { _id: option._id } : {}),
+        name: option.name.trim(),
+        color: option.color || null
+      }));
+    }
+
+    if (name !== undefined) {
+      field.name = name.trim();
+    }
+
+    await board.save();
+
+    if (removedOptionIds.length > 0) {
+      await Card.updateMany(
+        { boardId: board._id, [`customFields.${field._id}`]: { $in: removedOptionIds } },
+        { $unset: { [`customFields.${field._id}`]: '' } }
+      );
+    }
+
+    emitToBoardMembers(req, board._id, 'custom-field-updated', {
+      boardId: board._id,
+      field,
+      removedOptionIds,
+      updatedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Custom field updated successfully',
+      data: field
+    });
+
+  } catch (error) {
+    console.error('Update custom field error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update custom field'
+    });
+  }
+};
+
+/**
+ * Delete a custom field and its values on every card
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteCustomField = async (req, res) => {
+  try {
+    const board = req.board;
+    const field = findCustomField(req, res);
+    if (!field) return;
+
+    const fieldId = field._id;
+
+    const { modifiedCount } = await Card.updateMany(
+      { boardId: board._id, [`customFields.${fieldId}`]: { $exists: true } },
+      { $unset: { [`customFields.${fieldId}`]: '' } }
+    );
+
+    board.customFields.pull(fieldId);
+    await board.save();
+
+    emitToBoardMembers(req, board._id, 'custom-field-deleted', {
+      boardId: board._id,
+      fieldId,
+      deletedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Custom field deleted successfully',
+      data: {
+        fieldId,
+        cardsUpdated: modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete custom field error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete custom field'
+    });
+  }
+};
+
+module.exports = {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+};
\ No newline at end of file
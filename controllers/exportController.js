@@ -0,0 +1,69 @@
+const List = require('../models/List');
+const User = require('../models/User');
+const { logSecurityEvent } = require('../middleware/logger');
+const { EXPORT_FORMATS, streamBoardExport } = require('../utils/boardExport');
+
+/**
+ * Export a board with its lists, cards, checklists, comments, labels, assignees and
+ * attachment metadata as JSON, CSV or Markdown (?format=json|csv|md). The file is
+ * streamed list by list, so large boards are never built in memory.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportBoard = async (req, res) => {
+  const format = req.query.format || 'json';
+
+  if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Export format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  try {
+    // Board access was checked by requireBoardRole
+    const board = req.board;
+    const users = await User.find({ _id: { $in: board.getAllMembers() } }).select('name email');
+    const lists = List.getWithCards(board._id, { withDetails: true }).cursor();
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const fileName = `kanbanflow-board-${board._id}-${new Date().toISOString().split('T')[0]}.${extension}`;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    await streamBoardExport(res, format, {
+      board,
+      users,
+      lists,
+      exportedBy: req.user
+    });
+
+    res.end();
+
+    logSecurityEvent('board_exported', {
+      userId: req.user._id,
+      boardId: board._id,
+      format,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+  } catch (error) {
+    console.error('Export board error:', error);
+
+    // Once the download has started the only honest signal left is a broken connection
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export board'
+    });
+  }
+};
+
+module.exports = {
+  exportBoard
+};
\ No newline at end of file
@@ -0,0 +1,483 @@
+const Board = require('../models/Board');
+const List = require('../models/List');
+const Card = require('../models/Card');
+const User = require('../models/User');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const path = require('path');
+const { getTwoFactorPolicy } = require('../config/twoFactor');
+const { getEmailVerificationPolicy } = require('../config/verification');
+const { mapTrelloBoard, memberEmail, trelloBackground } = require('../utils/trelloImport');
+const { parseCsv } = require('../utils/csv');
+const { createError } = require('../middleware/errorHandler');
+const { validate, listValidationSchemas, cardValidationSchemas } = require('../utils/validation');
+const { emitToBoardMembers } = require('../socket/socketHandlers');
+const { findWorkspaceForBoard } = require('./boardController');
+
+const CSV_IMPORT_MAX_ROWS = parseInt(process.env.CSV_IMPORT_MAX_ROWS) || 1000;
+
+// Card fields a CSV column can be mapped to, with the headers matched when no mapping is given
+const CSV_COLUMNS = {
+  title: ['title', 'name', 'card', 'card name', 'summary'],
+  description: ['description', 'desc', 'details'],
+  priority: ['priority'],
+  dueDate: ['due date', 'due', 'deadline'],
+  labels: ['labels', 'label', 'tags'],
+  assignees: ['assignees', 'assignee', 'assignee emails', 'assigned to', 'members'],
+  estimatedHours: ['estimated hours', 'estimate', 'hours']
+};
+
+// Color for labels the import adds to the board's catalog
+const NEW_LABEL_COLOR = '#b3bac5';
+
+// How many valid rows a dry run shows
+const CSV_PREVIEW_ROWS = 20;
+
+// CSV files are parsed in memory and never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.CSV_IMPORT_MAX_SIZE) || 1024 * 1024, // 1MB
+    files: 1
+  },
+  fileFilter: function (req, file, cb) {
+    const extname = path.extname(file.originalname).toLowerCase() === '.csv';
+    const mimetype = /csv|text\/plain|ms-excel/.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(createError('Only CSV files are allowed', 400));
+    }
+  }
+});
+
+/**
+ * Match the members of a Trello board to active accounts by email. Accounts that could
+ * not be added as members (unverified email when the policy requires it) stay unmatched.
+ * @param {Array} trelloMembers - Members from the Trello export
+ * @param {Object} memberEmails - Emails keyed by Trello member ID or username
+ * @param {Object} importer - User running the import
+ * @returns {Promise<Object>} - { usersByTrelloId, matched, unmatched }
+ */
+const matchTrelloMembers = async (trelloMembers, memberEmails, importer) => {
+  const emails = trelloMembers.map(member => memberEmail(member, memberEmails)).filter(Boolean);
+  const users = await User.find({ email: { $in: emails }, isActive: true }).select('name email emailVerified');
+  const usersByEmail = new Map(users.map(user => [user.email, user]));
+  const requireVerified = getEmailVerificationPolicy().requireForMembership;
+
+  const usersByTrelloId = new Map();
+  const matched = [];
+  const unmatched = [];
+
+  trelloMembers.forEach(member => {
+    const email = memberEmail(member, memberEmails);
+    const user = email ? usersByEmail.get(email) : null;
+    const unverified = Boolean(user) && requireVerified && !user.emailVerified && !user._id.equals(importer._id);
+
+    if (user && !unverified) {
+      usersByTrelloId.set(member.id, user._id);
+      matched.push({ trelloId: member.id, username: member.username, userId: user._id, email: user.email });
+    } else {
+      unmatched.push({
+        trelloId: member.id,
+        username: member.username,
+        fullName: member.fullName,
+        reason: unverified ? 'email address not verified' : email ? 'no account with this email' : 'no email address'
+      });
+    }
+  });
+
+  return { usersByTrelloId, matched, unmatched };
+};
+
+/**
+ * Create a board from a Trello board export: lists, cards, labels, checklists, comments
+ * and dates. Trello members are matched to accounts by email and join the board as
+ * editors. The response reports everything that was skipped or could not be mapped.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const importTrelloBoard = async (req, res) => {
+  try {
+    const { board: trello, name, workspaceId = null, memberEmails = {}, includeArchived = false } = req.body;
+    const userId = req.user._id;
+
+    if (getTwoFactorPolicy().requireForBoardOwners && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please enable two-factor authentication before creating boards'
+      });
+    }
+
+    if (workspaceId && !(await findWorkspaceForBoard(workspaceId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only create boards in workspaces you belong to'
+      });
+    }
+
+    const members = await matchTrelloMembers(trello.members || [], memberEmails, req.user);
+
+    const board = new Board({
+      name: (name || trello.name || 'Imported board').trim().slice(0, 100),
+      description: (trello.desc || '').trim().slice(0, 500),
+      ownerId: userId,
+      members: [userId],
+      workspaceId,
+      backgroundColor: trelloBackground(trello) || '#0079bf'
+    });
+    members.matched.forEach(member => board.addMember(member.userId));
+
+    const { lists, cards, report } = mapTrelloBoard(trello, {
+      board,
+      importerId: userId,
+      usersByTrelloId: members.usersByTrelloId,
+      includeArchived
+    });
+
+    await board.save();
+
+    try {
+      const createdLists = await List.insertMany(lists);
+      const cardDocs = [];
+
+      cards.forEach(({ trelloId, listIndex, data }) => {
+        const card = new Card({ ...data, listId: createdLists[listIndex]._id });
+
+        // Past due dates are history here, not scheduling mistakes
+        const error = card.validateSync({ pathsToSkip: ['dueDate'] });
+        if (error) {
+          report.cards.skipped.push({ id: trelloId, name: data.title, reason: error.message });
+          return;
+        }
+
+        cardDocs.push(card.toObject());
+      });
+
+      if (cardDocs.length > 0) {
+        // Already validated above; lean skips the due date check that would reject past dates.
+        // It also skips timestamps, so mapTrelloBoard sets createdAt and updatedAt itself.
+        await Card.insertMany(cardDocs, { lean: true });
+      }
+      report.cards.imported = cardDocs.length;
+    } catch (error) {
+      // Don't leave a half-imported board behind
+      await board.deleteOne();
+      throw error;
+    }
+
+    emitToBoardMembers(req, board._id, 'board-created', {
+      board,
+      source: { type: 'trello' },
+      createdBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
+
+    await board.populate('ownerId', 'name email avatarUrl');
+    await board.populate('members', 'name email avatarUrl');
+
+    res.status(201).json({
+      success: true,
+      message: 'Board imported from Trello successfully',
+      data: {
+        ...board.toJSON(),
+        report: {
+          ...report,
+          members: {
+            matched: members.matched,
+            unmatched: members.unmatched
+          }
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Trello import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import board from Trello'
+    });
+  }
+};
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+/**
+ * Work out which CSV column feeds each card field: an explicit mapping wins, otherwise
+ * headers are matched against the usual names (case and spacing are ignored)
+ * @param {Array} header - Header row cells
+ * @param {Object} mapping - Card field to column header, from the request
+ * @returns {Object} - { columns: card field to column index, errors }
+ */
+const resolveCsvColumns = (header, mapping = {}) => {
+  const headerIndexes = new Map();
+  header.forEach((cell, index) => {
+    const name = normalizeHeader(cell);
+    if (name && !headerIndexes.has(name)) headerIndexes.set(name, index);
+  });
+
+  const columns = {};
+  const errors = [];
+
+  Object.keys(CSV_COLUMNS).forEach(field => {
+    if (mapping[field]) {
+      const index = headerIndexes.get(normalizeHeader(mapping[field]));
+      if (index === undefined) {
+        errors.push(`Column "${mapping[field]}" mapped to ${field} is not in the CSV header`);
+      } else {
+        columns[field] = index;
+      }
+      return;
+    }
+
+    const alias = [normalizeHeader(field), ...CSV_COLUMNS[field]].find(name => headerIndexes.has(name));
+    if (alias) columns[field] = headerIndexes.get(alias);
+  });
+
+  if (columns.title === undefined && !mapping.title) {
+    errors.push('No title column found; name a column "Title" or map one to title');
+  }
+
+  return { columns, errors };
+};
+
+const splitList = (value, separator) => value.split(separator).map(item => item.trim()).filter(Boolean);
+
+const isTrue = (value) => value === true || value === 'true';
+
+/**
+ * Import cards into a list from an uploaded CSV file. Columns map to title, description,
+ * priority, due date, labels (by name; missing ones are added to the board's catalog) and
+ * assignees (by email; they must be board members) and estimated hours. Every row is
+ * checked against the card creation rules. With dryRun nothing is saved and the response
+ * previews the cards and row errors; otherwise any row error fails the import unless
+ * skipInvalid is set, in which case only valid rows are created.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const importCardsFromCsv = async (req, res) => {
+  try {
+    // Board access was checked by requireBoardRole
+    const board = req.board;
+    const list = req.list;
+    const dryRun = isTrue(req.body.dryRun);
+    const skipInvalid = isTrue(req.body.skipInvalid);
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV file'
+      });
+    }
+
+    if (list.archived) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot import cards into an archived list'
+      });
+    }
+
+    const [header, ...records] = parseCsv(req.file.buffer.toString('utf8'));
+
+    if (!header || records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The CSV file needs a header row and at least one card'
+      });
+    }
+
+    if (records.length > CSV_IMPORT_MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `A CSV import cannot contain more than ${CSV_IMPORT_MAX_ROWS} cards`
+      });
+    }
+
+    const { columns, errors: mappingErrors } = resolveCsvColumns(header.cells, req.body.mapping);
+
+    if (mappingErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The CSV columns could not be mapped',
+        errors: mappingErrors
+      });
+    }
+
+    const cellValue = (record, field) => (columns[field] === undefined ? '' : (record.cells[columns[field]] || '').trim());
+
+    // Look up every assignee once
+    const emails = new Set(records.flatMap(record => splitList(cellValue(record, 'assignees').toLowerCase(), /[\s,;]+/)));
+    const users = await User.find({ email: { $in: [...emails] }, isActive: true }).select('name email');
+    const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+    // Labels the import would add, by lower-cased name, with IDs assigned up front
+    const newLabels = new Map();
+    const labelId = (name) => {
+      const key = name.toLowerCase();
+      const existing = board.labels.find(label => label.name.toLowerCase() === key);
+      if (existing) return existing._id.toString();
+
+      if (!newLabels.has(key)) {
+        newLabels.set(key, { _id: new mongoose.Types.ObjectId(), name, color: NEW_LABEL_COLOR });
+      }
+      return newLabels.get(key)._id.toString();
+    };
+
+    const rows = records.map(record => {
+      const errors = [];
+      const data = {
+        title: cellValue(record, 'title'),
+        listId: list._id.toString(),
+        boardId: board._id.toString()
+      };
+
+      const description = cellValue(record, 'description');
+      if (description) data.description = description;
+
+      const priority = cellValue(record, 'priority');
+      if (priority) data.priority = priority.toLowerCase();
+
+      const dueDate = cellValue(record, 'dueDate');
+      if (dueDate) data.dueDate = dueDate;
+
+      const estimatedHours = cellValue(record, 'estimatedHours');
+      if (estimatedHours) data.estimatedHours = estimatedHours;
+
+      const labelNames = splitList(cellValue(record, 'labels'), ',');
+      const tooLong = labelNames.find(name => name.length > 50);
+      if (tooLong) {
+        errors.push({ field: 'labels', message: `Label "${tooLong.slice(0, 50)}..." is longer than 50 characters` });
+      } else if (labelNames.length > 0) {
+        data.labels = [...new Set(labelNames.map(labelId))];
+      }
+
+      const assignees = [];
+      splitList(cellValue(record, 'assignees').toLowerCase(), /[\s,;]+/).forEach(email => {
+        const user = usersByEmail.get(email);
+        if (user && board.isMember(user._id)) {
+          assignees.push(user._id.toString());
+        } else {
+          errors.push({ field: 'assignees', message: `${email} is not a member of this board` });
+        }
+      });
+      if (assignees.length > 0) data.assignedTo = [...new Set(assignees)];
+
+      const { error, value } = cardValidationSchemas.create.validate(data, { abortEarly: false });
+      if (error) {
+        error.details.forEach(detail => errors.push({ field: detail.path[0], message: detail.message }));
+      }
+
+      return { row: record.line, card: value, errors };
+    });
+
+    const validRows = rows.filter(row => row.errors.length === 0);
+    const errors = rows.flatMap(row => row.errors.map(error => ({ row: row.row, ...error })));
+    const usedLabelIds = new Set(validRows.flatMap(row => (row.card.labels || [])));
+    const labelsToCreate = [...newLabels.values()].filter(label => usedLabelIds.has(label._id.toString()));
+
+    const existingCards = await Card.countDocuments({ listId: list._id });
+    const activeCards = list.cardLimit ? await Card.countDocuments({ listId: list._id, archived: false }) : 0;
+    const summary = {
+      listId: list._id,
+      columns: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, header.cells[index]])),
+      totalRows: rows.length,
+      validRows: validRows.length,
+      invalidRows: rows.length - validRows.length,
+      labelsToCreate: labelsToCreate.map(label => label.name)
+    };
+    const cardLimitExceeded = Boolean(list.cardLimit) && activeCards + validRows.length > list.cardLimit;
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: 'Dry run complete, no cards were created',
+        data: {
+          dryRun: true,
+          ...summary,
+          cardLimitExceeded,
+          errors,
+          preview: validRows.slice(0, CSV_PREVIEW_ROWS).map(row => ({ row: row.row, ...row.card }))
+        }
+      });
+    }
+
+    if (errors.length > 0 && !skipInvalid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some rows are invalid; fix them or set skipInvalid to import only the valid rows',
+        data: { ...summary, errors }
+      });
+    }
+
+    if (validRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid rows to import',
+        data: { ...summary, errors }
+      });
+    }
+
+    if (cardLimitExceeded) {
+      return res.status(400).json({
+        success: false,
+        message: `This list is limited to ${list.cardLimit} cards and already has ${activeCards}`
+      });
+    }
+
+    if (labelsToCreate.length > 0) {
+      labelsToCreate.forEach(label => board.labels.push(label));
+      await board.save();
+    }
+
+    const cards = await Card.insertMany(validRows.map((row, index) => ({
+      ...row.card,
+      createdBy: req.user._id,
+      position: existingCards + index
+    })));
+
+    emitToBoardMembers(req, board._id, 'cards-imported', {
+      boardId: board._id,
+      listId: list._id,
+      cardIds: cards.map(card => card._id),
+      importedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cards imported successfully',
+      data: {
+        ...summary,
+        imported: cards.length,
+        errors,
+        cards
+      }
+    });
+
+  } catch (error) {
+    console.error('CSV import error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import cards from CSV'
+    });
+  }
+};
+
+module.exports = {
+  importTrelloBoard,
+  importCardsFromCsv: [csvUpload.single('file'), validate(listValidationSchemas.importCards), importCardsFromCsv],
+  resolveCsvColumns
+};
\ No newline at end of file
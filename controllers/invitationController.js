@@ -0,0 +1,441 @@
+const BoardInvitation = require('../models/BoardInvitation');
+const Board = require('../models/Board');
+const User = require('../models/User');
+const { logSecurityEvent } = require('../middleware/logger');
+const { getEmailVerificationPolicy } = require('../config/verification');
+const { sendMail, buildFrontendUrl } = require('../utils/mailer');
+const { emitToBoardMembers } = require('../socket/socketHandlers');
+
+const DEFAULT_EXPIRES_IN_DAYS = parseInt(process.env.BOARD_INVITATION_EXPIRES_DAYS) || 7;
+
+/**
+ * Email an invitation link to the invitee
+ * @param {Object} invitation - BoardInvitation document
+ * @param {String} token - Raw invitation token
+ * @param {Object} board - Board document
+ * @param {Object} inviter - User sending the invitation
+ */
+const sendInvitationEmail = async (invitation, token, board, inviter) => {
+  const inviteUrl = buildFrontendUrl(`/invitations/${token}`);
+
+  await sendMail({
+    to: invitation.email,
+    subject: `${inviter.name} invited you to "${board.name}" on KanbanFlow`,
+    text: `Hi,\n\n` +
+      `${inviter.name} invited you to join the board "${board.name}" as ${invitation.role}.\n\n` +
+      `Open the link below to accept. If you don't have an account yet, sign up with this email address and you will be added automatically:\n\n${inviteUrl}\n\n` +
+      `This invitation expires on ${invitation.expiresAt.toUTCString()}.`
+  });
+};
+
+/**
+ * Tell the board room that someone joined through an invitation
+ * @param {Object} req - Express request object
+ * @param {Object} board - Board document
+ * @param {Object} user - User who joined
+ */
+const notifyMemberJoined = (req, board, user) => {
+  emitToBoardMembers(req, board._id, 'member-added', {
+    boardId: board._id,
+    member: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      avatarUrl: user.avatarUrl
+    },
+    role: board.getRole(user._id),
+    viaInvitation: true
+  });
+};
+
+/**
+ * Accept every pending email invitation for a user with a verified address.
+ * Called after login and email verification; failures never block those flows.
+ * @param {Object} req - Express request object
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} - Boards the user joined
+ */
+const acceptPendingInvitations = async (req, user) => {
+  try {
+    const boards = await BoardInvitation.acceptPendingForUser(user);
+
+    boards.forEach(board => notifyMemberJoined(req, board, user));
+
+    if (boards.length > 0) {
+      logSecurityEvent('board_invitations_accepted', {
+        userId: user._id,
+        boardIds: boards.map(board => board._id),
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    }
+
+    return boards;
+
+  } catch (error) {
+    console.error('Accept pending invitations error:', error);
+    return [];
+  }
+};
+
+/**
+ * Invite someone to a board by email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createInvitation = async (req, res) => {
+  try {
+    const board = req.board;
+    const { role = Board.DEFAULT_MEMBER_ROLE, expiresInDays = DEFAULT_EXPIRES_IN_DAYS } = req.body;
+    const email = req.body.email.toLowerCase().trim();
+
+    // Only the owner can hand out the admin role
+    if (role === 'admin' && !req.isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the board owner can invite admins'
+      });
+    }
+
+    const existingUser = await User.findOne({ email });
+
+    if (existingUser && board.isMember(existingUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already a member of this board'
+      });
+    }
+
+    // Inviting the same address again replaces the earlier invitation
+    await BoardInvitation.updateMany(
+      { boardId: board._id, type: 'email', email, revokedAt: null, useCount: 0 },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const { token, invitation } = await BoardInvitation.createInvitation({
+      boardId: board._id,
+      type: 'email',
+      email,
+      role,
+      invitedBy: req.user._id,
+      expiresInDays
+    });
+
+    // The invitation is still usable (and can be re-sent) if the email fails
+    let emailSent = true;
+    try {
+      await sendInvitationEmail(invitation, token, board, req.user);
+    } catch (mailError) {
+      emailSent = false;
+      console.error('Invitation mail error:', mailError);
+    }
+
+    emitToBoardMembers(req, board._id, 'invitation-created', {
+      boardId: board._id,
+      invitation,
+      invitedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
+
+    logSecurityEvent('board_invitation_created', {
+      userId: req.user._id,
+      boardId: board._id,
+      invitationId: invitation._id,
+      email,
+      role,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: emailSent ? 'Invitation sent successfully' : 'Invitation created, but the email could not be sent',
+      data: invitation
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create invitation'
+    });
+  }
+};
+
+/**
+ * Create a shareable invite link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createInviteLink = async (req, res) => {
+  try {
+    const board = req.board;
+    const { role = Board.DEFAULT_MEMBER_ROLE, maxUses = null, expiresInDays = DEFAULT_EXPIRES_IN_DAYS } = req.body;
+
+    // Anyone holding the link gets this role, so admin links are owner-only
+    if (role === 'admin' && !req.isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the board owner can create admin invite links'
+      });
+    }
+
+    const { token, invitation } = await BoardInvitation.createInvitation({
+      boardId: board._id,
+      type: 'link',
+      role,
+      invitedBy: req.user._id,
+      expiresInDays,
+      maxUses
+    });
+
+    emitToBoardMembers(req, board._id, 'invitation-created', {
+      boardId: board._id,
+      invitation,
+      invitedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
+
+    logSecurityEvent('board_invite_link_created', {
+      userId: req.user._id,
+      boardId: board._id,
+      invitationId: invitation._id,
+      role,
+      maxUses,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite link created. Copy it now, it will not be shown again.',
+      data: {
+        ...invitation.toJSON(),
+        token,
+        url: buildFrontendUrl(`/invitations/${token}`)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create invite link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create invite link'
+    });
+  }
+};
+
+/**
+ * List a board's pending invitations and invite links
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getInvitations = async (req, res) => {
+  try {
+    const invitations = await BoardInvitation.findPendingForBoard(req.board._id);
+
+    res.json({
+      success: true,
+      data: invitations
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitations'
+    });
+  }
+};
+
+/**
+ * Revoke an invitation or invite link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await BoardInvitation.findOne({
+      _id: req.params.invitationId,
+      boardId: req.board._id
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (!invitation.revokedAt) {
+      invitation.revokedAt = new Date();
+      await invitation.save();
+
+      emitToBoardMembers(req, req.board._id, 'invitation-revoked', {
+        boardId: req.board._id,
+        invitation,
+        revokedBy: {
+          userId: req.user._id,
+          userName: req.user.name
+        }
+      });
+    }
+
+    logSecurityEvent('board_invitation_revoked', {
+      userId: req.user._id,
+      boardId: req.board._id,
+      invitationId: invitation._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invitation'
+    });
+  }
+};
+
+/**
+ * Preview an invitation before accepting it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await BoardInvitation.findActiveByToken(req.params.token)
+      .populate('boardId', 'name description backgroundColor')
+      .populate('invitedBy', 'name avatarUrl');
+
+    if (!invitation || !invitation.boardId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        type: invitation.type,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+        board: invitation.boardId,
+        invitedBy: invitation.invitedBy
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitation'
+    });
+  }
+};
+
+/**
+ * Accept an invitation or invite link as the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await BoardInvitation.findActiveByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    // Email invitations are personal
+    if (invitation.type === 'email' && invitation.email !== req.user.email) {
+      logSecurityEvent('board_invitation_email_mismatch', {
+        userId: req.user._id,
+        invitationId: invitation._id,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    // Same rule as adding a member directly; pending email invitations wait for verification too
+    if (getEmailVerificationPolicy().requireForMembership && !req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'This user must verify their email address before being added to boards'
+      });
+    }
+
+    const wasMember = await Board.exists({
+      _id: invitation.boardId,
+      $or: [{ ownerId: req.user._id }, { members: req.user._id }]
+    });
+
+    const board = await invitation.redeem(req.user._id);
+
+    if (!board) {
+      return res.status(410).json({
+        success: false,
+        message: 'Invitation is no longer available'
+      });
+    }
+
+    if (!wasMember) {
+      notifyMemberJoined(req, board, req.user);
+    }
+
+    logSecurityEvent('board_invitation_accepted', {
+      userId: req.user._id,
+      boardId: board._id,
+      invitationId: invitation._id,
+      type: invitation.type,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: wasMember ? 'You are already a member of this board' : 'Invitation accepted',
+      data: {
+        boardId: board._id,
+        role: board.getRole(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation'
+    });
+  }
+};
+
+module.exports = {
+  createInvitation,
+  createInviteLink,
+  getInvitations,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation,
+  acceptPendingInvitations
+};
\ No newline at end of file
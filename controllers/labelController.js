@@ -0,0 +1,218 @@
+const Card = require('../models/Card');
+const { emitToBoardMembers } = require('../socket/socketHandlers');
+
+/**
+ * Find a label in the board's catalog, sending a 404 otherwise
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} - Label subdocument
+ */
+const findLabel = (req, res) => {
+  const label = req.board.labels.id(req.params.labelId);
+
+  if (!label) {
+    res.status(404).json({
+      success: false,
+      message: 'Label not found'
+    });
+    return null;
+  }
+
+  return label;
+};
+
+/**
+ * Send a 409 if another label on the board already has this name and color
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {String} name - Label name
+ * @param {String} color - Label color
+ * @param {Object} label - Label being updated, if any
+ * @returns {Boolean} - Whether a duplicate was found
+ */
+const rejectDuplicate = (req, res, name, color, label = null) => {
+  const existing = req.board.findLabelByName(name, color);
+
+  if (existing && (!label || !existing._id.equals(label._id))) {
+    res.status(409).json({
+      success: false,
+      message: 'A label with this name and color already exists on the board'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Get the board's label catalog with how many cards use each label
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLabels = async (req, res) => {
+  try {
+    const board = req.board;
+
+    const usage = await Card.aggregate([
+      { $match: { boardId: board._id, archived: false } },
+      { $unwind: '$labels' },
+      { $group: { _id: '$labels', cardCount: { $sum: 1 } } }
+    ]);
+    const cardCounts = new Map(usage.map(entry => [entry._id.toString(), entry.cardCount]));
+
+    res.json({
+      success: true,
+      data: board.labels.map(label => ({
+        ...label.toJSON(),
+        cardCount: cardCounts.get(label._id.toString()) || 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get labels error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch labels'
+    });
+  }
+};
+
+/**
+ * Add a label to the board's catalog
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createLabel = async (req, res) => {
+  try {
+    const board = req.board;
+    const { name, color } = req.body;
+
+    if (rejectDuplicate(req, res, name, color)) return;
+
+    board.labels.push({ name: name.trim(), color });
+    await board.save();
+
+    const label = board.labels[board.labels.length - 1];
+
+    emitToBoardMembers(req, board._id, 'label-created', {
+      boardId: board._id,
+      label,
+      createdBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Label created successfully',
+      data: label
+    });
+
+  } catch (error) {
+    console.error('Create label error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create label'
+    });
+  }
+};
+
+/**
+ * Rename or recolor a label; cards reference it by ID so they all pick up the change
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateLabel = async (req, res) => {
+  try {
+    const board = req.board;
+    const label = findLabel(req, res);
+    if (!label) return;
+
+    const name = req.body.name !== undefined ? req.body.name.trim() : label.name;
+    const color = req.body.color || label.color;
+
+    if (rejectDuplicate(req, res, name, color, label)) return;
+
+    label.name = name;
+    label.color = color;
+    await board.save();
+
+    emitToBoardMembers(req, board._id, 'label-updated', {
+      boardId: board._id,
+      label,
+      updatedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Label updated successfully',
+      data: label
+    });
+
+  } catch (error) {
+    console.error('Update label error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update label'
+    });
+  }
+};
+
+/**
+ * Remove a label from the catalog and from every card on the board
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteLabel = async (req, res) => {
+  try {
+    const board = req.board;
+    const label = findLabel(req, res);
+    if (!label) return;
+
+    const labelId = label._id;
+
+    const { modifiedCount } = await Card.updateMany(
+      { boardId: board._id, labels: labelId },
+      { $pull: { labels: labelId } }
+    );
+
+    board.labels.pull(labelId);
+    await board.save();
+
+    emitToBoardMembers(req, board._id, 'label-deleted', {
+      boardId: board._id,
+      labelId,
+      deletedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Label deleted successfully',
+      data: {
+        labelId,
+        cardsUpdated: modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete label error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete label'
+    });
+  }
+};
+
+module.exports = {
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel
+};
\ No newline at end of file
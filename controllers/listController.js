@@ -1,8 +1,8 @@
 const List = require('../models/List');
-const Board = require('../models/Board');
 const Card = require('../models/Card');
 const { validationResult } = require('express-validator');
 const { emitToBoardMembers } = require('../socket/socketHandlers');
+const { buildCustomFieldFilter } = require('../utils/customFields');
 
 /**
  * Create a new list
@@ -21,7 +21,6 @@ const createList = async (req, res) => {
     }
 
     const { name, boardId } = req.body;
-    const userId = req.user._id;
 
     // Add a check to ensure name is a string
     if (typeof name !== 'string' || name.trim() === '') {
@@ -31,22 +30,8 @@ const createList = async (req, res) => {
       });
     }
 
-    // Check if board exists and user has access
-    const board = await Board.findById(boardId);
-
-    if (!board) {
-      return res.status(404).json({
-        success: false,
-        message: 'Board not found'
-      });
-    }
-
-    if (!board.isMember(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this board'
-      });
-    }
+    // Board access is resolved by requireBoardRole
+    const board = req.board;
 
     // --- START: This is the critical new logic ---
     // Count existing lists to determine the new position
@@ -65,15 +50,13 @@ const createList = async (req, res) => {
     await list.save();
 
     // Emit update to board members
-    if (req.io) {
-      emitToBoardMembers(req, boardId, 'list-created', {
-        list,
-        createdBy: {
-          userId: req.user._id,
-          userName: req.user.name
-        }
-      });
-    }
+    emitToBoardMembers(req, boardId, 'list-created', {
+      list,
+      createdBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
 
     res.status(201).json({
       success: true,
@@ -108,27 +91,11 @@ const updateList = async (req, res) => {
     }
     
     const listId = req.params.id;
-    const userId = req.user._id;
     const updateData = req.body;
     
-    const list = await List.findById(listId);
-    
-    if (!list) {
-      return res.status(404).json({
-        success: false,
-        message: 'List not found'
-      });
-    }
-    
-    // Check if user has access to the board
-    const board = await Board.findById(list.boardId);
-    
-    if (!board || !board.isMember(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this board'
-      });
-    }
+    // List and board access are resolved by requireBoardRole
+    const list = req.list;
+    const board = req.board;
     
     // Update allowed fields
     const allowedUpdates = ['name', 'cardLimit', 'wipLimit'];
@@ -149,15 +116,13 @@ const updateList = async (req, res) => {
     );
     
     // Emit update to board members
-    if (req.io) {
-      emitToBoardMembers(req.io, board._id, 'list-updated', {
-        list: updatedList,
-        updatedBy: {
-          userId: req.user._id,
-          userName: req.user.name
-        }
-      });
-    }
+    emitToBoardMembers(req, board._id, 'list-updated', {
+      list: updatedList,
+      updatedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
     
     res.json({
       success: true,
@@ -182,26 +147,10 @@ const updateList = async (req, res) => {
 const deleteList = async (req, res) => {
   try {
     const listId = req.params.id;
-    const userId = req.user._id;
-    
-    const list = await List.findById(listId);
-    
-    if (!list) {
-      return res.status(404).json({
-        success: false,
-        message: 'List not found'
-      });
-    }
     
-    // Check if user has access to the board
-    const board = await Board.findById(list.boardId);
-    
-    if (!board || !board.isMember(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this board'
-      });
-    }
+    // List and board access are resolved by requireBoardRole
+    const list = req.list;
+    const board = req.board;
     
     // Check if list has cards
     const cardCount = await Card.countDocuments({ listId, archived: false });
@@ -217,15 +166,13 @@ const deleteList = async (req, res) => {
     await list.deleteOne();
     
     // Emit update to board members
-    if (req.io) {
-      emitToBoardMembers(req.io, board._id, 'list-deleted', {
-        listId,
-        deletedBy: {
-          userId: req.user._id,
-          userName: req.user.name
-        }
-      });
-    }
+    emitToBoardMembers(req, board._id, 'list-deleted', {
+      listId,
+      deletedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
     
     res.json({
       success: true,
@@ -259,41 +206,23 @@ const reorderList = async (req, res) => {
     
     const listId = req.params.id;
     const { position } = req.body;
-    const userId = req.user._id;
-    
-    const list = await List.findById(listId);
-    
-    if (!list) {
-      return res.status(404).json({
-        success: false,
-        message: 'List not found'
-      });
-    }
     
-    // Check if user has access to the board
-    const board = await Board.findById(list.boardId);
-    
-    if (!board || !board.isMember(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this board'
-      });
-    }
+    // List and board access are resolved by requireBoardRole
+    const list = req.list;
+    const board = req.board;
     
     // Move list to new position
     await list.moveToPosition(position);
     
     // Emit update to board members
-    if (req.io) {
-      emitToBoardMembers(req.io, board._id, 'list-reordered', {
-        listId,
-        newPosition: position,
-        reorderedBy: {
-          userId: req.user._id,
-          userName: req.user.name
-        }
-      });
-    }
+    emitToBoardMembers(req, board._id, 'list-reordered', {
+      listId,
+      newPosition: position,
+      reorderedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
     
     res.json({
       success: true,
@@ -319,41 +248,23 @@ const archiveList = async (req, res) => {
   try {
     const listId = req.params.id;
     const { archived } = req.body;
-    const userId = req.user._id;
     
-    const list = await List.findById(listId);
-    
-    if (!list) {
-      return res.status(404).json({
-        success: false,
-        message: 'List not found'
-      });
-    }
-    
-    // Check if user has access to the board
-    const board = await Board.findById(list.boardId);
-    
-    if (!board || !board.isMember(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this board'
-      });
-    }
+    // List and board access are resolved by requireBoardRole
+    const list = req.list;
+    const board = req.board;
     
     list.archived = archived;
     await list.save();
     
     // Emit update to board members
-    if (req.io) {
-      emitToBoardMembers(req.io, board._id, 'list-archived', {
-        listId,
-        archived,
-        archivedBy: {
-          userId: req.user._id,
-          userName: req.user.name
-        }
-      });
-    }
+    emitToBoardMembers(req, board._id, 'list-archived', {
+      listId,
+      archived,
+      archivedBy: {
+        userId: req.user._id,
+        userName: req.user.name
+      }
+    });
     
     res.json({
       success: true,
@@ -371,20 +282,21 @@ const archiveList = async (req, res) => {
 };
 
 /**
- * Get list with cards
+ * Get list with cards (?sort=votes or field:<fieldId>[:desc], ?field[<fieldId>]=value)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const getListWithCards = async (req, res) => {
   try {
     const listId = req.params.id;
-    const userId = req.user._id;
+    const board = req.board;
+    const cardFilter = buildCustomFieldFilter(board, req.query.field, req.user);
     
     const list = await List.findById(listId)
       .populate({
         path: 'cards',
-        match: { archived: false },
-        options: { sort: { position: 1 } },
+        match: { ...cardFilter, archived: false },
+        options: { sort: Card.sortOrder(req.query.sort, board) },
         populate: {
           path: 'assignedTo',
           select: 'name email avatarUrl'
@@ -398,22 +310,19 @@ const getListWithCards = async (req, res) => {
       });
     }
     
-    // Check if user has access to the board
-    const board = await Board.findById(list.boardId);
-    
-    if (!board || !board.isMember(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this board'
-      });
-    }
-    
     res.json({
       success: true,
-      data: list
+      data: list.toBoardJSON(board, req.user._id)
     });
     
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     console.error('Get list error:', error);
     res.status(500).json({
       success: false,
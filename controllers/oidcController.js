@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const OidcState = require('../models/OidcState');
+const LoginEvent = require('../models/LoginEvent');
+const { logSecurityEvent, getClientIP } = require('../middleware/logger');
+const { createError } = require('../middleware/errorHandler');
+const { getOidcConfig } = require('../config/oidc');
+const oidc = require('../utils/oidc');
+const { acceptPendingInvitations } = require('./invitationController');
+
+/**
+ * Turn a provider display name into one the User model accepts (letters and spaces)
+ * @param {String} name - Name from the identity provider
+ * @param {String} email - Email address, used as a fallback
+ * @returns {String} - Usable name
+ */
+const toUserName = (name, email) => {
+  const clean = (value) => (value || '').replace(/[^a-zA-Z\s]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 50);
+
+  const fromName = clean(name);
+  if (fromName.length >= 2) return fromName;
+
+  const fromEmail = clean(email.split('@')[0]);
+  if (fromEmail.length >= 2) return fromEmail;
+
+  return 'SSO User';
+};
+
+/**
+ * Find, link or create the account for an identity returned by the provider
+ * @param {Object} identity - Result of oidc.authenticate
+ * @param {Object} config - OIDC configuration
+ * @returns {Promise<Object>} - { user, action } where action is login, linked or provisioned
+ */
+const resolveOidcUser = async (identity, config) => {
+  const { issuer, subject, email, emailVerified } = identity;
+
+  const linkedUser = await User.findByOidcIdentity(issuer, subject);
+  if (linkedUser) {
+    return { user: linkedUser, action: 'login' };
+  }
+
+  if (!email) {
+    throw createError('The identity provider did not share an email address', 403);
+  }
+
+  const domain = email.split('@')[1];
+  if (config.allowedDomains.length > 0 && !config.allowedDomains.includes(domain)) {
+    throw createError('Single sign-on is not allowed for this email domain', 403);
+  }
+
+  const existingUser = await User.findOne({ email });
+
+  if (existingUser) {
+    // Only a provider-verified address proves the SSO user owns the existing account
+    if (!config.linkExisting || !emailVerified) {
+      throw createError('An account with this email already exists. Please sign in with your password.', 409);
+    }
+
+    existingUser.oidcIdentities.push({ issuer, subject });
+    existingUser.emailVerified = true;
+    await existingUser.save({ validateBeforeSave: false });
+
+    return { user: existingUser, action: 'linked' };
+  }
+
+  if (!config.autoProvision) {
+    throw createError('No account exists for this email address', 403);
+  }
+
+  // SSO users get an unusable random password; "Forgot password" can set a real one later
+  const user = new User({
+    name: toUserName(identity.name, email),
+    email,
+    password: crypto.randomBytes(32).toString('hex'),
+    emailVerified,
+    oidcIdentities: [{ issuer, subject }]
+  });
+  await user.save();
+
+  return { user, action: 'provisioned' };
+};
+
+/**
+ * Tell the frontend whether SSO is available
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOidcProvider = (req, res) => {
+  const { enabled, providerName } = getOidcConfig();
+
+  res.json({
+    success: true,
+    data: {
+      enabled,
+      providerName: enabled ? providerName : null
+    }
+  });
+};
+
+/**
+ * Start an SSO login: returns the provider URL to redirect the browser to
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const startOidcLogin = async (req, res) => {
+  try {
+    const config = getOidcConfig();
+
+    if (!config.enabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const { codeVerifier, codeChallenge } = oidc.createPkcePair();
+    const { state, nonce } = await OidcState.start({ codeVerifier });
+    const authorizationUrl = await oidc.buildAuthorizationUrl(config, { state, nonce, codeChallenge });
+
+    res.json({
+      success: true,
+      data: {
+        authorizationUrl
+      }
+    });
+
+  } catch (error) {
+    console.error('OIDC start error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to start single sign-on'
+    });
+  }
+};
+
+/**
+ * Finish an SSO login with the code and state the provider redirected back with
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const completeOidcLogin = async (req, res) => {
+  try {
+    const config = getOidcConfig();
+    const { code, state } = req.body;
+
+    if (!config.enabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const pending = await OidcState.consume(state);
+
+    if (!pending) {
+      logSecurityEvent('login_oidc_failed', {
+        reason: 'invalid_state',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Single sign-on session is invalid or has expired, please try again'
+      });
+    }
+
+    const identity = await oidc.authenticate(config, {
+      code,
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce
+    });
+
+    const { user, action } = await resolveOidcUser(identity, config);
+
+    if (!user.isActive) {
+      throw createError('Account has been deactivated', 403);
+    }
+
+    if (action !== 'login') {
+      logSecurityEvent(action === 'linked' ? 'oidc_identity_linked' : 'user_provisioned_via_oidc', {
+        userId: user._id,
+        email: user.email,
+        issuer: identity.issuer,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    }
+
+    // Accounts with 2FA still need their second factor
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: user.generateTwoFactorChallenge()
+        }
+      });
+    }
+
+    await user.updateLastLogin();
+
+    const { token, refreshToken, expiresAt } = await RefreshToken.issueFor(user, {
+      ip: getClientIP(req),
+      userAgent: req.get('User-Agent')
+    });
+
+    const joinedBoards = await acceptPendingInvitations(req, user);
+
+    await LoginEvent.record(req, {
+      userId: user._id,
+      email: user.email,
+      success: true,
+      method: 'oidc'
+    });
+
+    logSecurityEvent('user_logged_in', {
+      userId: user._id,
+      email: user.email,
+      method: 'oidc',
+      issuer: identity.issuer,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.toJSON(),
+        token,
+        refreshToken,
+        expiresAt,
+        joinedBoards: joinedBoards.map(board => board._id),
+        accountCreated: action === 'provisioned'
+      }
+    });
+
+  } catch (error) {
+    logSecurityEvent('login_oidc_failed', {
+      reason: error.message,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('OIDC login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Single sign-on failed. Please try again.'
+    });
+  }
+};
+
+module.exports = {
+  getOidcProvider,
+  startOidcLogin,
+  completeOidcLogin
+};
\ No newline at end of file
@@ -0,0 +1,82 @@
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const { logSecurityEvent } = require('../middleware/logger');
+const { disconnectSession } = require('../socket/socketHandlers');
+
+/**
+ * List the current user's active login sessions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user._id);
+    const currentSessionId = req.token?.sid;
+    
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.toString() === currentSessionId
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+};
+
+/**
+ * Sign out a single login session (e.g. a lost laptop)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    const revokedCount = await RefreshToken.revokeSession(session._id, 'signed_out_remotely');
+    disconnectSession(req.io, session._id);
+    
+    logSecurityEvent('session_revoked', {
+      userId: req.user._id,
+      sessionId: session._id,
+      sessionUserAgent: session.userAgent,
+      sessionIp: session.ip,
+      revokedTokens: revokedCount,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    res.json({
+      success: true,
+      message: 'Session signed out successfully'
+    });
+    
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out session'
+    });
+  }
+};
+
+module.exports = {
+  getSessions,
+  revokeSession
+};
\ No newline at end of file
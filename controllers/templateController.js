@@ -0,0 +1,178 @@
+const BoardTemplate = require('../models/BoardTemplate');
+const Workspace = require('../models/Workspace');
+
+/**
+ * Summarize a template for the gallery: list names and counts instead of every card
+ * @param {Object} template - BoardTemplate document
+ * @returns {Object} - Template summary
+ */
+const toSummary = (template) => {
+  const { lists, ...summary } = template.toJSON();
+
+  return {
+    ...summary,
+    lists: lists.map(list => ({
+      name: list.name,
+      wipLimit: list.wipLimit,
+      cardLimit: list.cardLimit,
+      cardCount: list.cards.length
+    }))
+  };
+};
+
+/**
+ * Load a template the user can use, sending a 404 otherwise
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - BoardTemplate document
+ */
+const findAvailableTemplate = async (req, res) => {
+  const template = await BoardTemplate.findById(req.params.id);
+
+  if (!template || !(await template.isAvailableTo(req.user._id))) {
+    res.status(404).json({
+      success: false,
+      message: 'Template not found'
+    });
+    return null;
+  }
+
+  return template;
+};
+
+/**
+ * Get the template gallery: built-in templates, the user's own and their workspaces'
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTemplates = async (req, res) => {
+  try {
+    const templates = await BoardTemplate.findAvailable(req.user._id);
+
+    res.json({
+      success: true,
+      data: templates.map(toSummary)
+    });
+
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch templates'
+    });
+  }
+};
+
+/**
+ * Get a template with its lists, labels and card templates
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTemplate = async (req, res) => {
+  try {
+    const template = await findAvailableTemplate(req, res);
+    if (!template) return;
+
+    res.json({
+      success: true,
+      data: template
+    });
+
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch template'
+    });
+  }
+};
+
+/**
+ * Save a board's lists, labels, cards and settings as a template
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createTemplate = async (req, res) => {
+  try {
+    const { name, description, includeCards = true, workspaceId = null } = req.body;
+
+    // Board access was checked by requireBoardRole
+    const board = req.board;
+
+    if (workspaceId) {
+      const workspace = await Workspace.findById(workspaceId);
+
+      if (!workspace || !workspace.getRole(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only share templates with workspaces you belong to'
+        });
+      }
+    }
+
+    const template = await BoardTemplate.fromBoard(board, {
+      includeCards,
+      name: name || `${board.name} template`.slice(0, 100),
+      description: description ?? board.description,
+      ownerId: req.user._id,
+      workspaceId
+    });
+
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Template saved successfully',
+      data: template
+    });
+
+  } catch (error) {
+    console.error('Create template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save template'
+    });
+  }
+};
+
+/**
+ * Delete a template
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteTemplate = async (req, res) => {
+  try {
+    const template = await findAvailableTemplate(req, res);
+    if (!template) return;
+
+    if (!template.canManage(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: template.builtIn
+          ? 'Only administrators can delete built-in templates'
+          : 'Only the template owner can delete it'
+      });
+    }
+
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete template'
+    });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  deleteTemplate
+};
\ No newline at end of file
@@ -0,0 +1,137 @@
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { logSecurityEvent } = require('../middleware/logger');
+
+const MAX_TOKENS_PER_USER = 50;
+
+/**
+ * List the current user's personal access tokens
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTokens = async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({ userId: req.user._id })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+
+  } catch (error) {
+    console.error('Get tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch personal access tokens'
+    });
+  }
+};
+
+/**
+ * Create a personal access token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = 30 } = req.body;
+    const userId = req.user._id;
+
+    const activeCount = await PersonalAccessToken.countDocuments({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (activeCount >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You cannot have more than ${MAX_TOKENS_PER_USER} active personal access tokens`
+      });
+    }
+
+    const { token, accessToken } = await PersonalAccessToken.mint(userId, {
+      name: name.trim(),
+      scopes,
+      expiresInDays
+    });
+
+    logSecurityEvent('personal_access_token_created', {
+      userId,
+      tokenId: accessToken._id,
+      name: accessToken.name,
+      scopes: accessToken.scopes,
+      expiresAt: accessToken.expiresAt,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Personal access token created. Copy it now, it will not be shown again.',
+      data: {
+        ...accessToken.toJSON(),
+        token
+      }
+    });
+
+  } catch (error) {
+    console.error('Create token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create personal access token'
+    });
+  }
+};
+
+/**
+ * Revoke a personal access token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeToken = async (req, res) => {
+  try {
+    const accessToken = await PersonalAccessToken.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!accessToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Personal access token not found'
+      });
+    }
+
+    if (!accessToken.revokedAt) {
+      accessToken.revokedAt = new Date();
+      await accessToken.save();
+    }
+
+    logSecurityEvent('personal_access_token_revoked', {
+      userId: req.user._id,
+      tokenId: accessToken._id,
+      name: accessToken.name,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Personal access token revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke personal access token'
+    });
+  }
+};
+
+module.exports = {
+  getTokens,
+  createToken,
+  revokeToken
+};
\ No newline at end of file
@@ -0,0 +1,358 @@
+const User = require('../models/User');
+const Board = require('../models/Board');
+const RefreshToken = require('../models/RefreshToken');
+const LoginEvent = require('../models/LoginEvent');
+const { logSecurityEvent, getClientIP } = require('../middleware/logger');
+const { getTwoFactorPolicy } = require('../config/twoFactor');
+const totp = require('../utils/totp');
+const { acceptPendingInvitations } = require('./invitationController');
+
+const TWO_FACTOR_FIELDS = '+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+/**
+ * Start 2FA enrollment: create a secret, otpauth URI and recovery codes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { issuer } = getTwoFactorPolicy();
+    const secret = totp.generateSecret();
+    const recoveryCodes = totp.generateRecoveryCodes();
+
+    // Stored as pending until the user proves the authenticator works
+    user.twoFactorSecret = secret;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+    user.twoFactorLastUsedStep = null;
+    await user.save({ validateBeforeSave: false });
+
+    logSecurityEvent('2fa_setup_started', {
+      userId: user._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: totp.buildOtpauthUri({ secret, accountName: user.email, issuer }),
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode({ code })) {
+      logSecurityEvent('2fa_enable_failed', {
+        userId: user._id,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    logSecurityEvent('2fa_enabled', {
+      userId: user._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+};
+
+/**
+ * Complete a 2FA login with a TOTP or recovery code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let user;
+    try {
+      user = await User.findByTwoFactorChallenge(challengeToken);
+    } catch (challengeError) {
+      logSecurityEvent('login_2fa_failed', {
+        reason: challengeError.message,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge is invalid or has expired, please login again'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode({ code, recoveryCode })) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await user.incLoginAttempts();
+
+      await LoginEvent.record(req, {
+        userId: user._id,
+        email: user.email,
+        success: false,
+        method: recoveryCode ? '2fa_recovery_code' : '2fa_totp',
+        reason: 'Invalid authentication code'
+      });
+
+      logSecurityEvent('login_2fa_failed', {
+        userId: user._id,
+        reason: recoveryCode ? 'invalid_recovery_code' : 'invalid_code',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // Persists the consumed recovery code / time step and resets failed attempts
+    await user.updateLastLogin();
+
+    const { token, refreshToken, expiresAt } = await RefreshToken.issueFor(user, {
+      ip: getClientIP(req),
+      userAgent: req.get('User-Agent')
+    });
+
+    const joinedBoards = await acceptPendingInvitations(req, user);
+
+    await LoginEvent.record(req, {
+      userId: user._id,
+      email: user.email,
+      success: true,
+      method: recoveryCode ? '2fa_recovery_code' : '2fa_totp'
+    });
+
+    logSecurityEvent('user_logged_in', {
+      userId: user._id,
+      email: user.email,
+      method: recoveryCode ? '2fa_recovery_code' : '2fa_totp',
+      remainingRecoveryCodes: user.twoFactorRecoveryCodes.length,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.toJSON(),
+        token,
+        refreshToken,
+        expiresAt,
+        joinedBoards: joinedBoards.map(board => board._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again.'
+    });
+  }
+};
+
+/**
+ * Replace the recovery codes (requires a current TOTP code)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode({ code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+    await user.save({ validateBeforeSave: false });
+
+    logSecurityEvent('2fa_recovery_codes_regenerated', {
+      userId: user._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes'
+    });
+  }
+};
+
+/**
+ * Disable 2FA (requires password and a current code)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (getTwoFactorPolicy().requireForBoardOwners && await Board.exists({ ownerId: user._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Board owners must keep two-factor authentication enabled'
+      });
+    }
+
+    const passwordMatches = await user.comparePassword(password);
+
+    if (!passwordMatches || !user.verifyTwoFactorCode({ code, recoveryCode })) {
+      logSecurityEvent('2fa_disable_failed', {
+        userId: user._id,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = null;
+    user.twoFactorSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = null;
+    await user.save({ validateBeforeSave: false });
+
+    logSecurityEvent('2fa_disabled', {
+      userId: user._id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
\ No newline at end of file
@@ -0,0 +1,345 @@
+const Workspace = require('../models/Workspace');
+const Board = require('../models/Board');
+const User = require('../models/User');
+const { emitToUser } = require('../socket/socketHandlers');
+
+/**
+ * Get all workspaces for the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWorkspaces = async (req, res) => {
+  try {
+    const workspaces = await Workspace.findByUser(req.user._id)
+      .populate('ownerId', 'name email avatarUrl');
+
+    res.json({
+      success: true,
+      data: workspaces.map(workspace => ({
+        ...workspace.toJSON(),
+        myRole: workspace.getRole(req.user._id)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get workspaces error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch workspaces'
+    });
+  }
+};
+
+/**
+ * Get a workspace with its members and the boards the user can see
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWorkspace = async (req, res) => {
+  try {
+    const workspace = req.workspace;
+    const userId = req.user._id;
+
+    await workspace.populate([
+      { path: 'ownerId', select: 'name email avatarUrl' },
+      { path: 'members', select: 'name email avatarUrl' }
+    ]);
+
+    // Workspace admins see every board, members the workspace-visible ones and their own
+    const boardQuery = { workspaceId: workspace._id, archived: false };
+    if (!workspace.hasRole(userId, 'admin')) {
+      boardQuery.$or = [
+        { workspaceVisible: true },
+        { ownerId: userId },
+        { members: userId }
+      ];
+    }
+
+    const boards = await Board.find(boardQuery)
+      .populate('ownerId', 'name email avatarUrl')
+      .sort({ name: 1 });
+
+    const workspaceResponse = workspace.toJSON();
+    workspaceResponse.boards = boards;
+    workspaceResponse.myRole = req.workspaceRole;
+
+    res.json({
+      success: true,
+      data: workspaceResponse
+    });
+
+  } catch (error) {
+    console.error('Get workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch workspace'
+    });
+  }
+};
+
+/**
+ * Create a new workspace
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createWorkspace = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const workspace = new Workspace({
+      name: name.trim(),
+      description: description?.trim() || '',
+      ownerId: req.user._id
+    });
+
+    await workspace.save();
+    await workspace.populate('ownerId', 'name email avatarUrl');
+
+    res.status(201).json({
+      success: true,
+      message: 'Workspace created successfully',
+      data: workspace
+    });
+
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create workspace'
+    });
+  }
+};
+
+/**
+ * Update a workspace
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateWorkspace = async (req, res) => {
+  try {
+    const workspace = req.workspace;
+    const { name, description } = req.body;
+
+    if (name !== undefined) workspace.name = name.trim();
+    if (description !== undefined) workspace.description = description.trim();
+
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: 'Workspace updated successfully',
+      data: workspace
+    });
+
+  } catch (error) {
+    console.error('Update workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update workspace'
+    });
+  }
+};
+
+/**
+ * Delete a workspace (its boards become standalone boards)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteWorkspace = async (req, res) => {
+  try {
+    await req.workspace.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Workspace deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete workspace'
+    });
+  }
+};
+
+/**
+ * Add a member to a workspace
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const addWorkspaceMember = async (req, res) => {
+  try {
+    const workspace = req.workspace;
+    const { email, role = Workspace.DEFAULT_MEMBER_ROLE } = req.body;
+
+    // Only the owner can hand out the admin role
+    if (role === 'admin' && !workspace.isOwner(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the workspace owner can add admins'
+      });
+    }
+
+    const userToAdd = await User.findOne({ email: email.toLowerCase() });
+
+    if (!userToAdd) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found with this email address'
+      });
+    }
+
+    if (workspace.getRole(userToAdd._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already a member of this workspace'
+      });
+    }
+
+    workspace.addMember(userToAdd._id, role);
+    await workspace.save();
+    await workspace.populate('members', 'name email avatarUrl');
+
+    if (req.io) {
+      emitToUser(req.io, userToAdd._id, 'workspace-member-added', {
+        workspaceId: workspace._id,
+        workspaceName: workspace.name,
+        role
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member added successfully',
+      data: workspace
+    });
+
+  } catch (error) {
+    console.error('Add workspace member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add member'
+    });
+  }
+};
+
+/**
+ * Change a workspace member's role
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateWorkspaceMemberRole = async (req, res) => {
+  try {
+    const workspace = req.workspace;
+    const { memberId } = req.params;
+    const { role } = req.body;
+
+    if (workspace.isOwner(memberId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The workspace owner role cannot be changed'
+      });
+    }
+
+    const currentRole = workspace.getRole(memberId);
+
+    if (!currentRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this workspace'
+      });
+    }
+
+    // Promoting to or demoting from admin is reserved for the owner
+    if ((role === 'admin' || currentRole === 'admin') && !workspace.isOwner(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the workspace owner can grant or revoke the admin role'
+      });
+    }
+
+    workspace.setMemberRole(memberId, role);
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: {
+        memberId,
+        role
+      }
+    });
+
+  } catch (error) {
+    console.error('Update workspace member role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update member role'
+    });
+  }
+};
+
+/**
+ * Remove a member from a workspace
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const removeWorkspaceMember = async (req, res) => {
+  try {
+    const workspace = req.workspace;
+    const { memberId } = req.params;
+    const userId = req.user._id;
+
+    const isAdmin = workspace.hasRole(userId, 'admin');
+    const isSelfRemoval = userId.toString() === memberId;
+
+    if (!isAdmin && !isSelfRemoval) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace admins can remove members, or members can remove themselves'
+      });
+    }
+
+    if (workspace.isOwner(memberId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot remove workspace owner'
+      });
+    }
+
+    if (!isSelfRemoval && workspace.getRole(memberId) === 'admin' && !workspace.isOwner(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the workspace owner can remove admins'
+      });
+    }
+
+    // Direct board memberships are kept; only access through the workspace is lost
+    workspace.removeMember(memberId);
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove workspace member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member'
+    });
+  }
+};
+
+module.exports = {
+  getWorkspaces,
+  getWorkspace,
+  createWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  addWorkspaceMember,
+  updateWorkspaceMemberRole,
+  removeWorkspaceMember
+};
\ No newline at end of file
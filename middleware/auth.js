@@ -1,8 +1,49 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const Session = require('../models/Session');
+const { getClientIP, logSecurityEvent } = require('./logger');
+const { createError } = require('./errorHandler');
+const { getTwoFactorPolicy } = require('../config/twoFactor');
+const { snapshotOriginals } = require('../utils/activity');
 
 /**
- * Authentication middleware to verify JWT tokens
+ * Authenticate a request carrying a personal access token
+ * @param {String} token - Raw personal access token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticatePersonalAccessToken = async (token, req, res, next) => {
+  const accessToken = await PersonalAccessToken.findActiveByToken(token);
+  
+  if (!accessToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid, expired or revoked personal access token'
+    });
+  }
+  
+  const user = await User.findById(accessToken.userId).select('-password');
+  
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Account has been deactivated'
+    });
+  }
+  
+  await accessToken.touch(getClientIP(req));
+  
+  req.user = user;
+  req.authMethod = 'personal_access_token';
+  req.personalAccessToken = accessToken;
+  next();
+};
+
+/**
+ * Authentication middleware to verify JWT tokens and personal access tokens
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
@@ -37,9 +78,34 @@ const auth = async (req, res, next) => {
       });
     }
     
+    if (PersonalAccessToken.isPersonalAccessToken(token)) {
+      return await authenticatePersonalAccessToken(token, req, res, next);
+    }
+    
     try {
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: 'kanbanflow-app' });
+      
+      // Reject tokens on the revocation list (logout, password change, deactivation)
+      if (await RevokedToken.isRevoked(decoded.jti)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been revoked, please login again'
+        });
+      }
+      
+      // Reject tokens belonging to a session that was signed out
+      let session = null;
+      if (decoded.sid) {
+        session = await Session.findActive(decoded.sid);
+        
+        if (!session) {
+          return res.status(401).json({
+            success: false,
+            message: 'Session has been signed out, please login again'
+          });
+        }
+      }
       
       // Get user from database (excluding password)
       const user = await User.findById(decoded.id).select('-password');
@@ -51,8 +117,22 @@ const auth = async (req, res, next) => {
         });
       }
       
+      if (!user.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Account has been deactivated'
+        });
+      }
+      
       // Add user to request object
       req.user = user;
+      req.token = decoded;
+      req.authMethod = 'jwt';
+      req.authSession = session;
+      
+      if (session) {
+        await session.touch(getClientIP(req));
+      }
       next();
       
     } catch (tokenError) {
@@ -108,9 +188,16 @@ const optionalAuth = async (req, res, next) => {
     }
     
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: 'kanbanflow-app' });
+      
+      if (await RevokedToken.isRevoked(decoded.jti) ||
+          (decoded.sid && !await Session.findActive(decoded.sid))) {
+        req.user = null;
+        return next();
+      }
+      
       const user = await User.findById(decoded.id).select('-password');
-      req.user = user;
+      req.user = user && user.isActive ? user : null;
     } catch (error) {
       // Silently fail for optional auth
       req.user = null;
@@ -125,6 +212,64 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Require a scope when the request is authenticated with a personal access token.
+ * Interactive (JWT) sessions have full access and always pass.
+ * @param {String} scope - Required scope, e.g. 'boards:read'
+ * @returns {Function} - Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (req.authMethod !== 'personal_access_token' || req.personalAccessToken.hasScope(scope)) {
+    return next();
+  }
+  
+  return res.status(403).json({
+    success: false,
+    message: `Personal access token is missing the required scope: ${scope}`
+  });
+};
+
+/**
+ * Reject personal access tokens on routes that manage the account itself
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireSessionAuth = (req, res, next) => {
+  if (req.authMethod === 'personal_access_token') {
+    return res.status(403).json({
+      success: false,
+      message: 'This action requires an interactive login, personal access tokens are not accepted'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Require the platform admin role
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    logSecurityEvent('admin_access_denied', {
+      userId: req.user?._id,
+      url: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Admin role required.'
+    });
+  }
+  
+  next();
+};
+
 /**
  * Check if user is board owner
  * @param {Object} req - Express request object
@@ -152,6 +297,14 @@ const isBoardOwner = async (req, res, next) => {
       });
     }
     
+    // Owners from before the 2FA requirement keep access but must enroll to manage the board
+    if (getTwoFactorPolicy().requireForBoardOwners && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please enable two-factor authentication to manage boards you own'
+      });
+    }
+    
     req.board = board;
     next();
     
@@ -208,9 +361,175 @@ const isBoardMember = async (req, res, next) => {
   }
 };
 
+/**
+ * Board resolvers for requireBoardRole. Each returns the board ID a request
+ * targets; card and list resolvers also leave the loaded document on req.
+ */
+const boardFrom = {
+  params: async (req) => req.params.boardId || req.params.id,
+  
+  body: async (req) => req.body.boardId,
+  
+  card: async (req) => {
+    const Card = require('../models/Card');
+    const card = await Card.findById(req.params.cardId || req.params.id);
+    
+    if (!card) {
+      throw createError('Card not found', 404);
+    }
+    
+    req.card = card;
+    return card.boardId;
+  },
+  
+  list: async (req) => {
+    const List = require('../models/List');
+    const list = await List.findById(req.params.listId || req.params.id);
+    
+    if (!list) {
+      throw createError('List not found', 404);
+    }
+    
+    req.list = list;
+    return list.boardId;
+  }
+};
+
+/**
+ * Require at least the given board role (viewer < commenter < editor < admin < owner)
+ * @param {String} minRole - Minimum board role
+ * @param {Function} resolveBoardId - How to find the board, one of boardFrom.*
+ * @returns {Function} - Express middleware setting req.board and req.boardRole
+ */
+const requireBoardRole = (minRole, resolveBoardId = boardFrom.params) => async (req, res, next) => {
+  try {
+    const Board = require('../models/Board');
+    const boardId = await resolveBoardId(req);
+    
+    const board = boardId ? await Board.findById(boardId) : null;
+    
+    if (!board) {
+      return res.status(404).json({
+        success: false,
+        message: 'Board not found'
+      });
+    }
+    
+    const role = await board.resolveRole(req.user._id);
+    
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You are not a member of this board.'
+      });
+    }
+    
+    if (!Board.roleAtLeast(role, minRole)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. This action requires the ${minRole} role or higher.`
+      });
+    }
+    
+    // Archived boards are read-only until the owner restores them
+    if (board.archived && minRole !== 'viewer') {
+      return res.status(403).json({
+        success: false,
+        message: 'This board is archived and read-only'
+      });
+    }
+    
+    req.board = board;
+    req.boardRole = role;
+    req.isOwner = role === 'owner';
+    snapshotOriginals(req);
+    next();
+    
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+    
+    console.error('Board role check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking board permissions'
+    });
+  }
+};
+
+/**
+ * Require at least the given workspace role (member < admin < owner)
+ * @param {String} minRole - Minimum workspace role
+ * @returns {Function} - Express middleware setting req.workspace and req.workspaceRole
+ */
+const requireWorkspaceRole = (minRole) => async (req, res, next) => {
+  try {
+    const Workspace = require('../models/Workspace');
+    const workspace = await Workspace.findById(req.params.workspaceId || req.params.id);
+    
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found'
+      });
+    }
+    
+    const role = workspace.getRole(req.user._id);
+    
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You are not a member of this workspace.'
+      });
+    }
+    
+    if (!workspace.hasRole(req.user._id, minRole)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. This action requires the workspace ${minRole} role or higher.`
+      });
+    }
+    
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+    
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+    
+    console.error('Workspace role check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking workspace permissions'
+    });
+  }
+};
+
 module.exports = {
   auth,
   optionalAuth,
+  requireScope,
+  requireSessionAuth,
+  requireAdmin,
   isBoardOwner,
-  isBoardMember
+  isBoardMember,
+  requireBoardRole,
+  requireWorkspaceRole,
+  boardFrom
 };
\ No newline at end of file
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+// Kinds of things an activity can be about
+const ACTIVITY_TARGET_TYPES = ['board', 'list', 'card', 'label', 'custom-field', 'member', 'invitation'];
+
+const MAX_PAGE_SIZE = 100;
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+const activitySchema = new mongoose.Schema({
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  // Set for everything that happened to a card, so its history survives the card itself
+  cardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    default: null
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // created, updated, deleted, moved, archived, restored, commented, voted, ...
+  verb: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: {
+      type: String,
+      enum: ACTIVITY_TARGET_TYPES,
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    // Name at the time of the activity, so deleted targets still read well
+    name: {
+      type: String,
+      default: null
+    }
+  },
+  // Field-level before/after values for updates
+  changes: {
+    type: [changeSchema],
+    default: []
+  },
+  // Extra context, e.g. the comment text or the number of imported cards
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Socket event the activity was recorded from
+  event: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance; newest first by _id doubles as the pagination cursor
+activitySchema.index({ boardId: 1, _id: -1 });
+activitySchema.index({ cardId: 1, _id: -1 });
+
+// Static method to record an activity; never fails the request that caused it
+activitySchema.statics.record = async function(details) {
+  try {
+    return await this.create(details);
+  } catch (error) {
+    console.error('Activity log error:', error);
+    return null;
+  }
+};
+
+// Static method to get a page of activities, newest first, starting after a cursor
+activitySchema.statics.page = async function(filter, { before, limit } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+  const query = { ...filter };
+
+  if (before) {
+    query._id = { $lt: before };
+  }
+
+  // One extra row tells us whether there is another page
+  const activities = await this.find(query)
+    .sort({ _id: -1 })
+    .limit(pageSize + 1)
+    .populate('actorId', 'name email avatarUrl');
+
+  const hasMore = activities.length > pageSize;
+  const page = hasMore ? activities.slice(0, pageSize) : activities;
+
+  return {
+    activities: page,
+    nextCursor: hasMore ? page[page.length - 1]._id : null,
+    hasMore
+  };
+};
+
+// Static method to remove a deleted user's personal data from the log: their name where
+// they are the target, invitations to their address and the details of what they did
+// (comment text, file names, ...). Who did what stays, pointing at the anonymized user.
+activitySchema.statics.anonymizeUser = async function(userId, email) {
+  await this.updateMany(
+    { 'target.type': 'member', 'target.id': userId },
+    { $set: { 'target.name': null } }
+  );
+  await this.updateMany(
+    { 'target.type': 'invitation', 'target.name': email },
+    { $set: { 'target.name': null } }
+  );
+  await this.updateMany(
+    { actorId: userId },
+    { $set: { details: null } }
+  );
+};
+
+activitySchema.statics.TARGET_TYPES = ACTIVITY_TARGET_TYPES;
+
+module.exports = mongoose.model('Activity', activitySchema);
\ No newline at end of file
@@ -1,5 +1,72 @@
 const mongoose = require('mongoose');
 
+// Board roles from least to most privileged; the owner is always ownerId
+const BOARD_ROLES = ['viewer', 'commenter', 'editor', 'admin', 'owner'];
+const MEMBER_ROLES = BOARD_ROLES.filter(role => role !== 'owner');
+const DEFAULT_MEMBER_ROLE = 'editor';
+
+// private: members only, workspace: also readable by workspace members, public: anyone
+const VISIBILITY_LEVELS = ['private', 'workspace', 'public'];
+
+// Value types a board's custom fields can have
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'dropdown', 'checkbox', 'user'];
+const MAX_CUSTOM_FIELDS = 50;
+
+// ID string of an ObjectId or a populated document
+const toIdString = (value) => (value._id || value).toString();
+
+// Sub-schema for the board's label catalog; cards reference labels by ID
+const labelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Label name is required'],
+    trim: true,
+    maxlength: [50, 'Label name cannot exceed 50 characters']
+  },
+  color: {
+    type: String,
+    required: [true, 'Label color is required'],
+    validate: {
+      validator: function(v) {
+        return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(v);
+      },
+      message: 'Label color must be a valid hex color'
+    }
+  }
+}, {
+  _id: true
+});
+
+// Sub-schema for custom field definitions; cards store values keyed by the field's ID
+const customFieldSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Custom field name is required'],
+    trim: true,
+    maxlength: [50, 'Custom field name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    enum: CUSTOM_FIELD_TYPES,
+    required: [true, 'Custom field type is required']
+  },
+  // Choices for dropdown fields
+  options: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50
+    },
+    color: {
+      type: String,
+      default: null
+    }
+  }]
+}, {
+  _id: true
+});
+
 const boardSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -23,10 +90,27 @@ const boardSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  memberRoles: {
+    type: Map,
+    of: {
+      type: String,
+      enum: MEMBER_ROLES
+    },
+    default: {}
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
   isPublic: {
     type: Boolean,
     default: false
   },
+  workspaceVisible: {
+    type: Boolean,
+    default: false
+  },
   backgroundColor: {
     type: String,
     default: '#0079bf',
@@ -48,14 +132,50 @@ const boardSchema = new mongoose.Schema({
       message: 'Background image must be a valid URL'
     }
   },
-  starred: {
-    type: Boolean,
-    default: false
-  },
   archived: {
     type: Boolean,
     default: false
   },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Pending ownership transfer, waiting for the new owner to accept
+  ownershipTransfer: {
+    toUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+  labels: [labelSchema],
+  customFields: {
+    type: [customFieldSchema],
+    validate: {
+      validator: function(v) {
+        return v.length <= MAX_CUSTOM_FIELDS;
+      },
+      message: `A board cannot have more than ${MAX_CUSTOM_FIELDS} custom fields`
+    }
+  },
   settings: {
     allowComments: {
       type: Boolean,
@@ -84,6 +204,7 @@ const boardSchema = new mongoose.Schema({
 // Indexes for performance
 boardSchema.index({ ownerId: 1 });
 boardSchema.index({ members: 1 });
+boardSchema.index({ workspaceId: 1 });
 boardSchema.index({ createdAt: -1 });
 boardSchema.index({ name: 'text', description: 'text' });
 
@@ -93,6 +214,13 @@ boardSchema.virtual('memberCount').get(function() {
   return (this.members ? this.members.length : 0) + 1;
 });
 
+// Virtual for the visibility level
+boardSchema.virtual('visibility').get(function() {
+  if (this.isPublic) return 'public';
+  if (this.workspaceVisible && this.workspaceId) return 'workspace';
+  return 'private';
+});
+
 // Virtual for checking if board has lists
 boardSchema.virtual('hasLists', {
   ref: 'List',
@@ -117,6 +245,11 @@ boardSchema.pre('save', function(next) {
       memberId => !memberId.equals(this.ownerId)
     );
   }
+  
+  // The owner's role is implicit
+  if (this.ownerId && this.memberRoles.has(this.ownerId.toString())) {
+    this.memberRoles.delete(this.ownerId.toString());
+  }
   next();
 });
 
@@ -132,8 +265,70 @@ boardSchema.methods.isMember = function(userId) {
          this.members.some(memberId => memberId.toString() === userIdStr);
 };
 
+// Instance method to get a user's role on the board (null if not a member)
+boardSchema.methods.getRole = function(userId) {
+  if (!userId) return null;
+  
+  const userIdStr = toIdString(userId);
+  
+  if (toIdString(this.ownerId) === userIdStr) {
+    return 'owner';
+  }
+  
+  if (!this.members.some(member => toIdString(member) === userIdStr)) {
+    return null;
+  }
+  
+  // Members added before roles existed keep the access they always had
+  return this.memberRoles.get(userIdStr) || DEFAULT_MEMBER_ROLE;
+};
+
+// Instance method to check if user has at least the given role
+boardSchema.methods.hasRole = function(userId, minRole) {
+  const role = this.getRole(userId);
+  if (!role) return false;
+  
+  return BOARD_ROLES.indexOf(role) >= BOARD_ROLES.indexOf(minRole);
+};
+
+// Instance method to get a user's role including access granted through the workspace:
+// workspace admins administer every board in it, other workspace members can view
+// workspace-visible boards. The higher of the direct and workspace role wins.
+boardSchema.methods.resolveRole = async function(userId) {
+  const role = this.getRole(userId);
+  
+  if (!this.workspaceId || role === 'owner' || role === 'admin') {
+    return role;
+  }
+  
+  const Workspace = require('./Workspace');
+  const workspace = await Workspace.findById(this.workspaceId).select('ownerId members memberRoles');
+  const workspaceRole = workspace ? workspace.getRole(userId) : null;
+  
+  let derivedRole = null;
+  if (workspaceRole === 'owner' || workspaceRole === 'admin') {
+    derivedRole = 'admin';
+  } else if (workspaceRole && this.workspaceVisible) {
+    derivedRole = 'viewer';
+  }
+  
+  if (!role) return derivedRole;
+  if (!derivedRole) return role;
+  return BOARD_ROLES.indexOf(derivedRole) > BOARD_ROLES.indexOf(role) ? derivedRole : role;
+};
+
+// Instance method to change a member's role
+boardSchema.methods.setMemberRole = function(userId, role) {
+  if (!MEMBER_ROLES.includes(role)) {
+    throw new Error(`Invalid board role: ${role}`);
+  }
+  
+  this.memberRoles.set(userId.toString(), role);
+  return this;
+};
+
 // Instance method to add member
-boardSchema.methods.addMember = function(userId) {
+boardSchema.methods.addMember = function(userId, role = DEFAULT_MEMBER_ROLE) {
   const userIdStr = userId.toString();
   
   // Don't add owner as member
@@ -147,6 +342,7 @@ boardSchema.methods.addMember = function(userId) {
   }
   
   this.members.push(userId);
+  this.setMemberRole(userId, role);
   return this;
 };
 
@@ -156,14 +352,227 @@ boardSchema.methods.removeMember = function(userId) {
   this.members = this.members.filter(
     memberId => memberId.toString() !== userIdStr
   );
+  this.memberRoles.delete(userIdStr);
   return this;
 };
 
+// Instance method to get the user a pending, unexpired ownership transfer is addressed to
+boardSchema.methods.getPendingTransferTarget = function() {
+  const transfer = this.ownershipTransfer;
+  
+  if (!transfer || !transfer.toUserId || !transfer.expiresAt || transfer.expiresAt <= Date.now()) {
+    return null;
+  }
+  
+  return transfer.toUserId;
+};
+
+// Instance method to offer ownership to a member
+boardSchema.methods.requestOwnershipTransfer = function(toUserId, requestedBy, expiresInDays = 7) {
+  this.ownershipTransfer = {
+    toUserId,
+    requestedBy,
+    requestedAt: new Date(),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  };
+  return this;
+};
+
+// Instance method to drop a pending ownership transfer
+boardSchema.methods.clearOwnershipTransfer = function() {
+  this.ownershipTransfer = {
+    toUserId: null,
+    requestedBy: null,
+    requestedAt: null,
+    expiresAt: null
+  };
+  return this;
+};
+
+// Instance method to make another user the owner; the previous owner stays on as a member
+boardSchema.methods.transferOwnership = function(newOwnerId, previousOwnerRole = 'admin') {
+  const previousOwnerId = this.ownerId;
+  
+  this.removeMember(newOwnerId);
+  this.ownerId = newOwnerId;
+  this.addMember(previousOwnerId, previousOwnerRole);
+  this.clearOwnershipTransfer();
+  
+  return previousOwnerId;
+};
+
+// Instance method to find a label with the same name (case-insensitive) and color
+boardSchema.methods.findLabelByName = function(name, color) {
+  const normalizedName = name.trim().toLowerCase();
+  const normalizedColor = color.toLowerCase();
+  
+  return this.labels.find(label =>
+    label.name.toLowerCase() === normalizedName && label.color.toLowerCase() === normalizedColor
+  ) || null;
+};
+
+// Instance method to get the ID of a matching label, adding it to the catalog if missing
+boardSchema.methods.findOrAddLabel = function({ name, color }) {
+  const existing = this.findLabelByName(name, color);
+  if (existing) {
+    return existing._id;
+  }
+  
+  this.labels.push({ name: name.trim(), color });
+  return this.labels[this.labels.length - 1]._id;
+};
+
+// Instance method to check that every label ID belongs to the board's catalog
+boardSchema.methods.hasLabels = function(labelIds) {
+  return labelIds.every(labelId => Boolean(this.labels.id(labelId)));
+};
+
+// Instance method to find a custom field by name (case-insensitive)
+boardSchema.methods.findCustomFieldByName = function(name) {
+  const normalizedName = name.trim().toLowerCase();
+  return this.customFields.find(field => field.name.toLowerCase() === normalizedName) || null;
+};
+
 // Instance method to get all board members including owner
 boardSchema.methods.getAllMembers = function() {
   return [this.ownerId, ...this.members];
 };
 
+// Instance method to copy the board with its active lists and cards. Lists and cards get
+// new IDs and gap-free positions; `keep` chooses which card details come along.
+// If copying the lists or cards fails, the new board is deleted again.
+boardSchema.methods.copyTo = async function({ ownerId, name, workspaceId = null, includeCards = true, keep = {} }) {
+  const List = mongoose.model('List');
+  const Card = mongoose.model('Card');
+  
+  const copy = new this.constructor({
+    name,
+    description: this.description,
+    ownerId,
+    members: [ownerId],
+    workspaceId,
+    backgroundColor: this.backgroundColor,
+    backgroundImage: this.backgroundImage,
+    settings: this.settings,
+    // Label IDs are kept so copied cards can go on referencing them
+    labels: this.labels.map(({ _id, name, color }) => ({ _id, name, color })),
+    // Field IDs are kept too, so copied cards keep their values
+    customFields: this.customFields.map(({ _id, name, type, options }) => ({
+      _id,
+      name,
+      type,
+      options: options.map(({ _id, name, color }) => ({ _id, name, color }))
+    }))
+  });
+  
+  // Members keep their roles; the original owner stays on as an admin
+  if (keep.members) {
+    this.getAllMembers().forEach(memberId => {
+      copy.addMember(memberId, memberId.equals(this.ownerId) ? 'admin' : this.getRole(memberId));
+    });
+  }
+  
+  await copy.save();
+  
+  let listCopies;
+  let cardCopies;
+  
+  try {
+    const lists = await List.find({ boardId: this._id, archived: false })
+      .sort({ position: 1 });
+    
+    listCopies = await List.insertMany(lists.map((list, position) => ({
+      name: list.name,
+      boardId: copy._id,
+      position,
+      cardLimit: list.cardLimit,
+      wipLimit: list.wipLimit
+    })));
+    
+    const listIdMap = new Map(lists.map((list, index) => [list._id.toString(), listCopies[index]._id]));
+    
+    const cards = includeCards
+      ? await Card.find({ boardId: this._id, listId: { $in: lists.map(list => list._id) }, archived: false })
+        .sort({ listId: 1, position: 1 })
+      : [];
+    
+    const nextPosition = new Map();
+    const copyMemberIds = new Set(copy.getAllMembers().map(memberId => memberId.toString()));
+    const now = new Date();
+    
+    // User field values only survive for people on the new board
+    const userFieldIds = new Set(this.customFields
+      .filter(field => field.type === 'user')
+      .map(field => field._id.toString()));
+    const copyCustomFieldValues = (card) => new Map([...(card.customFields || new Map())].filter(([fieldId, value]) =>
+      !userFieldIds.has(fieldId) || copyMemberIds.has(value.toString())
+    ));
+    
+    cardCopies = cards.map(card => {
+      const listId = listIdMap.get(card.listId.toString());
+      const position = nextPosition.get(listId.toString()) || 0;
+      nextPosition.set(listId.toString(), position + 1);
+      
+      return {
+        title: card.title,
+        description: card.description,
+        listId,
+        boardId: copy._id,
+        position,
+        createdBy: ownerId,
+        priority: card.priority,
+        completed: card.completed,
+        completedAt: card.completedAt,
+        completedBy: card.completed ? card.completedBy : null,
+        estimatedHours: card.estimatedHours,
+        actualHours: card.actualHours,
+        startDate: card.startDate,
+        labels: keep.labels ? card.labels : [],
+        checklist: keep.checklists
+          ? card.checklist.map(({ text, completed, position }) => ({ text, completed, position }))
+          : [],
+        // Attachments are copied as references to the same files
+        attachments: keep.attachments
+          ? card.attachments.map(({ fileName, originalName, url, mimeType, size, uploadedBy, uploadedAt }) =>
+            ({ fileName, originalName, url, mimeType, size, uploadedBy, uploadedAt }))
+          : [],
+        // Only people on the new board can stay assigned
+        assignedTo: keep.assignees
+          ? card.assignedTo.filter(userId => copyMemberIds.has(userId.toString()))
+          : [],
+        // Cards only accept due dates in the future, so past ones are dropped
+        dueDate: keep.dueDates && card.dueDate && card.dueDate > now ? card.dueDate : null,
+        customFields: copyCustomFieldValues(card)
+      };
+    });
+    
+    if (cardCopies.length > 0) {
+      await Card.insertMany(cardCopies);
+    }
+
+  } catch (error) {
+    // Don't leave a half-copied board behind
+    await copy.deleteOne();
+    throw error;
+  }
+  
+  return { board: copy, lists: listCopies.length, cards: cardCopies.length };
+};
+
+// Static method to check a role against a minimum role
+boardSchema.statics.roleAtLeast = function(role, minRole) {
+  if (!role) return false;
+  return BOARD_ROLES.indexOf(role) >= BOARD_ROLES.indexOf(minRole);
+};
+
+// Static method to map a visibility level to the stored flags
+boardSchema.statics.visibilityFields = function(visibility) {
+  return {
+    isPublic: visibility === 'public',
+    workspaceVisible: visibility === 'workspace'
+  };
+};
+
 // Static method to find boards by user
 boardSchema.statics.findByUser = function(userId) {
   return this.find({
@@ -225,6 +634,17 @@ boardSchema.pre('deleteOne', { document: true, query: false }, async function(ne
     const Card = mongoose.model('Card');
     await Card.deleteMany({ boardId: this._id });
     
+    // Delete the board's activity log
+    const Activity = mongoose.model('Activity');
+    await Activity.deleteMany({ boardId: this._id });
+    
+    // Forget members' stars, pins and ordering for this board
+    const User = mongoose.model('User');
+    await User.updateMany(
+      { 'boardPreferences.boardId': this._id },
+      { $pull: { boardPreferences: { boardId: this._id } } }
+    );
+    
     next();
   } catch (error) {
     next(error);
@@ -242,4 +662,11 @@ boardSchema.post('deleteOne', function(doc) {
   console.log(`🗑️ Board deleted: ${doc.name} (${doc._id})`);
 });
 
+boardSchema.statics.ROLES = BOARD_ROLES;
+boardSchema.statics.MEMBER_ROLES = MEMBER_ROLES;
+boardSchema.statics.DEFAULT_MEMBER_ROLE = DEFAULT_MEMBER_ROLE;
+boardSchema.statics.VISIBILITY_LEVELS = VISIBILITY_LEVELS;
+boardSchema.statics.CUSTOM_FIELD_TYPES = CUSTOM_FIELD_TYPES;
+boardSchema.statics.MAX_CUSTOM_FIELDS = MAX_CUSTOM_FIELDS;
+
 module.exports = mongoose.model('Board', boardSchema);
\ No newline at end of file
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Board = require('./Board');
+
+const boardInvitationSchema = new mongoose.Schema({
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: [true, 'Board ID is required']
+  },
+  type: {
+    type: String,
+    enum: ['email', 'link'],
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+    required: [function() { return this.type === 'email'; }, 'Email is required for email invitations']
+  },
+  role: {
+    type: String,
+    enum: Board.MEMBER_ROLES,
+    default: Board.DEFAULT_MEMBER_ROLE
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // null means unlimited (share links only; email invitations are single use)
+  maxUses: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    default: null
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  acceptedBy: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    acceptedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+boardInvitationSchema.index({ boardId: 1, revokedAt: 1, expiresAt: 1 });
+boardInvitationSchema.index({ email: 1, type: 1 });
+
+// Virtual for whether the invitation can still be used
+boardInvitationSchema.virtual('isActive').get(function() {
+  return !this.revokedAt &&
+    this.expiresAt > Date.now() &&
+    (this.maxUses === null || this.useCount < this.maxUses);
+});
+
+// Static method to hash a raw token for storage and lookup
+boardInvitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to create an invitation (the raw token is only returned here)
+boardInvitationSchema.statics.createInvitation = async function({ boardId, type, email, role, invitedBy, expiresInDays, maxUses }) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const invitation = await this.create({
+    boardId,
+    type,
+    email: type === 'email' ? email : null,
+    role,
+    invitedBy,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    maxUses: type === 'email' ? 1 : (maxUses || null)
+  });
+
+  return { token, invitation };
+};
+
+// Static method to find a usable invitation by its raw token
+boardInvitationSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    $or: [
+      { maxUses: null },
+      { $expr: { $lt: ['$useCount', '$maxUses'] } }
+    ]
+  });
+};
+
+// Static method to list a board's invitations that can still be used
+boardInvitationSchema.statics.findPendingForBoard = function(boardId) {
+  return this.find({
+    boardId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    $or: [
+      { maxUses: null },
+      { $expr: { $lt: ['$useCount', '$maxUses'] } }
+    ]
+  })
+    .populate('invitedBy', 'name email avatarUrl')
+    .sort({ createdAt: -1 });
+};
+
+// Instance method to redeem the invitation for a user, adding them to the board.
+// Returns the board, or null if the invitation was used up or the board is gone.
+boardInvitationSchema.methods.redeem = async function(userId) {
+  const board = await Board.findById(this.boardId);
+
+  if (!board) {
+    return null;
+  }
+
+  // Existing members keep their role; they only use up personal (email) invitations
+  const alreadyMember = board.isMember(userId);
+  if (alreadyMember && this.type === 'link') {
+    return board;
+  }
+
+  // Claim a use atomically so concurrent redemptions can't exceed the limit
+  const claimed = await this.constructor.findOneAndUpdate({
+    _id: this._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    $or: [
+      { maxUses: null },
+      { $expr: { $lt: ['$useCount', '$maxUses'] } }
+    ]
+  }, {
+    $inc: { useCount: 1 },
+    $push: { acceptedBy: { userId, acceptedAt: new Date() } }
+  }, { new: true });
+
+  if (!claimed) {
+    return null;
+  }
+
+  this.useCount = claimed.useCount;
+  this.acceptedBy = claimed.acceptedBy;
+
+  if (!alreadyMember) {
+    board.addMember(userId, this.role);
+    await board.save();
+  }
+
+  return board;
+};
+
+// Static method to accept every pending email invitation for a user's verified address
+boardInvitationSchema.statics.acceptPendingForUser = async function(user) {
+  if (!user.emailVerified) {
+    return [];
+  }
+
+  const invitations = await this.find({
+    type: 'email',
+    email: user.email,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    useCount: 0
+  });
+
+  const boards = [];
+  for (const invitation of invitations) {
+    const board = await invitation.redeem(user._id);
+    if (board) {
+      boards.push(board);
+    }
+  }
+
+  return boards;
+};
+
+module.exports = mongoose.model('BoardInvitation', boardInvitationSchema);
\ No newline at end of file
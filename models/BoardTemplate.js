@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+
+const hexColor = {
+  validator: function(v) {
+    return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(v);
+  },
+  message: 'Color must be a valid hex color'
+};
+
+// Sub-schema for labels
+const templateLabelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  color: {
+    type: String,
+    required: true,
+    validate: hexColor
+  }
+}, {
+  _id: false
+});
+
+// Sub-schema for card templates
+const templateCardSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Card title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Card description cannot exceed 2000 characters'],
+    default: ''
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  labels: [templateLabelSchema],
+  checklist: [{
+    _id: false,
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [200, 'Checklist item cannot exceed 200 characters']
+    }
+  }],
+  estimatedHours: {
+    type: Number,
+    min: 0,
+    max: 1000,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+// Sub-schema for lists
+const templateListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'List name cannot exceed 100 characters']
+  },
+  cardLimit: {
+    type: Number,
+    min: 1,
+    max: 1000,
+    default: null
+  },
+  wipLimit: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: null
+  },
+  cards: [templateCardSchema]
+}, {
+  _id: false
+});
+
+const boardTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    minlength: [1, 'Template name must be at least 1 character long'],
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Template description cannot exceed 500 characters'],
+    default: ''
+  },
+  // Built-in templates make up the gallery everyone sees and have no owner
+  builtIn: {
+    type: Boolean,
+    default: false
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Templates saved in a workspace are available to all of its members
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  backgroundColor: {
+    type: String,
+    default: '#0079bf',
+    validate: hexColor
+  },
+  settings: {
+    allowComments: {
+      type: Boolean,
+      default: true
+    },
+    allowVoting: {
+      type: Boolean,
+      default: false
+    },
+    cardAging: {
+      type: Boolean,
+      default: false
+    }
+  },
+  labels: [templateLabelSchema],
+  lists: [templateListSchema],
+  usageCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+boardTemplateSchema.index({ builtIn: 1, name: 1 });
+boardTemplateSchema.index({ ownerId: 1 });
+boardTemplateSchema.index({ workspaceId: 1 });
+
+// Virtual for card template count
+boardTemplateSchema.virtual('cardCount').get(function() {
+  return (this.lists || []).reduce((total, list) => total + (list.cards ? list.cards.length : 0), 0);
+});
+
+// Instance method to check if a user can use the template
+boardTemplateSchema.methods.isAvailableTo = async function(userId) {
+  if (this.builtIn || (this.ownerId && this.ownerId.equals(userId))) {
+    return true;
+  }
+
+  if (!this.workspaceId) {
+    return false;
+  }
+
+  const Workspace = mongoose.model('Workspace');
+  const workspace = await Workspace.findById(this.workspaceId);
+  return Boolean(workspace && workspace.getRole(userId));
+};
+
+// Instance method to check if a user can delete the template (built-ins are managed by platform admins)
+boardTemplateSchema.methods.canManage = function(user) {
+  if (this.builtIn) {
+    return user.role === 'admin';
+  }
+
+  return Boolean(this.ownerId && this.ownerId.equals(user._id));
+};
+
+// Instance method to create the template's labels, lists and cards on a new board
+boardTemplateSchema.methods.applyTo = async function(board, userId) {
+  const List = mongoose.model('List');
+  const Card = mongoose.model('Card');
+
+  // Templates store labels by name and color; the board's catalog gives them IDs
+  const labelIds = (labels) => labels.map(label => board.findOrAddLabel(label));
+  labelIds(this.labels);
+
+  const lists = await List.insertMany(this.lists.map((list, position) => ({
+    name: list.name,
+    boardId: board._id,
+    position,
+    cardLimit: list.cardLimit,
+    wipLimit: list.wipLimit
+  })));
+
+  const cards = this.lists.flatMap((list, listIndex) => list.cards.map((card, position) => ({
+    title: card.title,
+    description: card.description,
+    listId: lists[listIndex]._id,
+    boardId: board._id,
+    position,
+    createdBy: userId,
+    priority: card.priority,
+    labels: labelIds(card.labels),
+    checklist: card.checklist.map((item, index) => ({ text: item.text, position: index })),
+    estimatedHours: card.estimatedHours
+  })));
+
+  if (board.isModified('labels')) {
+    await board.save();
+  }
+
+  if (cards.length > 0) {
+    await Card.insertMany(cards);
+  }
+
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { usageCount: 1 } });
+
+  return { lists: lists.length, cards: cards.length };
+};
+
+// Static method to build a template from an existing board's lists, cards and settings
+boardTemplateSchema.statics.fromBoard = async function(board, { includeCards = true, ...fields } = {}) {
+  const List = mongoose.model('List');
+
+  const lists = await List.getWithCards(board._id);
+
+  // Card label IDs are resolved against the board's catalog
+  const cardLabels = (labelIds) => labelIds
+    .map(labelId => board.labels.id(labelId))
+    .filter(Boolean)
+    .map(({ name, color }) => ({ name, color }));
+
+  const templateLists = lists.map(list => ({
+    name: list.name,
+    cardLimit: list.cardLimit,
+    wipLimit: list.wipLimit,
+    cards: (includeCards ? list.cards : []).map(card => ({
+      title: card.title,
+      description: card.description,
+      priority: card.priority,
+      labels: cardLabels(card.labels),
+      checklist: card.checklist
+        .slice()
+        .sort((a, b) => a.position - b.position)
+        .map(item => ({ text: item.text })),
+      estimatedHours: card.estimatedHours
+    }))
+  }));
+
+  return new this({
+    name: board.name,
+    description: board.description,
+    backgroundColor: board.backgroundColor,
+    settings: board.settings,
+    // The whole label catalog becomes part of the template, even without its cards
+    labels: board.labels.map(({ name, color }) => ({ name, color })),
+    lists: templateLists,
+    ...fields
+  });
+};
+
+// Static method to find the templates a user can use: built-ins, their own and their workspaces'
+boardTemplateSchema.statics.findAvailable = async function(userId) {
+  const Workspace = mongoose.model('Workspace');
+  const workspaces = await Workspace.findByUser(userId).select('_id');
+  const workspaceIds = workspaces.map(workspace => workspace._id);
+
+  return this.find({
+    $or: [
+      { builtIn: true },
+      { ownerId: userId },
+      { workspaceId: { $in: workspaceIds } }
+    ]
+  }).sort({ builtIn: -1, name: 1 });
+};
+
+module.exports = mongoose.model('BoardTemplate', boardTemplateSchema);
\ No newline at end of file
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+// Days without activity after which a card reaches aging level 1, 2 and 3
+const AGING_THRESHOLDS_DAYS = [7, 14, 28];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 // Sub-schema for comments
 const commentSchema = new mongoose.Schema({
   userId: {
@@ -147,26 +151,18 @@ const cardSchema = new mongoose.Schema({
     enum: ['low', 'medium', 'high', 'urgent'],
     default: 'medium'
   },
+  // IDs of labels in the board's label catalog
   labels: [{
-    name: {
-      type: String,
-      required: true,
-      trim: true,
-      maxlength: 50
-    },
-    color: {
-      type: String,
-      required: true,
-      validate: {
-        validator: function(v) {
-          return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(v);
-        },
-        message: 'Label color must be a valid hex color'
-      }
-    }
+    type: mongoose.Schema.Types.ObjectId
   }],
   attachments: [attachmentSchema],
   comments: [commentSchema],
+  // Values of the board's custom fields, keyed by field ID
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   checklist: [checklistItemSchema],
   archived: {
     type: Boolean,
@@ -187,6 +183,21 @@ const cardSchema = new mongoose.Schema({
   startDate: {
     type: Date,
     default: null
+  },
+  votes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Kept in step with votes so cards can be sorted by votes in queries
+  voteCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Last change by a person (edits, moves, comments, attachments); drives card aging
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
   }
 }, {
   timestamps: true,
@@ -206,6 +217,7 @@ cardSchema.index({ assignedTo: 1 });
 cardSchema.index({ dueDate: 1 });
 cardSchema.index({ completed: 1 });
 cardSchema.index({ createdAt: -1 });
+cardSchema.index({ listId: 1, voteCount: -1 });
 cardSchema.index({ title: 'text', description: 'text' });
 
 // Virtual for overdue status
@@ -244,6 +256,11 @@ cardSchema.pre('save', async function(next) {
       this.position = highestCard ? highestCard.position + 1 : 0;
     }
     
+    // Position shifts caused by other cards moving are not activity on this card
+    if (!this.isNew && this.modifiedPaths().some(path => path !== 'position' && path !== 'lastActivityAt')) {
+      this.lastActivityAt = new Date();
+    }
+    
     // Set completion timestamp when marked as completed
     if (this.isModified('completed')) {
       if (this.completed) {
@@ -326,6 +343,49 @@ cardSchema.methods.moveToList = async function(newListId, newPosition = null) {
   return this.save();
 };
 
+// Instance method to add comment
+cardSchema.methods.addComment = function(userId, text) {
+  this.comments.push({
+    userId,
+    text: text.trim()
+  });
+  return this.save();
+};
+
+// Instance method to check if a user has voted for the card
+cardSchema.methods.hasVoted = function(userId) {
+  return this.votes.some(voterId => voterId.toString() === userId.toString());
+};
+
+// Instance method to get how long the card has been inactive and its aging level (0-3)
+cardSchema.methods.getAging = function(now = Date.now()) {
+  const lastActivityAt = this.lastActivityAt || this.updatedAt || this.createdAt;
+  const inactiveDays = Math.floor((now - lastActivityAt) / DAY_MS);
+  const level = AGING_THRESHOLDS_DAYS.filter(days => inactiveDays >= days).length;
+  
+  return { level, inactiveDays, lastActivityAt };
+};
+
+// Instance method to serialize the card for a board, honouring the board's settings:
+// votes only when voting is on, aging only when card aging is on
+cardSchema.methods.toBoardJSON = function(board, userId) {
+  const card = this.toJSON();
+  const settings = board.settings || {};
+  
+  if (settings.allowVoting) {
+    card.votedByMe = userId ? this.hasVoted(userId) : false;
+  } else {
+    delete card.votes;
+    delete card.voteCount;
+  }
+  
+  if (settings.cardAging) {
+    card.aging = this.getAging();
+  }
+  
+  return card;
+};
+
 // Instance method to add attachment
 cardSchema.methods.addAttachment = function(attachmentData) {
   this.attachments.push(attachmentData);
@@ -376,6 +436,40 @@ cardSchema.methods.unassignUser = function(userId) {
   return this.save();
 };
 
+// Static method to vote for a card; a user's vote counts once (returns null if already voted)
+cardSchema.statics.addVote = function(cardId, userId) {
+  return this.findOneAndUpdate(
+    { _id: cardId, votes: { $ne: userId } },
+    { $push: { votes: userId }, $inc: { voteCount: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to withdraw a vote (returns null if the user had not voted)
+cardSchema.statics.removeVote = function(cardId, userId) {
+  return this.findOneAndUpdate(
+    { _id: cardId, votes: userId },
+    { $pull: { votes: userId }, $inc: { voteCount: -1 } },
+    { new: true }
+  );
+};
+
+// Static method to get the sort order for cards in a list: 'votes' on boards with voting,
+// 'field:<fieldId>[:desc]' for one of the board's custom fields, otherwise by position
+cardSchema.statics.sortOrder = function(sort, board = null) {
+  if (sort === 'votes' && board && board.settings.allowVoting) {
+    return { voteCount: -1, position: 1 };
+  }
+  
+  const [kind, fieldId, direction] = (typeof sort === 'string' ? sort : '').split(':');
+  
+  if (kind === 'field' && board && board.customFields.id(fieldId)) {
+    return { [`customFields.${fieldId}`]: direction === 'desc' ? -1 : 1, position: 1 };
+  }
+  
+  return { position: 1 };
+};
+
 // Static method to get cards by user
 cardSchema.statics.findByUser = function(userId) {
   return this.find({
@@ -434,4 +528,6 @@ cardSchema.post('deleteOne', function(doc) {
   console.log(`🗑️ Card deleted: ${doc.title} (${doc._id})`);
 });
 
+cardSchema.statics.AGING_THRESHOLDS_DAYS = AGING_THRESHOLDS_DAYS;
+
 module.exports = mongoose.model('Card', cardSchema);
\ No newline at end of file
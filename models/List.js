@@ -164,18 +164,39 @@ listSchema.statics.reorderInBoard = async function(boardId, listOrder) {
   return this.bulkWrite(bulkOps);
 };
 
-// Static method to get lists with cards for a board
-listSchema.statics.getWithCards = function(boardId) {
+// Instance method to serialize the list and its populated cards for a board
+listSchema.methods.toBoardJSON = function(board, userId) {
+  return {
+    ...this.toJSON(),
+    cards: (this.cards || []).map(card => card.toBoardJSON(board, userId))
+  };
+};
+
+// Static method to get lists with cards for a board; cardSort is a sort spec from
+// Card.sortOrder and cardFilter extra card conditions such as custom field filters.
+// withDetails also populates card authors, commenters and uploaders (for exports).
+listSchema.statics.getWithCards = function(boardId, { cardSort = { position: 1 }, cardFilter = {}, withDetails = false } = {}) {
+  const populate = [{
+    path: 'assignedTo',
+    select: 'name email avatarUrl'
+  }];
+  
+  if (withDetails) {
+    populate.push(
+      { path: 'createdBy', select: 'name email' },
+      { path: 'completedBy', select: 'name email' },
+      { path: 'comments.userId', select: 'name email' },
+      { path: 'attachments.uploadedBy', select: 'name email' }
+    );
+  }
+  
   return this.find({ boardId, archived: false })
     .sort({ position: 1 })
     .populate({
       path: 'cards',
-      match: { archived: false },
-      options: { sort: { position: 1 } },
-      populate: {
-        path: 'assignedTo',
-        select: 'name email avatarUrl'
-      }
+      match: { ...cardFilter, archived: false },
+      options: { sort: cardSort },
+      populate
     });
 };
 
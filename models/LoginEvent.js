@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// How long login history is kept
+const RETENTION_DAYS = parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS) || 90;
+
+const loginEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  // password, 2fa_totp, 2fa_recovery_code
+  method: {
+    type: String,
+    default: 'password'
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.expiresAt;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+loginEventSchema.index({ email: 1, createdAt: -1 });
+loginEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to record a login attempt; never fails the login itself
+loginEventSchema.statics.record = async function(req, details) {
+  try {
+    await this.create({
+      ...details,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null
+    });
+  } catch (error) {
+    console.error('Login history error:', error);
+  }
+};
+
+// Static method to get a user's login history, newest first
+loginEventSchema.statics.findForUser = function(user, { skip = 0, limit = 20 } = {}) {
+  return this.find({
+    $or: [
+      { userId: user._id },
+      { userId: null, email: user.email }
+    ]
+  })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
\ No newline at end of file
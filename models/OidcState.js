@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long a user has to finish signing in at the identity provider
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const oidcStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Pending logins are cleaned up once they expire
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a raw state value for storage and lookup
+oidcStateSchema.statics.hashState = function(state) {
+  return crypto.createHash('sha256').update(state).digest('hex');
+};
+
+// Static method to start a login: returns the raw state to send to the provider
+oidcStateSchema.statics.start = async function({ codeVerifier }) {
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(16).toString('base64url');
+
+  await this.create({
+    stateHash: this.hashState(state),
+    nonce,
+    codeVerifier,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS)
+  });
+
+  return { state, nonce };
+};
+
+// Static method to look up and delete a pending login, so each state can only be used once
+oidcStateSchema.statics.consume = function(state) {
+  return this.findOneAndDelete({
+    stateHash: this.hashState(state),
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('OidcState', oidcStateSchema);
\ No newline at end of file
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'kfp_';
+
+const SCOPES = [
+  'boards:read',
+  'boards:write',
+  'lists:read',
+  'lists:write',
+  'cards:read',
+  'cards:write',
+  'workspaces:read',
+  'workspaces:write'
+];
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tokenHint: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: SCOPES
+  }],
+  expiresAt: {
+    type: Date,
+    required: [true, 'Token expiry is required']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+personalAccessTokenSchema.index({ userId: 1, createdAt: -1 });
+
+// Virtual for active status
+personalAccessTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Instance method to check if the token grants a scope
+personalAccessTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Instance method to record usage
+personalAccessTokenSchema.methods.touch = function(ip) {
+  return this.updateOne({ $set: { lastUsedAt: new Date(), lastUsedIp: ip || null } });
+};
+
+// Static method to hash a raw token for storage and lookup
+personalAccessTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to check if a bearer token looks like a personal access token
+personalAccessTokenSchema.statics.isPersonalAccessToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+// Static method to mint a new token (the raw token is only returned here)
+personalAccessTokenSchema.statics.mint = async function(userId, { name, scopes, expiresInDays }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const accessToken = await this.create({
+    userId,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: this.hashToken(token),
+    tokenHint: token.slice(-4),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { token, accessToken };
+};
+
+// Static method to find an active token by its raw value
+personalAccessTokenSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+personalAccessTokenSchema.statics.TOKEN_PREFIX = TOKEN_PREFIX;
+personalAccessTokenSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
\ No newline at end of file
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RevokedToken = require('./RevokedToken');
+const Session = require('./Session');
+
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  accessJti: {
+    type: String,
+    required: true
+  },
+  accessExpiresAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdByIp: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+refreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+refreshTokenSchema.index({ sessionId: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for active status
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Static method to hash a raw refresh token for storage and lookup
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to issue an access token and a refresh token for a user.
+// Starts a new session unless meta.sessionId continues an existing one.
+refreshTokenSchema.statics.issueFor = async function(user, meta = {}) {
+  const ttlDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+  const expiresAt = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+
+  let sessionId = meta.sessionId;
+
+  if (sessionId) {
+    await Session.updateOne(
+      { _id: sessionId },
+      { $set: { expiresAt, lastSeenAt: new Date(), lastSeenIp: meta.ip || null } }
+    );
+  } else {
+    const session = await Session.create({
+      userId: user._id,
+      userAgent: meta.userAgent || null,
+      ip: meta.ip || null,
+      lastSeenIp: meta.ip || null,
+      expiresAt
+    });
+    sessionId = session._id;
+  }
+
+  const accessToken = user.generateAuthToken(sessionId);
+  const { jti, exp } = jwt.decode(accessToken);
+
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  const record = await this.create({
+    userId: user._id,
+    tokenHash: this.hashToken(refreshToken),
+    sessionId,
+    accessJti: jti,
+    accessExpiresAt: new Date(exp * 1000),
+    expiresAt,
+    createdByIp: meta.ip || null,
+    userAgent: meta.userAgent || null
+  });
+
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresAt: record.accessExpiresAt,
+    sessionId,
+    record
+  };
+};
+
+// Static method to exchange a refresh token for a new token pair
+refreshTokenSchema.statics.rotate = async function(refreshToken, meta = {}) {
+  const User = mongoose.model('User');
+  const tokenHash = this.hashToken(refreshToken);
+  const now = new Date();
+  
+  // Claim the token before issuing anything, so concurrent refreshes cannot both succeed
+  const record = await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedReason: 'rotated' } },
+    { new: true }
+  );
+  
+  if (!record) {
+    const existing = await this.findOne({ tokenHash });
+    
+    if (!existing) {
+      throw new Error('Invalid refresh token');
+    }
+    
+    // A rotated token being presented again means it was stolen: kill the whole session
+    if (existing.revokedAt) {
+      const reuseDetected = existing.revokedReason === 'rotated';
+      if (reuseDetected) {
+        await this.revokeSession(existing.sessionId, 'reuse_detected');
+      }
+      const error = new Error('Refresh token has been revoked');
+      error.reuseDetected = reuseDetected;
+      error.userId = existing.userId;
+      throw error;
+    }
+    
+    throw new Error('Refresh token expired');
+  }
+  
+  const user = await User.findById(record.userId);
+  
+  if (!user || !user.isActive) {
+    await this.revokeAllForUser(record.userId, 'account_inactive');
+    throw new Error('Account has been deactivated');
+  }
+  
+  if (!await Session.findActive(record.sessionId)) {
+    await this.revokeSession(record.sessionId, 'session_revoked');
+    throw new Error('Session has been revoked');
+  }
+  
+  const issued = await this.issueFor(user, { ...meta, sessionId: record.sessionId });
+  
+  await this.updateOne({ _id: record._id }, { $set: { replacedBy: issued.record._id } });
+  
+  return { user, ...issued };
+};
+
+// Static method to end a session and revoke every token issued for it
+refreshTokenSchema.statics.revokeSession = async function(sessionId, reason) {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  const records = await this.find({ sessionId });
+  return this.revokeRecords(records, reason);
+};
+
+// Static method to end every session and revoke every outstanding token of a user
+refreshTokenSchema.statics.revokeAllForUser = async function(userId, reason) {
+  await Session.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  const records = await this.find({
+    userId,
+    $or: [
+      { revokedAt: null },
+      { accessExpiresAt: { $gt: new Date() } }
+    ]
+  });
+  return this.revokeRecords(records, reason);
+};
+
+// Static method to revoke refresh tokens and put their access tokens on the revocation list
+refreshTokenSchema.statics.revokeRecords = async function(records, reason) {
+  const now = new Date();
+
+  await Promise.all(records
+    .filter(record => record.accessExpiresAt > now)
+    .map(record => RevokedToken.revoke(record.accessJti, record.userId, record.accessExpiresAt, reason)));
+
+  const ids = records.filter(record => !record.revokedAt).map(record => record._id);
+
+  if (ids.length > 0) {
+    await this.updateMany(
+      { _id: { $in: ids } },
+      { $set: { revokedAt: now, revokedReason: reason } }
+    );
+  }
+
+  return records.length;
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
\ No newline at end of file
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    default: 'logout'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Entries only need to live as long as the access token they revoke
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+revokedTokenSchema.index({ userId: 1 });
+
+// Static method to add an access token to the revocation list
+revokedTokenSchema.statics.revoke = function(jti, userId, expiresAt, reason = 'logout') {
+  return this.updateOne(
+    { jti },
+    { $setOnInsert: { jti, userId, expiresAt, reason } },
+    { upsert: true }
+  );
+};
+
+// Static method to check if an access token has been revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  if (!jti) return true;
+
+  const entry = await this.exists({ jti });
+  return !!entry;
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
\ No newline at end of file
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// How often lastSeenAt is written back, to avoid a write on every request
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenIp: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for active status
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Instance method to record activity on this session
+sessionSchema.methods.touch = function(ip) {
+  if (this.lastSeenAt && Date.now() - this.lastSeenAt.getTime() < LAST_SEEN_THROTTLE_MS) {
+    return Promise.resolve(this);
+  }
+
+  this.lastSeenAt = new Date();
+  if (ip) this.lastSeenIp = ip;
+  return this.updateOne({ $set: { lastSeenAt: this.lastSeenAt, lastSeenIp: this.lastSeenIp } });
+};
+
+// Static method to find an active session by ID
+sessionSchema.statics.findActive = function(sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to list a user's active sessions, most recently used first
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
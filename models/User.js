@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -68,6 +70,33 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  emailVerificationExpires: {
+    type: Date,
+    default: null
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
   loginAttempts: {
     type: Number,
     default: 0
@@ -75,6 +104,46 @@ const userSchema = new mongoose.Schema({
   lockUntil: {
     type: Date,
     default: null
+  },
+  // Single sign-on identities linked to this account
+  oidcIdentities: [{
+    issuer: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Per-user board list preferences: stars, pins and manual order are private to each user
+  boardPreferences: [{
+    _id: false,
+    boardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Board',
+      required: true
+    },
+    starred: {
+      type: Boolean,
+      default: false
+    },
+    pinned: {
+      type: Boolean,
+      default: false
+    },
+    position: {
+      type: Number,
+      default: null
+    }
+  }],
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
@@ -84,6 +153,10 @@ const userSchema = new mongoose.Schema({
       delete ret.passwordResetToken;
       delete ret.passwordResetExpires;
       delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpires;
+      delete ret.twoFactorSecret;
+      delete ret.twoFactorRecoveryCodes;
+      delete ret.twoFactorLastUsedStep;
       delete ret.loginAttempts;
       delete ret.lockUntil;
       return ret;
@@ -95,6 +168,10 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ createdAt: 1 });
 userSchema.index({ lastLogin: 1 });
+userSchema.index({ 'oidcIdentities.issuer': 1, 'oidcIdentities.subject': 1 }, {
+  unique: true,
+  partialFilterExpression: { 'oidcIdentities.subject': { $exists: true } }
+});
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
@@ -118,9 +195,8 @@ userSchema.pre('save', async function(next) {
 
 // Pre-save middleware to generate avatar URL if not provided
 userSchema.pre('save', function(next) {
-  if (!this.avatarUrl && this.email) {
+  if (!this.avatarUrl && this.email && !this.deletedAt) {
     // Generate Gravatar URL as default
-    const crypto = require('crypto');
     const hash = crypto.createHash('md5').update(this.email.toLowerCase()).digest('hex');
     this.avatarUrl = `https://www.gravatar.com/avatar/${hash}?d=identicon&s=200`;
   }
@@ -138,8 +214,8 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
-// Instance method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Instance method to generate a short-lived JWT access token, bound to a login session
+userSchema.methods.generateAuthToken = function(sessionId = null) {
   const payload = {
     id: this._id,
     email: this.email,
@@ -147,17 +223,175 @@ userSchema.methods.generateAuthToken = function() {
     role: this.role
   };
   
+  if (sessionId) {
+    payload.sid = sessionId.toString();
+  }
+  
   return jwt.sign(
     payload,
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+      jwtid: crypto.randomUUID(),
       issuer: 'kanbanflow-api',
       audience: 'kanbanflow-app'
     }
   );
 };
 
+// Instance method to generate a short-lived token proving the password step of a 2FA login
+userSchema.methods.generateTwoFactorChallenge = function() {
+  return jwt.sign(
+    { id: this._id, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+      issuer: 'kanbanflow-api',
+      audience: 'kanbanflow-2fa'
+    }
+  );
+};
+
+// Instance method to check a TOTP or recovery code (requires the 2FA fields to be selected)
+userSchema.methods.verifyTwoFactorCode = function({ code, recoveryCode }) {
+  if (!this.twoFactorSecret) return false;
+  
+  if (recoveryCode) {
+    const hashedCode = totp.hashRecoveryCode(recoveryCode);
+    const index = this.twoFactorRecoveryCodes.indexOf(hashedCode);
+    
+    if (index === -1) return false;
+    
+    // Recovery codes are single-use
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+  }
+  
+  const step = totp.verifyCode(this.twoFactorSecret, code);
+  
+  // Reject codes from a time step that was already used (replay)
+  if (step === null || (this.twoFactorLastUsedStep !== null && step <= this.twoFactorLastUsedStep)) {
+    return false;
+  }
+  
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Instance method to create a single-use password reset token (returns the raw token)
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const ttlMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+  
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  
+  return resetToken;
+};
+
+// Instance method to strip personal data from a deleted account. The document is kept
+// so cards and comments it authored still resolve, but only to "Deleted user".
+userSchema.methods.anonymize = function() {
+  this.name = 'Deleted user';
+  this.email = `deleted-${this._id}@deleted.invalid`;
+  this.password = crypto.randomBytes(32).toString('hex');
+  this.avatarUrl = null;
+  this.isActive = false;
+  this.emailVerified = false;
+  this.emailVerificationToken = null;
+  this.emailVerificationExpires = null;
+  this.passwordResetToken = null;
+  this.passwordResetExpires = null;
+  this.twoFactorEnabled = false;
+  this.twoFactorEnabledAt = null;
+  this.twoFactorSecret = null;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorLastUsedStep = null;
+  this.lastLogin = null;
+  this.oidcIdentities = [];
+  this.boardPreferences = [];
+  this.deletedAt = new Date();
+  return this;
+};
+
+// Instance method to get the user's preferences for a board (defaults if none are stored)
+userSchema.methods.getBoardPreference = function(boardId) {
+  const preference = this.boardPreferences.find(entry => entry.boardId.equals(boardId));
+  
+  return {
+    starred: preference ? preference.starred : false,
+    pinned: preference ? preference.pinned : false,
+    position: preference ? preference.position : null
+  };
+};
+
+// Instance method to star or pin a board (does not save)
+userSchema.methods.setBoardPreference = function(boardId, { starred, pinned }) {
+  let preference = this.boardPreferences.find(entry => entry.boardId.equals(boardId));
+  
+  if (!preference) {
+    this.boardPreferences.push({ boardId });
+    preference = this.boardPreferences[this.boardPreferences.length - 1];
+  }
+  
+  if (starred !== undefined) preference.starred = starred;
+  if (pinned !== undefined) preference.pinned = pinned;
+  
+  // Entries back at their defaults carry no information
+  if (!preference.starred && !preference.pinned && preference.position === null) {
+    this.boardPreferences = this.boardPreferences.filter(entry => entry !== preference);
+  }
+  
+  return this.getBoardPreference(boardId);
+};
+
+// Instance method to set the manual board order (does not save). Boards that are not
+// listed lose their position and sort after the ordered ones.
+userSchema.methods.setBoardOrder = function(boardIds) {
+  const positions = new Map(boardIds.map((boardId, index) => [boardId.toString(), index]));
+  
+  this.boardPreferences.forEach(entry => {
+    entry.position = positions.has(entry.boardId.toString()) ? positions.get(entry.boardId.toString()) : null;
+    positions.delete(entry.boardId.toString());
+  });
+  
+  positions.forEach((position, boardId) => {
+    this.boardPreferences.push({ boardId, position });
+  });
+  
+  this.boardPreferences = this.boardPreferences.filter(entry =>
+    entry.starred || entry.pinned || entry.position !== null
+  );
+};
+
+// Instance method to sort boards by the user's preferences: pinned boards first, then
+// manually ordered boards, then the rest oldest first. Returns plain objects with the
+// user's starred, pinned and position values.
+userSchema.methods.sortBoards = function(boards) {
+  return boards
+    .map(board => ({ ...board.toJSON(), ...this.getBoardPreference(board._id) }))
+    .sort((a, b) => {
+      if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+      if (a.position !== b.position) {
+        if (a.position === null) return 1;
+        if (b.position === null) return -1;
+        return a.position - b.position;
+      }
+      return new Date(a.createdAt) - new Date(b.createdAt);
+    });
+};
+
+// Instance method to create an email verification token (returns the raw token)
+userSchema.methods.createEmailVerificationToken = function() {
+  const { token, hashedToken, expires } = this.constructor.generateEmailVerificationToken();
+  
+  this.emailVerified = false;
+  this.emailVerificationToken = hashedToken;
+  this.emailVerificationExpires = expires;
+  
+  return token;
+};
+
 // Instance method to update last login
 userSchema.methods.updateLastLogin = async function() {
   this.lastLogin = new Date();
@@ -221,18 +455,92 @@ userSchema.statics.findByCredentials = async function(email, password) {
     throw new Error('Invalid login credentials');
   }
   
+  // With 2FA enabled the login is only complete once the second factor is verified,
+  // so failed attempts are not reset here
+  if (user.twoFactorEnabled) {
+    return user;
+  }
+  
   // Update last login
   await user.updateLastLogin();
   
   return user;
 };
 
+// Static method to resolve a 2FA challenge token to its user (with 2FA fields)
+userSchema.statics.findByTwoFactorChallenge = async function(challengeToken) {
+  const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET, {
+    issuer: 'kanbanflow-api',
+    audience: 'kanbanflow-2fa'
+  });
+  
+  if (decoded.purpose !== '2fa') {
+    throw new Error('Invalid challenge token');
+  }
+  
+  const user = await this.findById(decoded.id)
+    .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+  
+  if (!user || !user.twoFactorEnabled) {
+    throw new Error('Invalid challenge token');
+  }
+  
+  if (user.isLocked) {
+    throw new Error('Account temporarily locked due to too many failed login attempts');
+  }
+  
+  if (!user.isActive) {
+    throw new Error('Account has been deactivated');
+  }
+  
+  return user;
+};
+
+// Static method to find user by an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+password');
+};
+
+// Static method to generate a raw email verification token with its stored hash
+userSchema.statics.generateEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const ttlHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+  
+  return {
+    token,
+    hashedToken: crypto.createHash('sha256').update(token).digest('hex'),
+    expires: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+  };
+};
+
+// Static method to find user by an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  
+  return this.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
 // Static method to check if email exists
 userSchema.statics.emailExists = async function(email) {
   const user = await this.findOne({ email: email.toLowerCase() });
   return !!user;
 };
 
+// Static method to find the user linked to an SSO identity
+userSchema.statics.findByOidcIdentity = function(issuer, subject) {
+  return this.findOne({
+    oidcIdentities: { $elemMatch: { issuer, subject } }
+  });
+};
+
 // Static method to get user stats
 userSchema.statics.getStats = async function() {
   const totalUsers = await this.countDocuments();
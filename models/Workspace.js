@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+
+// Workspace roles from least to most privileged; the owner is always ownerId
+const WORKSPACE_ROLES = ['member', 'admin', 'owner'];
+const MEMBER_ROLES = WORKSPACE_ROLES.filter(role => role !== 'owner');
+const DEFAULT_MEMBER_ROLE = 'member';
+
+// ID string of an ObjectId or a populated document
+const toIdString = (value) => (value._id || value).toString();
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    minlength: [1, 'Workspace name must be at least 1 character long'],
+    maxlength: [100, 'Workspace name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Workspace description cannot exceed 500 characters'],
+    default: ''
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Workspace owner is required']
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  memberRoles: {
+    type: Map,
+    of: {
+      type: String,
+      enum: MEMBER_ROLES
+    },
+    default: {}
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+workspaceSchema.index({ ownerId: 1 });
+workspaceSchema.index({ members: 1 });
+
+// Virtual for member count (including the owner)
+workspaceSchema.virtual('memberCount').get(function() {
+  return (this.members ? this.members.length : 0) + 1;
+});
+
+// Virtual for the boards in this workspace (will be populated)
+workspaceSchema.virtual('boards', {
+  ref: 'Board',
+  localField: '_id',
+  foreignField: 'workspaceId'
+});
+
+// Pre-save middleware
+workspaceSchema.pre('save', function(next) {
+  // Ensure owner is not in members array and has no explicit role
+  if (this.ownerId) {
+    this.members = this.members.filter(memberId => !memberId.equals(this.ownerId));
+    this.memberRoles.delete(this.ownerId.toString());
+  }
+  next();
+});
+
+// Instance method to check if user is owner
+workspaceSchema.methods.isOwner = function(userId) {
+  return toIdString(this.ownerId) === toIdString(userId);
+};
+
+// Instance method to get a user's role in the workspace (null if not a member)
+workspaceSchema.methods.getRole = function(userId) {
+  if (!userId) return null;
+
+  const userIdStr = toIdString(userId);
+
+  if (toIdString(this.ownerId) === userIdStr) {
+    return 'owner';
+  }
+
+  if (!this.members.some(member => toIdString(member) === userIdStr)) {
+    return null;
+  }
+
+  return this.memberRoles.get(userIdStr) || DEFAULT_MEMBER_ROLE;
+};
+
+// Instance method to check if user has at least the given role
+workspaceSchema.methods.hasRole = function(userId, minRole) {
+  const role = this.getRole(userId);
+  if (!role) return false;
+
+  return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minRole);
+};
+
+// Instance method to change a member's role
+workspaceSchema.methods.setMemberRole = function(userId, role) {
+  if (!MEMBER_ROLES.includes(role)) {
+    throw new Error(`Invalid workspace role: ${role}`);
+  }
+
+  this.memberRoles.set(userId.toString(), role);
+  return this;
+};
+
+// Instance method to add member
+workspaceSchema.methods.addMember = function(userId, role = DEFAULT_MEMBER_ROLE) {
+  if (this.getRole(userId)) {
+    return this;
+  }
+
+  this.members.push(userId);
+  this.setMemberRole(userId, role);
+  return this;
+};
+
+// Instance method to remove member
+workspaceSchema.methods.removeMember = function(userId) {
+  const userIdStr = userId.toString();
+  this.members = this.members.filter(memberId => memberId.toString() !== userIdStr);
+  this.memberRoles.delete(userIdStr);
+  return this;
+};
+
+// Static method to find workspaces by user
+workspaceSchema.statics.findByUser = function(userId) {
+  return this.find({
+    $or: [
+      { ownerId: userId },
+      { members: userId }
+    ]
+  }).sort({ name: 1 });
+};
+
+// Middleware to detach boards when a workspace is deleted (the boards themselves are kept)
+workspaceSchema.pre('deleteOne', { document: true, query: false }, async function(next) {
+  try {
+    const Board = mongoose.model('Board');
+    await Board.updateMany(
+      { workspaceId: this._id },
+      { $set: { workspaceId: null, workspaceVisible: false } }
+    );
+
+    // Templates shared with the workspace stay with the members who saved them
+    const BoardTemplate = mongoose.model('BoardTemplate');
+    await BoardTemplate.updateMany(
+      { workspaceId: this._id },
+      { $set: { workspaceId: null } }
+    );
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+workspaceSchema.statics.ROLES = WORKSPACE_ROLES;
+workspaceSchema.statics.MEMBER_ROLES = MEMBER_ROLES;
+workspaceSchema.statics.DEFAULT_MEMBER_ROLE = DEFAULT_MEMBER_ROLE;
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
\ No newline at end of file
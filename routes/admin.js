@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUsers,
+  getUser,
+  updateUserStatus,
+  unlockUser,
+  forcePasswordReset,
+  updateUserRole,
+  getUserLoginHistory,
+  transferBoardOwnership
+} = require('../controllers/adminController');
+const { auth, requireSessionAuth, requireAdmin } = require('../middleware/auth');
+const { validate, adminValidationSchemas } = require('../utils/validation');
+
+// Every admin route needs an interactive login by a platform admin
+router.use(auth, requireSessionAuth, requireAdmin);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Search users (?search, ?role, ?status=active|inactive|locked, ?page, ?limit)
+ * @access  Private (Admin)
+ */
+router.get('/users', getUsers);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get user details
+ * @access  Private (Admin)
+ */
+router.get('/users/:id', getUser);
+
+/**
+ * @route   PUT /api/admin/users/:id/status
+ * @desc    Deactivate or reactivate a user
+ * @access  Private (Admin)
+ */
+router.put('/users/:id/status', validate(adminValidationSchemas.updateStatus), updateUserStatus);
+
+/**
+ * @route   POST /api/admin/users/:id/unlock
+ * @desc    Unlock a locked account
+ * @access  Private (Admin)
+ */
+router.post('/users/:id/unlock', unlockUser);
+
+/**
+ * @route   POST /api/admin/users/:id/force-password-reset
+ * @desc    Invalidate the password and email a reset link
+ * @access  Private (Admin)
+ */
+router.post('/users/:id/force-password-reset', forcePasswordReset);
+
+/**
+ * @route   PUT /api/admin/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (Admin)
+ */
+router.put('/users/:id/role', validate(adminValidationSchemas.updateRole), updateUserRole);
+
+/**
+ * @route   GET /api/admin/users/:id/logins
+ * @desc    Get a user's login history
+ * @access  Private (Admin)
+ */
+router.get('/users/:id/logins', getUserLoginHistory);
+
+/**
+ * @route   PUT /api/admin/boards/:id/owner
+ * @desc    Make another user the board owner without their acceptance
+ * @access  Private (Admin)
+ */
+router.put('/boards/:id/owner', validate(adminValidationSchemas.transferBoardOwnership), transferBoardOwnership);
+
+module.exports = router;
\ No newline at end of file
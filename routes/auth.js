@@ -3,15 +3,45 @@ const router = express.Router();
 const {
   register,
   login,
+  refresh,
   getProfile,
   updateProfile,
+  verifyEmail,
+  resendVerificationEmail,
   changePassword,
+  forgotPassword,
+  resetPassword,
   logout,
   getUserStats,
   authLimiter,
   strictAuthLimiter
 } = require('../controllers/authController');
-const { auth } = require('../middleware/auth');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../controllers/twoFactorController');
+const {
+  getTokens,
+  createToken,
+  revokeToken
+} = require('../controllers/tokenController');
+const {
+  getSessions,
+  revokeSession
+} = require('../controllers/sessionController');
+const {
+  getOidcProvider,
+  startOidcLogin,
+  completeOidcLogin
+} = require('../controllers/oidcController');
+const {
+  exportAccountData,
+  deleteAccount
+} = require('../controllers/accountController');
+const { auth, requireSessionAuth } = require('../middleware/auth');
 const { validate, authValidationSchemas } = require('../utils/validation');
 
 /**
@@ -28,6 +58,41 @@ router.post('/register', authLimiter, validate(authValidationSchemas.register),
  */
 router.post('/login', authLimiter, validate(authValidationSchemas.login), login);
 
+/**
+ * @route   GET /api/auth/oidc
+ * @desc    Check whether single sign-on is available
+ * @access  Public
+ */
+router.get('/oidc', getOidcProvider);
+
+/**
+ * @route   GET /api/auth/oidc/authorize
+ * @desc    Start a single sign-on login (returns the provider URL)
+ * @access  Public
+ */
+router.get('/oidc/authorize', startOidcLogin);
+
+/**
+ * @route   POST /api/auth/oidc/callback
+ * @desc    Complete a single sign-on login with the code and state from the provider
+ * @access  Public
+ */
+router.post('/oidc/callback', authLimiter, validate(authValidationSchemas.oidcCallback), completeOidcLogin);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete a two-factor login with a TOTP or recovery code
+ * @access  Public (requires challenge token from login)
+ */
+router.post('/2fa/verify', authLimiter, validate(authValidationSchemas.twoFactorVerify), verifyTwoFactorLogin);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new token pair
+ * @access  Public
+ */
+router.post('/refresh', authLimiter, validate(authValidationSchemas.refresh), refresh);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user profile
@@ -40,14 +105,42 @@ router.get('/me', auth, getProfile);
  * @desc    Update user profile
  * @access  Private
  */
-router.put('/me', auth, validate(authValidationSchemas.updateProfile), updateProfile);
+router.put('/me', auth, requireSessionAuth, validate(authValidationSchemas.updateProfile), updateProfile);
+
+/**
+ * @route   DELETE /api/auth/me
+ * @desc    Delete account (owned boards are transferred or deleted)
+ * @access  Private
+ */
+router.delete('/me', auth, requireSessionAuth, strictAuthLimiter, validate(authValidationSchemas.deleteAccount), deleteAccount);
+
+/**
+ * @route   GET /api/auth/me/export
+ * @desc    Download a JSON archive of the user's data
+ * @access  Private
+ */
+router.get('/me/export', auth, requireSessionAuth, authLimiter, exportAccountData);
+
+/**
+ * @route   GET /api/auth/verify-email/:token
+ * @desc    Verify email address
+ * @access  Public
+ */
+router.get('/verify-email/:token', authLimiter, verifyEmail);
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Resend the email verification link
+ * @access  Private
+ */
+router.post('/verify-email/resend', auth, requireSessionAuth, strictAuthLimiter, resendVerificationEmail);
 
 /**
  * @route   PUT /api/auth/password
  * @desc    Change user password
  * @access  Private
  */
-router.put('/password', auth, strictAuthLimiter, [
+router.put('/password', auth, requireSessionAuth, strictAuthLimiter, [
   require('express-validator').body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
@@ -59,18 +152,95 @@ router.put('/password', auth, strictAuthLimiter, [
   require('../utils/validation').handleValidationErrors
 ], changePassword);
 
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Send a password reset email
+ * @access  Public
+ */
+router.post('/forgot-password', strictAuthLimiter, validate(authValidationSchemas.forgotPassword), forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Reset password with a token from the reset email
+ * @access  Public
+ */
+router.post('/reset-password', strictAuthLimiter, validate(authValidationSchemas.resetPassword), resetPassword);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment (secret, otpauth URI, recovery codes)
+ * @access  Private
+ */
+router.post('/2fa/setup', auth, requireSessionAuth, strictAuthLimiter, setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm 2FA enrollment with a code
+ * @access  Private
+ */
+router.post('/2fa/enable', auth, requireSessionAuth, authLimiter, validate(authValidationSchemas.twoFactorCode), enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate 2FA recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', auth, requireSessionAuth, strictAuthLimiter, validate(authValidationSchemas.twoFactorCode), regenerateRecoveryCodes);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA
+ * @access  Private
+ */
+router.post('/2fa/disable', auth, requireSessionAuth, strictAuthLimiter, validate(authValidationSchemas.twoFactorDisable), disableTwoFactor);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active login sessions
+ * @access  Private
+ */
+router.get('/sessions', auth, requireSessionAuth, getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out a login session
+ * @access  Private
+ */
+router.delete('/sessions/:id', auth, requireSessionAuth, revokeSession);
+
+/**
+ * @route   GET /api/auth/tokens
+ * @desc    List personal access tokens
+ * @access  Private
+ */
+router.get('/tokens', auth, requireSessionAuth, getTokens);
+
+/**
+ * @route   POST /api/auth/tokens
+ * @desc    Create a personal access token
+ * @access  Private
+ */
+router.post('/tokens', auth, requireSessionAuth, validate(authValidationSchemas.createToken), createToken);
+
+/**
+ * @route   DELETE /api/auth/tokens/:id
+ * @desc    Revoke a personal access token
+ * @access  Private
+ */
+router.delete('/tokens/:id', auth, requireSessionAuth, revokeToken);
+
 /**
  * @route   POST /api/auth/logout
  * @desc    Logout user
  * @access  Private
  */
-router.post('/logout', auth, logout);
+router.post('/logout', auth, requireSessionAuth, logout);
 
 /**
  * @route   GET /api/auth/stats
  * @desc    Get user statistics (admin only)
  * @access  Private (Admin)
  */
-router.get('/stats', auth, getUserStats);
+router.get('/stats', auth, requireSessionAuth, getUserStats);
 
 module.exports = router;
\ No newline at end of file
@@ -2,71 +2,277 @@ const express = require('express');
 const router = express.Router();
 const {
   getBoards,
+  updateBoardPreferences,
+  reorderBoards,
+  getArchivedBoards,
+  archiveBoard,
   getBoard,
   createBoard,
+  copyBoard,
   updateBoard,
   deleteBoard,
   addMember,
   removeMember,
+  updateMemberRole,
+  requestOwnershipTransfer,
+  acceptOwnershipTransfer,
+  cancelOwnershipTransfer,
   getPublicBoards
 } = require('../controllers/boardController');
-const { auth, isBoardOwner, isBoardMember } = require('../middleware/auth');
+const {
+  createInvitation,
+  createInviteLink,
+  getInvitations,
+  revokeInvitation
+} = require('../controllers/invitationController');
+const {
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel
+} = require('../controllers/labelController');
+const {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+} = require('../controllers/customFieldController');
+const { exportBoard } = require('../controllers/exportController');
+const { importTrelloBoard } = require('../controllers/importController');
+const { getBoardActivity } = require('../controllers/activityController');
+const { getBoardAnalytics } = require('../controllers/analyticsController');
+const { auth, requireScope, requireBoardRole, isBoardOwner } = require('../middleware/auth');
 const { validate, boardValidationSchemas } = require('../utils/validation');
 
 /**
  * @route   GET /api/boards
- * @desc    Get all boards for authenticated user
+ * @desc    Get all boards for authenticated user (?workspace=<id>|none, ?groupBy=workspace)
  * @access  Private
  */
-router.get('/', auth, getBoards);
+router.get('/', auth, requireScope('boards:read'), getBoards);
 
 /**
  * @route   GET /api/boards/public
  * @desc    Get public boards
  * @access  Private
  */
-router.get('/public', auth, getPublicBoards);
+router.get('/public', auth, requireScope('boards:read'), getPublicBoards);
 
 /**
  * @route   POST /api/boards
  * @desc    Create a new board
  * @access  Private
  */
-router.post('/', auth, validate(boardValidationSchemas.create), createBoard);
+router.post('/', auth, requireScope('boards:write'), validate(boardValidationSchemas.create), createBoard);
+
+/**
+ * @route   POST /api/boards/import/trello
+ * @desc    Create a board from a Trello board export
+ * @access  Private
+ */
+router.post('/import/trello', auth, requireScope('boards:write'), validate(boardValidationSchemas.importTrello), importTrelloBoard);
+
+/**
+ * @route   GET /api/boards/archived
+ * @desc    Get archived boards the user can access
+ * @access  Private
+ */
+router.get('/archived', auth, requireScope('boards:read'), getArchivedBoards);
+
+/**
+ * @route   PUT /api/boards/order
+ * @desc    Set your own manual board order
+ * @access  Private
+ */
+router.put('/order', auth, requireScope('boards:write'), validate(boardValidationSchemas.reorder), reorderBoards);
 
 /**
  * @route   GET /api/boards/:id
  * @desc    Get specific board with lists and cards
  * @access  Private (Board Member)
  */
-router.get('/:id', isBoardMember, getBoard);
+router.get('/:id', auth, requireScope('boards:read'), requireBoardRole('viewer'), getBoard);
 
 /**
  * @route   PUT /api/boards/:id
  * @desc    Update board
+ * @access  Private (Board Admin)
+ */
+router.put('/:id', auth, requireScope('boards:write'), requireBoardRole('admin'), validate(boardValidationSchemas.update), updateBoard);
+
+/**
+ * @route   GET /api/boards/:id/export
+ * @desc    Download the board as JSON, CSV or Markdown (?format=json|csv|md)
+ * @access  Private (Board Viewer)
+ */
+router.get('/:id/export', auth, requireScope('boards:read'), requireBoardRole('viewer'), exportBoard);
+
+/**
+ * @route   GET /api/boards/:id/activity
+ * @desc    Get the board's activity feed, newest first (?before=<cursor>&limit=)
+ * @access  Private (Board Viewer)
+ */
+router.get('/:id/activity', auth, requireScope('boards:read'), requireBoardRole('viewer'), getBoardActivity);
+
+/**
+ * @route   GET /api/boards/:id/analytics
+ * @desc    Get lead time, cycle time, throughput and per-assignee/label breakdowns (?from=&to=&lists=)
+ * @access  Private (Board Viewer)
+ */
+router.get('/:id/analytics', auth, requireScope('boards:read'), requireBoardRole('viewer'), getBoardAnalytics);
+
+/**
+ * @route   PUT /api/boards/:id/preferences
+ * @desc    Star or pin a board for yourself
+ * @access  Private (Board Viewer)
+ */
+router.put('/:id/preferences', auth, requireScope('boards:write'), requireBoardRole('viewer'), validate(boardValidationSchemas.updatePreferences), updateBoardPreferences);
+
+/**
+ * @route   POST /api/boards/:id/copy
+ * @desc    Copy a board with its lists and cards
+ * @access  Private (Board Member)
+ */
+router.post('/:id/copy', auth, requireScope('boards:write'), requireBoardRole('viewer'), validate(boardValidationSchemas.copy), copyBoard);
+
+/**
+ * @route   PUT /api/boards/:id/archive
+ * @desc    Archive/Unarchive board
  * @access  Private (Board Owner)
  */
-router.put('/:id', auth, isBoardOwner, validate(boardValidationSchemas.update), updateBoard);
+router.put('/:id/archive', auth, requireScope('boards:write'), isBoardOwner, validate(boardValidationSchemas.archive), archiveBoard);
 
 /**
  * @route   DELETE /api/boards/:id
  * @desc    Delete board
  * @access  Private (Board Owner)
  */
-router.delete('/:id', auth, isBoardOwner, deleteBoard);
+router.delete('/:id', auth, requireScope('boards:write'), isBoardOwner, deleteBoard);
 
 /**
  * @route   POST /api/boards/:id/members
  * @desc    Add member to board
- * @access  Private (Board Owner)
+ * @access  Private (Board Admin)
  */
-router.post('/:id/members', auth, isBoardOwner, validate(boardValidationSchemas.addMember), addMember);
+router.post('/:id/members', auth, requireScope('boards:write'), requireBoardRole('admin'), validate(boardValidationSchemas.addMember), addMember);
 
 /**
  * @route   DELETE /api/boards/:id/members/:memberId
  * @desc    Remove member from board
- * @access  Private (Board Owner or Self)
+ * @access  Private (Board Admin or Self)
+ */
+router.delete('/:id/members/:memberId', auth, requireScope('boards:write'), requireBoardRole('viewer'), removeMember);
+
+/**
+ * @route   PUT /api/boards/:id/members/:memberId/role
+ * @desc    Change a member's role
+ * @access  Private (Board Admin)
+ */
+router.put('/:id/members/:memberId/role', auth, requireScope('boards:write'), requireBoardRole('admin'), validate(boardValidationSchemas.updateMemberRole), updateMemberRole);
+
+/**
+ * @route   POST /api/boards/:id/transfer
+ * @desc    Offer board ownership to a member
+ * @access  Private (Board Owner)
+ */
+router.post('/:id/transfer', auth, requireScope('boards:write'), isBoardOwner, validate(boardValidationSchemas.transferOwnership), requestOwnershipTransfer);
+
+/**
+ * @route   POST /api/boards/:id/transfer/accept
+ * @desc    Accept an ownership transfer offered to you
+ * @access  Private (Proposed New Owner)
+ */
+router.post('/:id/transfer/accept', auth, requireScope('boards:write'), requireBoardRole('viewer'), acceptOwnershipTransfer);
+
+/**
+ * @route   DELETE /api/boards/:id/transfer
+ * @desc    Cancel or decline a pending ownership transfer
+ * @access  Private (Board Owner or Proposed New Owner)
+ */
+router.delete('/:id/transfer', auth, requireScope('boards:write'), requireBoardRole('viewer'), cancelOwnershipTransfer);
+
+/**
+ * @route   GET /api/boards/:id/labels
+ * @desc    Get the board's label catalog
+ * @access  Private (Board Viewer)
+ */
+router.get('/:id/labels', auth, requireScope('boards:read'), requireBoardRole('viewer'), getLabels);
+
+/**
+ * @route   POST /api/boards/:id/labels
+ * @desc    Add a label to the board
+ * @access  Private (Board Editor)
+ */
+router.post('/:id/labels', auth, requireScope('boards:write'), requireBoardRole('editor'), validate(boardValidationSchemas.createLabel), createLabel);
+
+/**
+ * @route   PUT /api/boards/:id/labels/:labelId
+ * @desc    Rename or recolor a label on every card that uses it
+ * @access  Private (Board Editor)
+ */
+router.put('/:id/labels/:labelId', auth, requireScope('boards:write'), requireBoardRole('editor'), validate(boardValidationSchemas.updateLabel), updateLabel);
+
+/**
+ * @route   DELETE /api/boards/:id/labels/:labelId
+ * @desc    Delete a label and remove it from all cards
+ * @access  Private (Board Editor)
+ */
+router.delete('/:id/labels/:labelId', auth, requireScope('boards:write'), requireBoardRole('editor'), deleteLabel);
+
+/**
+ * @route   GET /api/boards/:id/custom-fields
+ * @desc    Get the board's custom field definitions
+ * @access  Private (Board Viewer)
+ */
+router.get('/:id/custom-fields', auth, requireScope('boards:read'), requireBoardRole('viewer'), getCustomFields);
+
+/**
+ * @route   POST /api/boards/:id/custom-fields
+ * @desc    Define a custom field
+ * @access  Private (Board Admin)
+ */
+router.post('/:id/custom-fields', auth, requireScope('boards:write'), requireBoardRole('admin'), validate(boardValidationSchemas.createCustomField), createCustomField);
+
+/**
+ * @route   PUT /api/boards/:id/custom-fields/:fieldId
+ * @desc    Rename a custom field or change a dropdown's options
+ * @access  Private (Board Admin)
+ */
+router.put('/:id/custom-fields/:fieldId', auth, requireScope('boards:write'), requireBoardRole('admin'), validate(boardValidationSchemas.updateCustomField), updateCustomField);
+
+/**
+ * @route   DELETE /api/boards/:id/custom-fields/:fieldId
+ * @desc    Delete a custom field and its values on all cards
+ * @access  Private (Board Admin)
+ */
+router.delete('/:id/custom-fields/:fieldId', auth, requireScope('boards:write'), requireBoardRole('admin'), deleteCustomField);
+
+/**
+ * @route   GET /api/boards/:id/invitations
+ * @desc    List pending invitations and invite links
+ * @access  Private (Board Admin)
+ */
+router.get('/:id/invitations', auth, requireScope('boards:read'), requireBoardRole('admin'), getInvitations);
+
+/**
+ * @route   POST /api/boards/:id/invitations
+ * @desc    Invite someone to the board by email
+ * @access  Private (Board Admin)
+ */
+router.post('/:id/invitations', auth, requireScope('boards:write'), requireBoardRole('admin'), validate(boardValidationSchemas.createInvitation), createInvitation);
+
+/**
+ * @route   POST /api/boards/:id/invite-links
+ * @desc    Create a shareable invite link
+ * @access  Private (Board Admin)
+ */
+router.post('/:id/invite-links', auth, requireScope('boards:write'), requireBoardRole('admin'), validate(boardValidationSchemas.createInviteLink), createInviteLink);
+
+/**
+ * @route   DELETE /api/boards/:id/invitations/:invitationId
+ * @desc    Revoke an invitation or invite link
+ * @access  Private (Board Admin)
  */
-router.delete('/:id/members/:memberId', auth, removeMember);
+router.delete('/:id/invitations/:invitationId', auth, requireScope('boards:write'), requireBoardRole('admin'), revokeInvitation);
 
 module.exports = router;
\ No newline at end of file
@@ -7,74 +7,106 @@ const {
   deleteCard,
   moveCard,
   addComment,
+  voteCard,
+  unvoteCard,
+  setCustomFieldValues,
   addAttachment,
   getUserCards,
   getOverdueCards
 } = require('../controllers/cardController');
+const { getCardActivity } = require('../controllers/activityController');
 const { validate, cardValidationSchemas } = require('../utils/validation');
-const { auth } = require('../middleware/auth');
+const { auth, requireScope, requireBoardRole, boardFrom } = require('../middleware/auth');
 
 /**
  * @route   GET /api/cards/my-cards
  * @desc    Get user's assigned cards
  * @access  Private
  */
-router.get('/my-cards', auth, getUserCards);
+router.get('/my-cards', auth, requireScope('cards:read'), getUserCards);
 
 /**
  * @route   GET /api/cards/overdue
  * @desc    Get user's overdue cards
  * @access  Private
  */
-router.get('/overdue', auth, getOverdueCards);
+router.get('/overdue', auth, requireScope('cards:read'), getOverdueCards);
 
 /**
  * @route   POST /api/cards
  * @desc    Create new card
- * @access  Private (Board Member)
+ * @access  Private (Board Editor)
  */
-router.post('/', auth, validate(cardValidationSchemas.create), createCard);
+router.post('/', auth, requireScope('cards:write'), validate(cardValidationSchemas.create), requireBoardRole('editor', boardFrom.body), createCard);
 
 /**
  * @route   GET /api/cards/:id
  * @desc    Get card details
- * @access  Private (Board Member)
+ * @access  Private (Board Viewer)
  */
-router.get('/:id', auth, getCard);
+router.get('/:id', auth, requireScope('cards:read'), requireBoardRole('viewer', boardFrom.card), getCard);
+
+/**
+ * @route   GET /api/cards/:id/activity
+ * @desc    Get the card's history, newest first (?before=<cursor>&limit=)
+ * @access  Private (Board Viewer)
+ */
+router.get('/:id/activity', auth, requireScope('cards:read'), requireBoardRole('viewer', boardFrom.card), getCardActivity);
 
 /**
  * @route   PUT /api/cards/:id
  * @desc    Update card
- * @access  Private (Board Member)
+ * @access  Private (Board Editor)
  */
-router.put('/:id', auth, validate(cardValidationSchemas.update), updateCard);
+router.put('/:id', auth, requireScope('cards:write'), requireBoardRole('editor', boardFrom.card), validate(cardValidationSchemas.update), updateCard);
 
 /**
  * @route   DELETE /api/cards/:id
  * @desc    Delete card
- * @access  Private (Board Member)
+ * @access  Private (Board Editor)
  */
-router.delete('/:id', auth, deleteCard);
+router.delete('/:id', auth, requireScope('cards:write'), requireBoardRole('editor', boardFrom.card), deleteCard);
 
 /**
  * @route   PUT /api/cards/:id/position
  * @desc    Move card to different list or position
- * @access  Private (Board Member)
+ * @access  Private (Board Editor)
+ */
+router.put('/:id/position', auth, requireScope('cards:write'), requireBoardRole('editor', boardFrom.card), validate(cardValidationSchemas.move), moveCard);
+
+/**
+ * @route   PUT /api/cards/:id/custom-fields
+ * @desc    Set or clear the card's custom field values
+ * @access  Private (Board Editor)
  */
-router.put('/:id/position', auth, validate(cardValidationSchemas.move), moveCard);
+router.put('/:id/custom-fields', auth, requireScope('cards:write'), requireBoardRole('editor', boardFrom.card), validate(cardValidationSchemas.setCustomFields), setCustomFieldValues);
 
 /**
  * @route   POST /api/cards/:id/comments
  * @desc    Add comment to card
- * @access  Private (Board Member)
+ * @access  Private (Board Commenter)
+ */
+router.post('/:id/comments', auth, requireScope('cards:write'), requireBoardRole('commenter', boardFrom.card), validate(cardValidationSchemas.addComment), addComment);
+
+/**
+ * @route   POST /api/cards/:id/vote
+ * @desc    Vote for a card (boards with voting enabled)
+ * @access  Private (Board Commenter)
+ */
+router.post('/:id/vote', auth, requireScope('cards:write'), requireBoardRole('commenter', boardFrom.card), voteCard);
+
+/**
+ * @route   DELETE /api/cards/:id/vote
+ * @desc    Withdraw your vote for a card
+ * @access  Private (Board Commenter)
  */
-router.post('/:id/comments', auth, validate(cardValidationSchemas.addComment), addComment);
+router.delete('/:id/vote', auth, requireScope('cards:write'), requireBoardRole('commenter', boardFrom.card), unvoteCard);
 
 /**
  * @route   POST /api/cards/:id/attachments
  * @desc    Add attachment to card
- * @access  Private (Board Member)
+ * @access  Private (Board Editor)
  */
-router.post('/:id/attachments', auth, addAttachment);
+router.post('/:id/attachments', auth, requireScope('cards:write'), requireBoardRole('editor', boardFrom.card), addAttachment);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getInvitationByToken,
+  acceptInvitation
+} = require('../controllers/invitationController');
+const { auth, requireSessionAuth } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/invitations/:token
+ * @desc    Preview an invitation (board name, role, inviter)
+ * @access  Public
+ */
+router.get('/:token', getInvitationByToken);
+
+/**
+ * @route   POST /api/invitations/:token/accept
+ * @desc    Accept an invitation or invite link
+ * @access  Private
+ */
+router.post('/:token/accept', auth, requireSessionAuth, acceptInvitation);
+
+module.exports = router;
\ No newline at end of file
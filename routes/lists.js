@@ -8,50 +8,58 @@ const {
   archiveList,
   getListWithCards
 } = require('../controllers/listController');
+const { importCardsFromCsv } = require('../controllers/importController');
 const { validate, listValidationSchemas } = require('../utils/validation');
-const { auth } = require('../middleware/auth');
+const { auth, requireScope, requireBoardRole, boardFrom } = require('../middleware/auth');
 
 /**
  * @route   POST /api/lists
  * @desc    Create new list
- * @access  Private (Board Member)
+ * @access  Private (Board Editor)
  */
-router.post('/', auth, validate(listValidationSchemas.create), createList);
+router.post('/', auth, requireScope('lists:write'), validate(listValidationSchemas.create), requireBoardRole('editor', boardFrom.body), createList);
 
 /**
  * @route   GET /api/lists/:id
  * @desc    Get list with cards
- * @access  Private (Board Member)
+ * @access  Private (Board Viewer)
  */
-router.get('/:id', auth, getListWithCards);
+router.get('/:id', auth, requireScope('lists:read'), requireBoardRole('viewer', boardFrom.list), getListWithCards);
 
 /**
  * @route   PUT /api/lists/:id
  * @desc    Update list
- * @access  Private (Board Member)
+ * @access  Private (Board Editor)
  */
-router.put('/:id', auth, validate(listValidationSchemas.update), updateList);
+router.put('/:id', auth, requireScope('lists:write'), requireBoardRole('editor', boardFrom.list), validate(listValidationSchemas.update), updateList);
 
 /**
  * @route   DELETE /api/lists/:id
  * @desc    Delete list
- * @access  Private (Board Member)
+ * @access  Private (Board Admin)
  */
-router.delete('/:id', auth, deleteList);
+router.delete('/:id', auth, requireScope('lists:write'), requireBoardRole('admin', boardFrom.list), deleteList);
 
 /**
  * @route   PUT /api/lists/:id/position
  * @desc    Reorder list position
- * @access  Private (Board Member)
+ * @access  Private (Board Editor)
  */
-router.put('/:id/position', auth, validate(listValidationSchemas.reorder), reorderList);
+router.put('/:id/position', auth, requireScope('lists:write'), requireBoardRole('editor', boardFrom.list), validate(listValidationSchemas.reorder), reorderList);
+
+/**
+ * @route   POST /api/lists/:id/import
+ * @desc    Create cards in the list from a CSV file (multipart field "file")
+ * @access  Private (Board Editor)
+ */
+router.post('/:id/import', auth, requireScope('cards:write'), requireBoardRole('editor', boardFrom.list), importCardsFromCsv);
 
 /**
  * @route   PUT /api/lists/:id/archive
  * @desc    Archive/Unarchive list
- * @access  Private (Board Member)
+ * @access  Private (Board Editor)
  */
-router.put('/:id/archive', auth, [
+router.put('/:id/archive', auth, requireScope('lists:write'), requireBoardRole('editor', boardFrom.list), [
   require('express-validator').body('archived')
     .isBoolean()
     .withMessage('Archived must be a boolean value'),
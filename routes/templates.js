@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  deleteTemplate
+} = require('../controllers/templateController');
+const { auth, requireScope, requireBoardRole, boardFrom } = require('../middleware/auth');
+const { validate, templateValidationSchemas } = require('../utils/validation');
+
+/**
+ * @route   GET /api/templates
+ * @desc    Get the template gallery (built-in, own and workspace templates)
+ * @access  Private
+ */
+router.get('/', auth, requireScope('boards:read'), getTemplates);
+
+/**
+ * @route   POST /api/templates
+ * @desc    Save a board as a template
+ * @access  Private (Board Member)
+ */
+router.post('/', auth, requireScope('boards:write'), validate(templateValidationSchemas.create), requireBoardRole('viewer', boardFrom.body), createTemplate);
+
+/**
+ * @route   GET /api/templates/:id
+ * @desc    Get a template with its lists and card templates
+ * @access  Private
+ */
+router.get('/:id', auth, requireScope('boards:read'), getTemplate);
+
+/**
+ * @route   DELETE /api/templates/:id
+ * @desc    Delete a template
+ * @access  Private (Template Owner, or Admin for built-in templates)
+ */
+router.delete('/:id', auth, requireScope('boards:write'), deleteTemplate);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWorkspaces,
+  getWorkspace,
+  createWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  addWorkspaceMember,
+  updateWorkspaceMemberRole,
+  removeWorkspaceMember
+} = require('../controllers/workspaceController');
+const { auth, requireScope, requireWorkspaceRole } = require('../middleware/auth');
+const { validate, workspaceValidationSchemas } = require('../utils/validation');
+
+/**
+ * @route   GET /api/workspaces
+ * @desc    Get all workspaces for authenticated user
+ * @access  Private
+ */
+router.get('/', auth, requireScope('workspaces:read'), getWorkspaces);
+
+/**
+ * @route   POST /api/workspaces
+ * @desc    Create a new workspace
+ * @access  Private
+ */
+router.post('/', auth, requireScope('workspaces:write'), validate(workspaceValidationSchemas.create), createWorkspace);
+
+/**
+ * @route   GET /api/workspaces/:id
+ * @desc    Get workspace with members and boards
+ * @access  Private (Workspace Member)
+ */
+router.get('/:id', auth, requireScope('workspaces:read'), requireWorkspaceRole('member'), getWorkspace);
+
+/**
+ * @route   PUT /api/workspaces/:id
+ * @desc    Update workspace
+ * @access  Private (Workspace Admin)
+ */
+router.put('/:id', auth, requireScope('workspaces:write'), requireWorkspaceRole('admin'), validate(workspaceValidationSchemas.update), updateWorkspace);
+
+/**
+ * @route   DELETE /api/workspaces/:id
+ * @desc    Delete workspace (boards are kept as standalone boards)
+ * @access  Private (Workspace Owner)
+ */
+router.delete('/:id', auth, requireScope('workspaces:write'), requireWorkspaceRole('owner'), deleteWorkspace);
+
+/**
+ * @route   POST /api/workspaces/:id/members
+ * @desc    Add member to workspace
+ * @access  Private (Workspace Admin)
+ */
+router.post('/:id/members', auth, requireScope('workspaces:write'), requireWorkspaceRole('admin'), validate(workspaceValidationSchemas.addMember), addWorkspaceMember);
+
+/**
+ * @route   PUT /api/workspaces/:id/members/:memberId/role
+ * @desc    Change a workspace member's role
+ * @access  Private (Workspace Admin)
+ */
+router.put('/:id/members/:memberId/role', auth, requireScope('workspaces:write'), requireWorkspaceRole('admin'), validate(workspaceValidationSchemas.updateMemberRole), updateWorkspaceMemberRole);
+
+/**
+ * @route   DELETE /api/workspaces/:id/members/:memberId
+ * @desc    Remove member from workspace
+ * @access  Private (Workspace Admin or Self)
+ */
+router.delete('/:id/members/:memberId', auth, requireScope('workspaces:write'), requireWorkspaceRole('member'), removeWorkspaceMember);
+
+module.exports = router;
\ No newline at end of file
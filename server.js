@@ -12,6 +12,10 @@ const authRoutes = require('./routes/auth');
 const boardRoutes = require('./routes/boards');
 const listRoutes = require('./routes/lists');
 const cardRoutes = require('./routes/cards');
+const invitationRoutes = require('./routes/invitations');
+const workspaceRoutes = require('./routes/workspaces');
+const adminRoutes = require('./routes/admin');
+const templateRoutes = require('./routes/templates');
 
 // Import middleware
 const { auth } = require('./middleware/auth');
@@ -90,6 +94,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/boards', auth, boardRoutes);
 app.use('/api/lists', auth, listRoutes);
 app.use('/api/cards', auth, cardRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/workspaces', auth, workspaceRoutes);
+app.use('/api/templates', auth, templateRoutes);
+app.use('/api/admin', adminRoutes);
 
 // File upload directory
 app.use('/uploads', express.static('uploads'));
@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
 const { logEvent, logSecurityEvent } = require('../middleware/logger');
+const { recordActivity } = require('../utils/activity');
 
 /**
  * Socket.IO authentication middleware
@@ -20,20 +23,42 @@ const authenticateSocket = async (socket, next) => {
       return next(new Error('Authentication token required'));
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: 'kanbanflow-app' });
+    
+    if (await RevokedToken.isRevoked(decoded.jti)) {
+      logSecurityEvent('socket_auth_failed', {
+        reason: 'token_revoked',
+        socketId: socket.id,
+        userId: decoded.id,
+        ip: socket.handshake.address
+      });
+      return next(new Error('Token has been revoked'));
+    }
+    
+    if (decoded.sid && !await Session.findActive(decoded.sid)) {
+      logSecurityEvent('socket_auth_failed', {
+        reason: 'session_revoked',
+        socketId: socket.id,
+        userId: decoded.id,
+        ip: socket.handshake.address
+      });
+      return next(new Error('Session has been signed out'));
+    }
+    
     const user = await User.findById(decoded.id).select('-password');
     
-    if (!user) {
+    if (!user || !user.isActive) {
       logSecurityEvent('socket_auth_failed', {
-        reason: 'user_not_found',
+        reason: user ? 'account_inactive' : 'user_not_found',
         socketId: socket.id,
         userId: decoded.id,
         ip: socket.handshake.address
       });
-      return next(new Error('User not found'));
+      return next(new Error(user ? 'Account has been deactivated' : 'User not found'));
     }
     
     socket.user = user;
+    socket.sessionId = decoded.sid || null;
     logEvent('info', 'Socket authenticated', {
       userId: user._id,
       socketId: socket.id,
@@ -53,6 +78,36 @@ const authenticateSocket = async (socket, next) => {
   }
 };
 
+/**
+ * Check that a socket has joined a board and still holds at least the given role
+ * @param {Object} socket - Socket instance
+ * @param {String} boardId - Board ID
+ * @param {String} minRole - Minimum board role
+ * @returns {Promise<Boolean>} - Whether the event is allowed (an error is emitted if not)
+ */
+const authorizeBoardEvent = async (socket, boardId, minRole) => {
+  if (!socket.currentBoard || socket.currentBoard !== boardId) {
+    socket.emit('error', { message: 'Not joined to this board' });
+    return false;
+  }
+  
+  // Roles can change while the socket is connected, so look them up again
+  const Board = require('../models/Board');
+  const board = await Board.findById(boardId).select('ownerId members memberRoles workspaceId workspaceVisible archived');
+  
+  if (!board || !Board.roleAtLeast(await board.resolveRole(socket.user._id), minRole)) {
+    socket.emit('error', { message: `This action requires the ${minRole} role or higher` });
+    return false;
+  }
+  
+  if (board.archived && minRole !== 'viewer') {
+    socket.emit('error', { message: 'This board is archived and read-only' });
+    return false;
+  }
+  
+  return true;
+};
+
 /**
  * Configure Socket.IO server with event handlers
  * @param {Object} io - Socket.IO server instance
@@ -64,6 +119,12 @@ const configureSocket = (io) => {
   io.on('connection', (socket) => {
     const user = socket.user;
     
+    // Personal rooms so a user or a single login session can be reached (or signed out) directly
+    socket.join(`user:${user._id}`);
+    if (socket.sessionId) {
+      socket.join(`session:${socket.sessionId}`);
+    }
+    
     logEvent('info', 'User connected via socket', {
       userId: user._id,
       socketId: socket.id,
@@ -82,11 +143,9 @@ const configureSocket = (io) => {
           return;
         }
         
-        const userId = user._id.toString();
-        const isOwner = board.ownerId.toString() === userId;
-        const isMember = board.members.some(memberId => memberId.toString() === userId);
+        const role = await board.resolveRole(user._id);
         
-        if (!isOwner && !isMember) {
+        if (!role) {
           socket.emit('error', { message: 'Access denied to board' });
           logSecurityEvent('unauthorized_board_access', {
             userId: user._id,
@@ -113,7 +172,7 @@ const configureSocket = (io) => {
           socketId: socket.id
         });
         
-        socket.emit('board-joined', { boardId });
+        socket.emit('board-joined', { boardId, role });
         
       } catch (error) {
         console.error('Error joining board:', error);
@@ -150,12 +209,11 @@ const configureSocket = (io) => {
     });
     
     // Handle card movement
-    socket.on('move-card', (data) => {
+    socket.on('move-card', async (data) => {
       try {
         const { cardId, sourceListId, targetListId, position, boardId } = data;
         
-        if (!socket.currentBoard || socket.currentBoard !== boardId) {
-          socket.emit('error', { message: 'Not joined to this board' });
+        if (!(await authorizeBoardEvent(socket, boardId, 'editor'))) {
           return;
         }
         
@@ -187,12 +245,11 @@ const configureSocket = (io) => {
     });
     
     // Handle list reordering
-    socket.on('reorder-lists', (data) => {
+    socket.on('reorder-lists', async (data) => {
       try {
         const { boardId, listOrder } = data;
         
-        if (!socket.currentBoard || socket.currentBoard !== boardId) {
-          socket.emit('error', { message: 'Not joined to this board' });
+        if (!(await authorizeBoardEvent(socket, boardId, 'editor'))) {
           return;
         }
         
@@ -218,10 +275,15 @@ const configureSocket = (io) => {
     });
     
     // Handle typing indicators
-    socket.on('typing-start', (data) => {
-      const { cardId, boardId } = data;
-      
-      if (socket.currentBoard === boardId) {
+    socket.on('typing-start', async (data) => {
+      try {
+        const { cardId, boardId } = data;
+        
+        // Typing indicators are for comments, so viewers cannot send them
+        if (!(await authorizeBoardEvent(socket, boardId, 'commenter'))) {
+          return;
+        }
+        
         socket.to(`board:${boardId}`).emit('user-typing', {
           cardId,
           user: {
@@ -229,6 +291,9 @@ const configureSocket = (io) => {
             userName: user.name
           }
         });
+        
+      } catch (error) {
+        console.error('Error sending typing indicator:', error);
       }
     });
     
@@ -281,13 +346,15 @@ const configureSocket = (io) => {
 };
 
 /**
- * Emit event to board members
- * @param {Object} io - Socket.IO server instance
+ * Emit event to board members and record it in the board's activity log
+ * @param {Object} req - Express request object
  * @param {String} boardId - Board ID
  * @param {String} event - Event name
  * @param {Object} data - Event data
  */
 const emitToBoardMembers = (req, boardId, event, data) => {
+  recordActivity(req, boardId, event, data);
+  
   if (req.io) {
     req.io.to(`board:${boardId}`).emit(event, data);
   }
@@ -301,14 +368,40 @@ const emitToBoardMembers = (req, boardId, event, data) => {
  * @param {Object} data - Event data
  */
 const emitToUser = (io, userId, event, data) => {
-  // This would require mapping userId to socketId
-  // For now, we'll implement this when we have user session management
-  // io.to(socketId).emit(event, data);
+  if (io) {
+    io.to(`user:${userId}`).emit(event, data);
+  }
+};
+
+/**
+ * Disconnect every socket opened with a signed-out session
+ * @param {Object} io - Socket.IO server instance
+ * @param {String} sessionId - Session ID
+ */
+const disconnectSession = (io, sessionId) => {
+  if (io) {
+    io.to(`session:${sessionId}`).emit('session-revoked', { sessionId });
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+  }
+};
+
+/**
+ * Disconnect every socket of a user (logout everywhere, password change)
+ * @param {Object} io - Socket.IO server instance
+ * @param {String} userId - User ID
+ */
+const disconnectUser = (io, userId) => {
+  if (io) {
+    io.to(`user:${userId}`).emit('session-revoked', { userId });
+    io.in(`user:${userId}`).disconnectSockets(true);
+  }
 };
 
 module.exports = {
   configureSocket,
   emitToBoardMembers,
   emitToUser,
+  disconnectSession,
+  disconnectUser,
   authenticateSocket
 };
\ No newline at end of file
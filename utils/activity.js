@@ -0,0 +1,307 @@
+const Activity = require('../models/Activity');
+
+// Fields whose changes are kept in the activity log
+const BOARD_FIELDS = ['name', 'description', 'isPublic', 'workspaceId', 'workspaceVisible', 'backgroundColor', 'backgroundImage', 'settings'];
+const LIST_FIELDS = ['name', 'cardLimit', 'wipLimit'];
+const CARD_FIELDS = [
+  'title', 'description', 'assignedTo', 'dueDate', 'completed', 'priority',
+  'labels', 'estimatedHours', 'actualHours', 'startDate', 'customFields'
+];
+const LABEL_FIELDS = ['name', 'color'];
+const CUSTOM_FIELD_FIELDS = ['name', 'options'];
+
+/**
+ * Turn a document or value into plain JSON data: IDs become strings, dates ISO strings
+ * @param {*} value - Document, subdocument or value
+ * @returns {*} - JSON-safe value
+ */
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+
+  const object = typeof value.toObject === 'function'
+    ? value.toObject({ depopulate: true, flattenMaps: true })
+    : value;
+
+  return JSON.parse(JSON.stringify(object));
+};
+
+const isPlainObject = (value) => Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Collect field-level changes, descending into nested objects (settings, custom field values)
+ * @param {String} field - Field path
+ * @param {*} before - Plain value before
+ * @param {*} after - Plain value after
+ * @param {Array} changes - Collected { field, before, after } entries
+ */
+const collectChanges = (field, before, after, changes) => {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+      if (key !== '_id') collectChanges(`${field}.${key}`, before[key], after[key], changes);
+    });
+    return;
+  }
+
+  const was = before === undefined ? null : before;
+  const now = after === undefined ? null : after;
+
+  if (JSON.stringify(was) !== JSON.stringify(now)) {
+    changes.push({ field, before: was, after: now });
+  }
+};
+
+/**
+ * Compare two versions of a document
+ * @param {Object} before - Document before the request
+ * @param {Object} after - Document after the request
+ * @param {Array} fields - Fields to compare
+ * @returns {Array} - { field, before, after } entries
+ */
+const diff = (before, after, fields) => {
+  if (!before || !after) return [];
+
+  const plainBefore = toPlain(before);
+  const plainAfter = toPlain(after);
+  const changes = [];
+
+  fields.forEach(field => collectChanges(field, plainBefore[field], plainAfter[field], changes));
+  return changes;
+};
+
+// State of the board, list or card when the request started (see requireBoardRole)
+const original = (req, kind) => (req.original && req.original[kind]) || null;
+
+// Label or custom field as it was in the board's catalog when the request started
+const originalEntry = (req, collection, id) => {
+  const board = original(req, 'board');
+  return board ? (board[collection] || []).find(entry => entry._id.toString() === id.toString()) || null : null;
+};
+
+const cardName = (req, card) => (card && card.title) || (original(req, 'card') || {}).title || null;
+
+/**
+ * Describe an update, or nothing if no tracked field changed
+ * @param {Object} target - { type, id, name }
+ * @param {Array} changes - Field changes
+ * @param {Object} extra - Other activity fields
+ * @returns {Object|null} - Activity details
+ */
+const updated = (target, changes, extra = {}) => (changes.length > 0 ? { verb: 'updated', target, changes, ...extra } : null);
+
+/**
+ * How each board event is recorded. Each entry turns the event's socket payload into the
+ * verb, target and changes of an activity, or returns null when there is nothing to record.
+ */
+const ACTIVITY_EVENTS = {
+  // Boards
+  'board-created': (req, { board, source = null }) => ({
+    verb: 'created',
+    target: { type: 'board', id: board._id, name: board.name },
+    details: source
+  }),
+  'board-updated': (req, { board }) => updated(
+    { type: 'board', id: board._id, name: board.name },
+    diff(original(req, 'board'), board, BOARD_FIELDS)
+  ),
+  'board-archived': (req, { boardId, archived }) => ({
+    verb: archived ? 'archived' : 'restored',
+    target: { type: 'board', id: boardId, name: req.board ? req.board.name : null },
+    changes: [{ field: 'archived', before: !archived, after: archived }]
+  }),
+  'board-owner-changed': (req, { boardId, previousOwnerId, newOwner, via }) => ({
+    verb: 'transferred',
+    target: { type: 'board', id: boardId, name: req.board ? req.board.name : null },
+    changes: [{ field: 'ownerId', before: toPlain(previousOwnerId), after: toPlain(newOwner.userId) }],
+    details: { via }
+  }),
+  'board-transfer-requested': (req, { newOwner, expiresAt }) => ({
+    verb: 'offered',
+    target: { type: 'member', id: newOwner.userId, name: newOwner.userName },
+    details: { expiresAt }
+  }),
+  'board-transfer-cancelled': (req, { toUserId, declined }) => ({
+    verb: declined ? 'declined' : 'cancelled',
+    target: { type: 'member', id: toUserId }
+  }),
+
+  // Members
+  'member-added': (req, { member, role, viaInvitation = false }) => ({
+    // Invitations are accepted by the new member, sometimes during login before req.user is set
+    ...(viaInvitation ? { actorId: member._id } : {}),
+    verb: 'added',
+    target: { type: 'member', id: member._id, name: member.name },
+    details: { role, viaInvitation }
+  }),
+  'member-removed': (req, { removedMemberId, reason = null }) => ({
+    verb: 'removed',
+    target: { type: 'member', id: removedMemberId },
+    details: reason ? { reason } : null
+  }),
+  'member-role-updated': (req, { memberId, role, previousRole }) => ({
+    verb: 'updated',
+    target: { type: 'member', id: memberId },
+    changes: [{ field: 'role', before: previousRole, after: role }]
+  }),
+  'invitation-created': (req, { invitation }) => ({
+    verb: 'invited',
+    target: { type: 'invitation', id: invitation._id, name: invitation.email },
+    details: { type: invitation.type, role: invitation.role }
+  }),
+  'invitation-revoked': (req, { invitation }) => ({
+    verb: 'revoked',
+    target: { type: 'invitation', id: invitation._id, name: invitation.email },
+    details: { type: invitation.type }
+  }),
+
+  // Label catalog and custom fields
+  'label-created': (req, { label }) => ({
+    verb: 'created',
+    target: { type: 'label', id: label._id, name: label.name }
+  }),
+  'label-updated': (req, { label }) => updated(
+    { type: 'label', id: label._id, name: label.name },
+    diff(originalEntry(req, 'labels', label._id), label, LABEL_FIELDS)
+  ),
+  'label-deleted': (req, { labelId }) => ({
+    verb: 'deleted',
+    target: { type: 'label', id: labelId, name: (originalEntry(req, 'labels', labelId) || {}).name || null }
+  }),
+  'custom-field-created': (req, { field }) => ({
+    verb: 'created',
+    target: { type: 'custom-field', id: field._id, name: field.name },
+    details: { type: field.type }
+  }),
+  'custom-field-updated': (req, { field }) => updated(
+    { type: 'custom-field', id: field._id, name: field.name },
+    diff(originalEntry(req, 'customFields', field._id), field, CUSTOM_FIELD_FIELDS)
+  ),
+  'custom-field-deleted': (req, { fieldId }) => ({
+    verb: 'deleted',
+    target: { type: 'custom-field', id: fieldId, name: (originalEntry(req, 'customFields', fieldId) || {}).name || null }
+  }),
+
+  // Lists
+  'list-created': (req, { list }) => ({
+    verb: 'created',
+    target: { type: 'list', id: list._id, name: list.name }
+  }),
+  'list-updated': (req, { list }) => updated(
+    { type: 'list', id: list._id, name: list.name },
+    diff(original(req, 'list'), list, LIST_FIELDS)
+  ),
+  'list-deleted': (req, { listId }) => ({
+    verb: 'deleted',
+    target: { type: 'list', id: listId, name: (original(req, 'list') || {}).name || null }
+  }),
+  'list-reordered': (req, { listId, newPosition }) => ({
+    verb: 'moved',
+    target: { type: 'list', id: listId, name: (original(req, 'list') || {}).name || null },
+    changes: [{ field: 'position', before: (original(req, 'list') || {}).position, after: newPosition }]
+  }),
+  'list-archived': (req, { listId, archived }) => ({
+    verb: archived ? 'archived' : 'restored',
+    target: { type: 'list', id: listId, name: (original(req, 'list') || {}).name || null },
+    changes: [{ field: 'archived', before: !archived, after: archived }]
+  }),
+  'cards-imported': (req, { listId, cardIds }) => ({
+    verb: 'imported',
+    target: { type: 'list', id: listId, name: req.list ? req.list.name : null },
+    details: { cards: cardIds.length }
+  }),
+
+  // Cards
+  'card-created': (req, { card }) => ({
+    verb: 'created',
+    cardId: card._id,
+    target: { type: 'card', id: card._id, name: card.title }
+  }),
+  // previous is passed when the card was not loaded through requireBoardRole
+  'card-updated': (req, { card, previous = original(req, 'card') }) => updated(
+    { type: 'card', id: card._id, name: card.title },
+    diff(previous, card, CARD_FIELDS),
+    { cardId: card._id }
+  ),
+  'card-deleted': (req, { cardId }) => ({
+    verb: 'deleted',
+    cardId,
+    target: { type: 'card', id: cardId, name: cardName(req) }
+  }),
+  'card-moved': (req, { cardId, oldListId, newListId, newPosition }) => ({
+    verb: 'moved',
+    cardId,
+    target: { type: 'card', id: cardId, name: cardName(req) },
+    changes: [
+      ...(oldListId.toString() !== newListId.toString() ? [{ field: 'listId', before: oldListId.toString(), after: newListId.toString() }] : []),
+      { field: 'position', before: (original(req, 'card') || {}).position, after: newPosition }
+    ]
+  }),
+  'comment-added': (req, { cardId, comment }) => ({
+    verb: 'commented',
+    cardId,
+    target: { type: 'card', id: cardId, name: cardName(req) },
+    details: { commentId: comment._id, text: comment.text }
+  }),
+  'card-voted': (req, { cardId, voted }) => ({
+    verb: voted ? 'voted' : 'unvoted',
+    cardId,
+    target: { type: 'card', id: cardId, name: cardName(req) }
+  }),
+  'attachment-added': (req, { cardId, attachment }) => ({
+    verb: 'attached',
+    cardId,
+    target: { type: 'card', id: cardId, name: cardName(req) },
+    details: { attachmentId: attachment._id, fileName: attachment.originalName || attachment.fileName }
+  })
+};
+
+/**
+ * Record a board event in the activity log. Called for every event sent to a board room,
+ * which makes the log the single, complete record of board mutations. Events without an
+ * entry in ACTIVITY_EVENTS are not recorded. Never throws.
+ * @param {Object} req - Express request object
+ * @param {String} boardId - Board ID
+ * @param {String} event - Event name
+ * @param {Object} data - Event data
+ * @returns {Promise<Object|null>} - Activity document
+ */
+const recordActivity = async (req, boardId, event, data) => {
+  try {
+    const describe = ACTIVITY_EVENTS[event];
+    if (!describe) return null;
+
+    const activity = describe(req, data);
+    const actorId = activity && (activity.actorId || (req.user && req.user._id));
+    if (!actorId) return null;
+
+    return await Activity.record({
+      boardId,
+      event,
+      ...activity,
+      actorId
+    });
+  } catch (error) {
+    console.error('Activity log error:', error);
+    return null;
+  }
+};
+
+/**
+ * Remember the board, list and card as a mutating request found them, so the activity
+ * log can show before/after values even when controllers change the documents in place
+ * @param {Object} req - Express request object
+ */
+const snapshotOriginals = (req) => {
+  if (req.method === 'GET') return;
+
+  req.original = {
+    board: req.board ? toPlain(req.board) : null,
+    list: req.list ? toPlain(req.list) : null,
+    card: req.card ? toPlain(req.card) : null
+  };
+};
+
+module.exports = {
+  ACTIVITY_EVENTS,
+  recordActivity,
+  snapshotOriginals
+};
\ No newline at end of file
@@ -0,0 +1,41 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Card = require('../models/Card');
+
+/**
+ * Give cards completed before completion times were recorded a completedAt, so board
+ * analytics can count them. Their last update is the closest thing to a completion
+ * time we have, so lead times of cards edited after completion come out too long.
+ * Cards that already have a completedAt are left alone; the script can run again.
+ */
+const backfillCompletedAt = async () => {
+  try {
+    console.log('⏱️  Backfilling card completion times...');
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // Matches cards where the field is null as well as cards saved before it existed
+    const { modifiedCount } = await Card.collection.updateMany(
+      { completed: true, completedAt: null },
+      [{ $set: { completedAt: '$updatedAt' } }]
+    );
+
+    console.log(`📋 Set completedAt on ${modifiedCount} completed cards`);
+
+    console.log('\n🎉 Completion time backfill completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Completion time backfill failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  backfillCompletedAt();
+}
+
+module.exports = backfillCompletedAt;
\ No newline at end of file
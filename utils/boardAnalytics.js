@@ -0,0 +1,212 @@
+const Card = require('../models/Card');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Percentiles reported for lead and cycle time
+const PERCENTILES = [50, 75, 85, 95];
+
+const roundDays = (days) => (days === null || days === undefined ? null : Math.round(days * 100) / 100);
+
+// Days between two date fields, or null unless the card was completed after it started
+const daysBetween = (start, end) => ({
+  $cond: [
+    { $and: [`$${start}`, `$${end}`, { $lte: [`$${start}`, `$${end}`] }] },
+    { $divide: [{ $subtract: [`$${end}`, `$${start}`] }, DAY_MS] },
+    null
+  ]
+});
+
+/**
+ * Pipeline stages summarising one duration field of the cards that reach them:
+ * count, average and nearest-rank percentiles
+ * @param {String} field - Duration field, in days
+ * @returns {Array} - Aggregation stages
+ */
+const durationStats = (field) => [
+  { $match: { inRange: true, [field]: { $ne: null } } },
+  { $sort: { [field]: 1 } },
+  {
+    $group: {
+      _id: null,
+      count: { $sum: 1 },
+      average: { $avg: `$${field}` },
+      values: { $push: `$${field}` }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      count: 1,
+      average: 1,
+      ...Object.fromEntries(PERCENTILES.map(percentile => [`p${percentile}`, {
+        $arrayElemAt: ['$values', { $toInt: { $subtract: [{ $ceil: { $multiply: [percentile / 100, '$count'] } }, 1] } }]
+      }]))
+    }
+  }
+];
+
+/**
+ * Pipeline stages breaking cards down by a field that holds an array of IDs
+ * (assignees, labels). Cards without any go into a null bucket.
+ * @param {String} field - Array field
+ * @returns {Array} - Aggregation stages
+ */
+const breakdownBy = (field) => [
+  { $unwind: { path: `$${field}`, preserveNullAndEmptyArrays: true } },
+  {
+    $group: {
+      _id: { $ifNull: [`$${field}`, null] },
+      completed: { $sum: { $cond: ['$inRange', 1, 0] } },
+      open: { $sum: { $cond: ['$open', 1, 0] } },
+      averageLeadTime: { $avg: { $cond: ['$inRange', '$leadTime', null] } },
+      averageCycleTime: { $avg: { $cond: ['$inRange', '$cycleTime', null] } }
+    }
+  },
+  { $match: { $or: [{ completed: { $gt: 0 } }, { open: { $gt: 0 } }] } },
+  { $sort: { completed: -1, open: -1 } }
+];
+
+/**
+ * Start of the ISO week (Monday, UTC) a date falls in
+ * @param {Date} date - Any date
+ * @returns {Date} - Monday 00:00 UTC
+ */
+const startOfWeek = (date) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+const toDurationSummary = (stats) => {
+  if (!stats) {
+    return { count: 0, average: null, percentiles: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, null])) };
+  }
+
+  return {
+    count: stats.count,
+    average: roundDays(stats.average),
+    percentiles: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, roundDays(stats[`p${p}`])]))
+  };
+};
+
+const toBreakdownEntry = (entry) => ({
+  completed: entry.completed,
+  open: entry.open,
+  averageLeadTime: roundDays(entry.averageLeadTime),
+  averageCycleTime: roundDays(entry.averageCycleTime)
+});
+
+/**
+ * Compute a board's flow metrics with a single aggregation over its cards.
+ * Lead time runs from creation to completion, cycle time from the start date to
+ * completion (cards without a start date have no cycle time); both are in days.
+ * Completed cards count when they were completed within the range; open cards are
+ * the ones currently neither completed nor archived.
+ * @param {Object} board - Board document
+ * @param {Object} options - { from, to, listIds (optional array of list IDs) }
+ * @returns {Promise<Object>} - { leadTime, cycleTime, throughput, byAssignee, byLabel }
+ */
+const computeBoardAnalytics = async (board, { from, to, listIds = null }) => {
+  const match = {
+    boardId: board._id,
+    $or: [
+      { completed: true, completedAt: { $gte: from, $lte: to } },
+      { completed: false, archived: false }
+    ]
+  };
+  if (listIds) {
+    match.listId = { $in: listIds };
+  }
+
+  const [result] = await Card.aggregate([
+    { $match: match },
+    {
+      $project: {
+        assignedTo: 1,
+        labels: 1,
+        completedAt: 1,
+        // The $match above only lets through completed cards from the range
+        inRange: '$completed',
+        open: { $not: ['$completed'] },
+        leadTime: daysBetween('createdAt', 'completedAt'),
+        cycleTime: daysBetween('startDate', 'completedAt')
+      }
+    },
+    {
+      $facet: {
+        leadTime: durationStats('leadTime'),
+        cycleTime: durationStats('cycleTime'),
+        throughput: [
+          { $match: { inRange: true } },
+          {
+            $group: {
+              _id: { year: { $isoWeekYear: '$completedAt' }, week: { $isoWeek: '$completedAt' } },
+              completed: { $sum: 1 }
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              completed: 1,
+              weekStart: { $dateFromParts: { isoWeekYear: '$_id.year', isoWeek: '$_id.week', isoDayOfWeek: 1 } }
+            }
+          }
+        ],
+        byAssignee: [
+          ...breakdownBy('assignedTo'),
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+          {
+            $project: {
+              completed: 1,
+              open: 1,
+              averageLeadTime: 1,
+              averageCycleTime: 1,
+              user: {
+                $arrayElemAt: [{
+                  $map: { input: '$user', as: 'user', in: { _id: '$$user._id', name: '$$user.name', email: '$$user.email', avatarUrl: '$$user.avatarUrl' } }
+                }, 0]
+              }
+            }
+          }
+        ],
+        byLabel: breakdownBy('labels')
+      }
+    }
+  ]);
+
+  // Weeks without completed cards still belong in the series
+  const completedByWeek = new Map(result.throughput.map(week => [week.weekStart.getTime(), week.completed]));
+  const weeks = [];
+  for (let week = startOfWeek(from); week <= to; week = new Date(week.getTime() + WEEK_MS)) {
+    weeks.push({ weekStart: week, completed: completedByWeek.get(week.getTime()) || 0 });
+  }
+  const totalCompleted = weeks.reduce((sum, week) => sum + week.completed, 0);
+
+  return {
+    leadTime: toDurationSummary(result.leadTime[0]),
+    cycleTime: toDurationSummary(result.cycleTime[0]),
+    throughput: {
+      total: totalCompleted,
+      averagePerWeek: weeks.length > 0 ? Math.round((totalCompleted / weeks.length) * 100) / 100 : 0,
+      weeks
+    },
+    byAssignee: result.byAssignee.map(entry => ({
+      // Assignees whose account was deleted keep their ID
+      user: entry._id ? entry.user || { _id: entry._id, name: null } : null,
+      ...toBreakdownEntry(entry)
+    })),
+    byLabel: result.byLabel
+      .filter(entry => !entry._id || board.labels.id(entry._id))
+      .map(entry => {
+        const label = entry._id ? board.labels.id(entry._id) : null;
+        return {
+          label: label ? { _id: label._id, name: label.name, color: label.color } : null,
+          ...toBreakdownEntry(entry)
+        };
+      })
+  };
+};
+
+module.exports = {
+  computeBoardAnalytics
+};
\ No newline at end of file
@@ -0,0 +1,352 @@
+const { csvRow } = require('./csv');
+
+// Supported export formats
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+};
+
+// ID string of an ObjectId or a populated document
+const toIdString = (value) => (value._id || value).toString();
+
+const toISOString = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Write a chunk to the response, waiting for the client to catch up when the buffer is full
+ * @param {Object} res - Express response object
+ * @param {String} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+const write = (res, chunk) => {
+  if (res.destroyed) {
+    return Promise.reject(new Error('Connection closed during export'));
+  }
+
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(new Error('Connection closed during export'));
+    };
+
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+};
+
+/**
+ * Build the helpers that turn IDs on cards into names: board labels, custom field
+ * options and board members
+ * @param {Object} board - Board document
+ * @param {Array} users - Board members (name and email)
+ * @returns {Object} - Export context
+ */
+const createExportContext = (board, users) => {
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  // Populated users carry their name; deleted users come back from populate as null
+  const person = (value) => {
+    if (!value) return null;
+
+    const user = value.name !== undefined ? value : usersById.get(toIdString(value));
+    return user
+      ? { _id: user._id, name: user.name, email: user.email }
+      : { _id: toIdString(value), name: null, email: null };
+  };
+
+  const customFieldValue = (field, value) => {
+    switch (field.type) {
+      case 'dropdown': {
+        const option = field.options.id(value);
+        return option ? option.name : null;
+      }
+      case 'user': {
+        const user = person(value);
+        return user && (user.name || user._id.toString());
+      }
+      case 'date':
+        return toISOString(value);
+      default:
+        return value;
+    }
+  };
+
+  return { board, person, customFieldValue };
+};
+
+/**
+ * Turn a card into the plain object used by every export format
+ * @param {Object} card - Card document with details populated
+ * @param {Object} context - Export context
+ * @returns {Object} - Exported card
+ */
+const toExportCard = (card, { board, person, customFieldValue }) => ({
+  _id: card._id,
+  title: card.title,
+  description: card.description,
+  position: card.position,
+  priority: card.priority,
+  labels: card.labels
+    .map(labelId => board.labels.id(labelId))
+    .filter(Boolean)
+    .map(({ _id, name, color }) => ({ _id, name, color })),
+  assignees: card.assignedTo.filter(Boolean).map(person),
+  startDate: toISOString(card.startDate),
+  dueDate: toISOString(card.dueDate),
+  completed: card.completed,
+  completedAt: toISOString(card.completedAt),
+  completedBy: person(card.completedBy),
+  estimatedHours: card.estimatedHours,
+  actualHours: card.actualHours,
+  ...(board.settings.allowVoting ? { voteCount: card.voteCount } : {}),
+  customFields: board.customFields
+    .filter(field => card.customFields && card.customFields.has(field._id.toString()))
+    .map(field => ({
+      fieldId: field._id,
+      name: field.name,
+      type: field.type,
+      value: customFieldValue(field, card.customFields.get(field._id.toString()))
+    })),
+  checklist: card.checklist
+    .slice()
+    .sort((a, b) => a.position - b.position)
+    .map(({ text, completed }) => ({ text, completed })),
+  comments: card.comments.map(comment => ({
+    author: person(comment.userId),
+    text: comment.text,
+    createdAt: toISOString(comment.createdAt)
+  })),
+  // Metadata only; the files themselves are served from their URLs
+  attachments: card.attachments.map(attachment => ({
+    originalName: attachment.originalName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    url: attachment.url,
+    uploadedBy: person(attachment.uploadedBy),
+    uploadedAt: toISOString(attachment.uploadedAt)
+  })),
+  createdBy: person(card.createdBy),
+  createdAt: toISOString(card.createdAt),
+  updatedAt: toISOString(card.updatedAt)
+});
+
+/**
+ * Board details written once at the top of an export
+ * @param {Object} context - Export context
+ * @returns {Object} - Exported board
+ */
+const toExportBoard = ({ board, person }) => ({
+  _id: board._id,
+  name: board.name,
+  description: board.description,
+  visibility: board.visibility,
+  archived: board.archived,
+  owner: person(board.ownerId),
+  members: board.getAllMembers().map(memberId => ({
+    ...person(memberId),
+    role: board.getRole(memberId)
+  })),
+  settings: board.settings,
+  labels: board.labels.map(({ _id, name, color }) => ({ _id, name, color })),
+  customFields: board.customFields.map(({ _id, name, type, options }) => ({
+    _id,
+    name,
+    type,
+    ...(type === 'dropdown' ? { options: options.map(option => option.name) } : {})
+  })),
+  createdAt: toISOString(board.createdAt),
+  updatedAt: toISOString(board.updatedAt)
+});
+
+/**
+ * JSON: one document, written list by list
+ */
+const writeJson = async (res, lists, context, meta) => {
+  const header = JSON.stringify({ ...meta, board: toExportBoard(context) });
+  await write(res, `${header.slice(0, -1)},"lists":[`);
+
+  let first = true;
+  for await (const list of lists) {
+    const exported = {
+      _id: list._id,
+      name: list.name,
+      position: list.position,
+      wipLimit: list.wipLimit,
+      cardLimit: list.cardLimit,
+      cards: list.cards.map(card => toExportCard(card, context))
+    };
+
+    await write(res, `${first ? '' : ','}${JSON.stringify(exported)}`);
+    first = false;
+  }
+
+  await write(res, ']}');
+};
+
+const personName = (user) => (user ? user.name || user.email || user._id.toString() : 'Deleted user');
+
+/**
+ * CSV: one row per card, with a column for each custom field
+ */
+const writeCsv = async (res, lists, context) => {
+  const { board } = context;
+
+  // The byte order mark makes spreadsheet apps read the file as UTF-8
+  await write(res, `\uFEFF${csvRow([
+    'List', 'Card ID', 'Title', 'Description', 'Labels', 'Assignees', 'Priority',
+    'Start date', 'Due date', 'Completed', 'Completed at', 'Estimated hours', 'Actual hours',
+    ...board.customFields.map(field => field.name),
+    'Checklist', 'Comments', 'Attachments', 'Created by', 'Created at', 'Updated at'
+  ])}`);
+
+  for await (const list of lists) {
+    const rows = list.cards.map(card => {
+      const exported = toExportCard(card, context);
+      const values = new Map(exported.customFields.map(field => [field.fieldId.toString(), field.value]));
+
+      return csvRow([
+        list.name,
+        exported._id,
+        exported.title,
+        exported.description,
+        exported.labels.map(label => label.name).join('; '),
+        exported.assignees.map(personName).join('; '),
+        exported.priority,
+        exported.startDate,
+        exported.dueDate,
+        exported.completed ? 'yes' : 'no',
+        exported.completedAt,
+        exported.estimatedHours,
+        exported.actualHours,
+        ...board.customFields.map(field => values.get(field._id.toString())),
+        exported.checklist.map(item => `[${item.completed ? 'x' : ' '}] ${item.text}`).join('\n'),
+        exported.comments.map(comment => `${personName(comment.author)} (${comment.createdAt}): ${comment.text}`).join('\n'),
+        exported.attachments.map(file => `${file.originalName} (${file.mimeType}, ${file.size} bytes) ${file.url}`).join('\n'),
+        personName(exported.createdBy),
+        exported.createdAt,
+        exported.updatedAt
+      ]);
+    });
+
+    if (rows.length > 0) {
+      await write(res, rows.join(''));
+    }
+  }
+};
+
+// Keep titles and names on one line in Markdown headings and list items
+const mdLine = (text) => String(text).replace(/\s*[\r\n]+\s*/g, ' ');
+
+/**
+ * Markdown for one card
+ * @param {Object} card - Exported card
+ * @returns {String} - Markdown
+ */
+const cardToMarkdown = (card) => {
+  const lines = [`### ${mdLine(card.title)}`, ''];
+  const details = [
+    ['Labels', card.labels.map(label => label.name).join(', ')],
+    ['Assignees', card.assignees.map(personName).join(', ')],
+    ['Priority', card.priority],
+    ['Start date', card.startDate],
+    ['Due date', card.dueDate],
+    ['Status', card.completed ? `Completed ${card.completedAt || ''}`.trim() : 'Open'],
+    ['Estimated hours', card.estimatedHours],
+    ['Actual hours', card.actualHours],
+    ['Votes', card.voteCount],
+    ...card.customFields.map(field => [field.name, field.value === true ? 'yes' : field.value === false ? 'no' : field.value])
+  ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+  details.forEach(([name, value]) => lines.push(`- **${mdLine(name)}:** ${mdLine(value)}`));
+
+  if (card.description) {
+    lines.push('', card.description);
+  }
+
+  if (card.checklist.length > 0) {
+    lines.push('', '#### Checklist', '');
+    card.checklist.forEach(item => lines.push(`- [${item.completed ? 'x' : ' '}] ${mdLine(item.text)}`));
+  }
+
+  if (card.comments.length > 0) {
+    lines.push('', '#### Comments', '');
+    card.comments.forEach(comment => {
+      lines.push(`- **${mdLine(personName(comment.author))}** (${comment.createdAt}):`);
+      comment.text.split(/\r?\n/).forEach(line => lines.push(`  > ${line}`));
+    });
+  }
+
+  if (card.attachments.length > 0) {
+    lines.push('', '#### Attachments', '');
+    card.attachments.forEach(file => {
+      lines.push(`- [${mdLine(file.originalName)}](${file.url}) (${file.mimeType}, ${file.size} bytes, uploaded by ${mdLine(personName(file.uploadedBy))})`);
+    });
+  }
+
+  return `${lines.join('\n')}\n\n`;
+};
+
+/**
+ * Markdown: a section per list and a subsection per card
+ */
+const writeMarkdown = async (res, lists, context, meta) => {
+  const board = toExportBoard(context);
+  const lines = [`# ${mdLine(board.name)}`, ''];
+
+  if (board.description) {
+    lines.push(board.description, '');
+  }
+
+  lines.push(`_Exported ${meta.exportedAt} by ${mdLine(personName(meta.exportedBy))}_`, '');
+  lines.push(`- **Owner:** ${mdLine(personName(board.owner))}`);
+  lines.push(`- **Members:** ${board.members.map(member => `${mdLine(personName(member))} (${member.role})`).join(', ')}`);
+  if (board.labels.length > 0) {
+    lines.push(`- **Labels:** ${board.labels.map(label => mdLine(label.name)).join(', ')}`);
+  }
+
+  await write(res, `${lines.join('\n')}\n\n`);
+
+  for await (const list of lists) {
+    const cards = list.cards.map(card => toExportCard(card, context));
+    const heading = `## ${mdLine(list.name)} (${cards.length} ${cards.length === 1 ? 'card' : 'cards'})\n\n`;
+
+    await write(res, heading + (cards.length > 0 ? cards.map(cardToMarkdown).join('') : '_No cards_\n\n'));
+  }
+};
+
+const WRITERS = {
+  json: writeJson,
+  csv: writeCsv,
+  md: writeMarkdown
+};
+
+/**
+ * Stream a board export to the response. Lists are read from a cursor, so only one
+ * list and its cards are held in memory at a time.
+ * @param {Object} res - Express response object
+ * @param {String} format - json, csv or md
+ * @param {Object} options - { board, users, lists (async iterable of lists with cards), exportedBy }
+ * @returns {Promise<void>}
+ */
+const streamBoardExport = async (res, format, { board, users, lists, exportedBy }) => {
+  const context = createExportContext(board, users);
+  const meta = {
+    exportedAt: new Date().toISOString(),
+    exportedBy: context.person(exportedBy)
+  };
+
+  await WRITERS[format](res, lists, context, meta);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamBoardExport
+};
\ No newline at end of file
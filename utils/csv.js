@@ -0,0 +1,108 @@
+const { createError } = require('../middleware/errorHandler');
+
+// Delimiters recognised when reading CSV files, in order of preference
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Quote a CSV cell when needed. Text that spreadsheet apps would run as a formula
+ * is prefixed with an apostrophe.
+ * @param {*} value - Cell value
+ * @returns {String} - CSV cell
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (cells) => `${cells.map(csvCell).join(',')}\r\n`;
+
+/**
+ * Guess the delimiter from the header line. Spreadsheet apps in many locales save
+ * "CSV" with semicolons.
+ * @param {String} text - CSV text
+ * @returns {String} - Delimiter
+ */
+const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = CSV_DELIMITERS.map(delimiter => header.split(delimiter).length - 1);
+  const best = Math.max(...counts);
+
+  return best > 0 ? CSV_DELIMITERS[counts.indexOf(best)] : ',';
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes,
+ * CRLF or LF line endings, optional byte order mark). Blank lines are dropped.
+ * @param {String} text - CSV text
+ * @returns {Array} - Rows as { line, cells } where line is the 1-based line the row starts on
+ */
+const parseCsv = (text) => {
+  const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some(value => value.trim() !== '')) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw createError(`Unterminated quoted field starting on line ${rowLine}`, 400);
+  }
+
+  if (cell !== '' || cells.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+module.exports = {
+  csvCell,
+  csvRow,
+  parseCsv
+};
\ No newline at end of file
@@ -0,0 +1,201 @@
+const joi = require('joi');
+const mongoose = require('mongoose');
+const { createError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+/**
+ * Build the joi schema for one custom field's value from its definition
+ * @param {Object} field - Custom field definition from the board
+ * @returns {Object} - Joi schema
+ */
+const valueSchema = (field) => {
+  switch (field.type) {
+    case 'text':
+      return joi.string().trim().min(1).max(500).messages({
+        'string.min': '{{#label}} cannot be empty',
+        'string.max': '{{#label}} cannot exceed 500 characters'
+      });
+    case 'number':
+      return joi.number();
+    case 'date':
+      return joi.date();
+    case 'checkbox':
+      return joi.boolean();
+    case 'dropdown':
+      return joi.string().valid(...field.options.map(option => option._id.toString())).messages({
+        'any.only': '{{#label}} must be one of the field options'
+      });
+    case 'user':
+      return joi.string().hex().length(24).messages({
+        'string.hex': '{{#label}} must be a valid user ID',
+        'string.length': '{{#label}} must be a valid user ID'
+      });
+    default:
+      return joi.any().forbidden();
+  }
+};
+
+/**
+ * Build the joi schema for a card's custom field values: one optional key per field ID,
+ * where null clears the value
+ * @param {Array} fields - Custom field definitions from the board
+ * @returns {Object} - Joi schema
+ */
+const buildValuesSchema = (fields) => joi.object(Object.fromEntries(fields.map(field => [
+  field._id.toString(),
+  valueSchema(field).allow(null).label(field.name)
+]))).min(1).messages({
+  'object.min': 'Provide at least one custom field value',
+  'object.unknown': 'Unknown custom field {{#label}}'
+});
+
+/**
+ * Validate custom field values against the board's definitions
+ * @param {Object} board - Board document
+ * @param {Object} values - Values keyed by field ID
+ * @returns {Object} - { errors } or { set, unset } with values ready to store
+ */
+const parseCustomFieldValues = (board, values) => {
+  const { error, value } = buildValuesSchema(board.customFields).validate(values, { abortEarly: false });
+
+  if (error) {
+    return {
+      errors: error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }))
+    };
+  }
+
+  const set = {};
+  const unset = [];
+  const errors = [];
+
+  Object.entries(value).forEach(([fieldId, fieldValue]) => {
+    const field = board.customFields.id(fieldId);
+
+    if (fieldValue === null) {
+      unset.push(fieldId);
+      return;
+    }
+
+    if (field.type === 'user' && !board.isMember(fieldValue)) {
+      errors.push({ field: fieldId, message: `"${field.name}" must be a board member` });
+      return;
+    }
+
+    // IDs are stored as ObjectIds so they can be filtered on
+    set[fieldId] = field.type === 'dropdown' || field.type === 'user'
+      ? new mongoose.Types.ObjectId(fieldValue)
+      : fieldValue;
+  });
+
+  return errors.length > 0 ? { errors } : { set, unset };
+};
+
+/**
+ * Parse one filter value for a field, throwing a 400 if it doesn't fit the field's type
+ * @param {Object} field - Custom field definition
+ * @param {*} raw - Value from the query string
+ * @param {Object} user - Requesting user, for "me" in user filters
+ * @returns {*} - Parsed value
+ */
+const parseFilterValue = (field, raw, user) => {
+  const schema = field.type === 'user' && raw === 'me' ? joi.any() : valueSchema(field);
+  const { error, value } = schema.label(field.name).validate(raw);
+
+  if (error) {
+    throw createError(error.details[0].message, 400);
+  }
+
+  if (field.type === 'user') {
+    return raw === 'me' ? user._id : new mongoose.Types.ObjectId(value);
+  }
+
+  return field.type === 'dropdown' ? new mongoose.Types.ObjectId(value) : value;
+};
+
+/**
+ * Build the card conditions for one custom field filter
+ * @param {Object} field - Custom field definition
+ * @param {String|Object} raw - Filter from the query string
+ * @param {Object} user - Requesting user
+ * @returns {Object} - MongoDB condition for the field's value
+ */
+const buildFieldCondition = (field, raw, user) => {
+  // Ranges: field[<id>][gte]=1&field[<id>][lt]=5 on number and date fields
+  if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+    if (field.type !== 'number' && field.type !== 'date') {
+      throw createError(`"${field.name}" cannot be filtered by range`, 400);
+    }
+
+    const operators = Object.keys(raw);
+    if (operators.length === 0 || operators.some(operator => !RANGE_OPERATORS.includes(operator))) {
+      throw createError(`Range filters support ${RANGE_OPERATORS.join(', ')}`, 400);
+    }
+
+    return Object.fromEntries(operators.map(operator =>
+      [`$${operator}`, parseFilterValue(field, raw[operator], user)]
+    ));
+  }
+
+  if (typeof raw !== 'string') {
+    throw createError(`Invalid filter for "${field.name}"`, 400);
+  }
+
+  switch (field.type) {
+    case 'text': {
+      const escaped = raw.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return { $regex: escaped, $options: 'i' };
+    }
+    case 'date': {
+      // A plain date matches the whole (UTC) day
+      const day = parseFilterValue(field, raw, user);
+      const start = new Date(Math.floor(day.getTime() / DAY_MS) * DAY_MS);
+      return { $gte: start, $lt: new Date(start.getTime() + DAY_MS) };
+    }
+    case 'checkbox':
+      // Cards that were never ticked count as unchecked
+      return parseFilterValue(field, raw, user) ? true : { $ne: true };
+    case 'dropdown':
+    case 'user':
+      // Comma-separated values match any of them
+      return { $in: raw.split(',').map(value => parseFilterValue(field, value.trim(), user)) };
+    default:
+      return parseFilterValue(field, raw, user);
+  }
+};
+
+/**
+ * Build card query conditions from custom field filters (?field[<fieldId>]=value)
+ * @param {Object} board - Board document
+ * @param {Object} filters - Filters keyed by field ID, as parsed from the query string
+ * @param {Object} user - Requesting user
+ * @returns {Object} - Conditions to merge into a card query
+ */
+const buildCustomFieldFilter = (board, filters, user) => {
+  if (filters === undefined) {
+    return {};
+  }
+
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw createError('Custom field filters must look like field[<fieldId>]=value', 400);
+  }
+
+  return Object.fromEntries(Object.entries(filters).map(([fieldId, raw]) => {
+    const field = board.customFields.id(fieldId);
+
+    if (!field) {
+      throw createError(`Unknown custom field: ${fieldId}`, 400);
+    }
+
+    return [`customFields.${field._id}`, buildFieldCondition(field, raw, user)];
+  }));
+};
+
+module.exports = {
+  parseCustomFieldValues,
+  buildCustomFieldFilter
+};
\ No newline at end of file
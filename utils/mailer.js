@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { logEvent } = require('../middleware/logger');
+
+/**
+ * Console transport - prints outgoing mail, for local development
+ * @param {Object} message - Mail message ({ to, subject, text, html })
+ */
+const consoleTransport = async (message) => {
+  console.log('📧 OUTGOING MAIL');
+  console.log(`   To:      ${message.to}`);
+  console.log(`   Subject: ${message.subject}`);
+  console.log('');
+  console.log(message.text);
+  return { accepted: [message.to] };
+};
+
+/**
+ * File transport - writes each outgoing mail as a JSON file under logs/mail
+ * @param {Object} message - Mail message ({ to, subject, text, html })
+ */
+const fileTransport = async (message) => {
+  const mailDir = process.env.MAIL_FILE_DIR || path.join(__dirname, '../logs/mail');
+
+  if (!fs.existsSync(mailDir)) {
+    fs.mkdirSync(mailDir, { recursive: true });
+  }
+
+  const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@.]/g, '_')}.json`;
+  const filePath = path.join(mailDir, fileName);
+
+  fs.writeFileSync(filePath, JSON.stringify({
+    ...message,
+    sentAt: new Date().toISOString()
+  }, null, 2));
+
+  return { accepted: [message.to], filePath };
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+/**
+ * Register a mail transport so it can be selected with MAIL_TRANSPORT
+ * @param {String} name - Transport name
+ * @param {Function} transport - Async function receiving the mail message
+ */
+const registerTransport = (name, transport) => {
+  if (typeof transport !== 'function') {
+    throw new Error('Mail transport must be a function');
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - Mail message ({ to, subject, text, html })
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendMail = async (message) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  const result = await transport({
+    from: process.env.MAIL_FROM || 'KanbanFlow <no-reply@kanbanflow.com>',
+    ...message
+  });
+
+  logEvent('info', 'Mail sent', {
+    transport: transportName,
+    to: message.to,
+    subject: message.subject
+  });
+
+  return result;
+};
+
+/**
+ * Build a link into the frontend application
+ * @param {String} pathname - Frontend path
+ * @param {Object} query - Query parameters
+ * @returns {String} - Absolute URL
+ */
+const buildFrontendUrl = (pathname, query = {}) => {
+  const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:4200');
+  Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  buildFrontendUrl
+};
\ No newline at end of file
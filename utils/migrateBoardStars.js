@@ -0,0 +1,69 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const User = require('../models/User');
+
+/**
+ * Move the old board-wide `starred` flag into per-user board preferences: everyone on a
+ * starred board (owner and members) gets it starred for themselves, then the flag is
+ * removed from the board. Existing preferences are kept, so the migration can be run
+ * more than once.
+ */
+const migrateBoardStars = async () => {
+  try {
+    console.log('⭐ Migrating board stars to per-user preferences...');
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // The Board schema no longer has the field, so it is read from the raw collection
+    const cursor = Board.collection.find(
+      { starred: true },
+      { projection: { ownerId: 1, members: 1 } }
+    );
+
+    let boardsMigrated = 0;
+    let preferencesUpdated = 0;
+
+    for await (const board of cursor) {
+      const userIds = [board.ownerId, ...(board.members || [])];
+
+      // Users who already have preferences for the board keep pinned and position
+      const updated = await User.collection.updateMany(
+        { _id: { $in: userIds }, 'boardPreferences.boardId': board._id },
+        { $set: { 'boardPreferences.$.starred': true } }
+      );
+      const added = await User.collection.updateMany(
+        { _id: { $in: userIds }, 'boardPreferences.boardId': { $ne: board._id } },
+        { $push: { boardPreferences: { boardId: board._id, starred: true, pinned: false, position: null } } }
+      );
+
+      preferencesUpdated += updated.modifiedCount + added.modifiedCount;
+      boardsMigrated++;
+    }
+
+    // Stars are copied first so an interrupted run loses nothing
+    const { modifiedCount } = await Board.collection.updateMany(
+      { starred: { $exists: true } },
+      { $unset: { starred: '' } }
+    );
+
+    console.log(`📋 Copied stars of ${boardsMigrated} boards into ${preferencesUpdated} user preferences`);
+    console.log(`🧹 Removed the old flag from ${modifiedCount} boards`);
+
+    console.log('\n🎉 Board star migration completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Board star migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  migrateBoardStars();
+}
+
+module.exports = migrateBoardStars;
\ No newline at end of file
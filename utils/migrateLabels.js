@@ -0,0 +1,93 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const Card = require('../models/Card');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Move labels embedded on cards ({ name, color }) into their board's label catalog and
+ * point the cards at the catalog entries. Cards that already use label IDs are left
+ * alone, so the migration can be run more than once.
+ */
+const migrateLabels = async () => {
+  try {
+    console.log('🏷️ Migrating card labels to board label catalogs...');
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // The Card schema now casts labels to IDs, so legacy cards are read from the raw collection
+    const cursor = Card.collection.find(
+      { 'labels.name': { $exists: true } },
+      { projection: { boardId: 1, labels: 1 } }
+    );
+
+    const boards = new Map();
+    const updates = [];
+    let orphaned = 0;
+
+    for await (const card of cursor) {
+      const boardKey = card.boardId.toString();
+
+      if (!boards.has(boardKey)) {
+        boards.set(boardKey, await Board.findById(card.boardId));
+      }
+
+      const board = boards.get(boardKey);
+
+      // Cards left behind by deleted boards have no catalog to move their labels into
+      if (!board) {
+        orphaned++;
+        continue;
+      }
+
+      const labelIds = new Map();
+      card.labels.forEach(label => {
+        const labelId = label instanceof mongoose.Types.ObjectId ? label : board.findOrAddLabel(label);
+        labelIds.set(labelId.toString(), labelId);
+      });
+
+      updates.push({
+        updateOne: {
+          filter: { _id: card._id },
+          update: { $set: { labels: [...labelIds.values()] } }
+        }
+      });
+    }
+
+    // Catalogs are saved first so cards never point at labels that don't exist yet
+    let boardsUpdated = 0;
+    for (const board of boards.values()) {
+      if (board && board.isModified('labels')) {
+        await board.save({ validateModifiedOnly: true });
+        boardsUpdated++;
+      }
+    }
+
+    for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+      await Card.collection.bulkWrite(updates.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+
+    console.log(`📋 Added labels to ${boardsUpdated} board catalogs`);
+    console.log(`🎴 Migrated labels on ${updates.length} cards`);
+    if (orphaned > 0) {
+      console.log(`⚠️ Skipped ${orphaned} cards whose board no longer exists`);
+    }
+
+    console.log('\n🎉 Label migration completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Label migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  migrateLabels();
+}
+
+module.exports = migrateLabels;
\ No newline at end of file
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createError } = require('../middleware/errorHandler');
+
+// Discovery documents and key sets are cached; keys are re-fetched when an unknown key ID shows up
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Fetch JSON from the identity provider
+ * @param {String} url - URL to fetch
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} - Parsed response body
+ */
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw createError(`Identity provider request failed: ${error.message}`, 502);
+  }
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw createError(`Identity provider returned ${response.status}: ${detail}`, 502);
+  }
+
+  if (!body) {
+    throw createError('Identity provider returned an invalid response', 502);
+  }
+
+  return body;
+};
+
+/**
+ * Load the provider's discovery document
+ * @param {String} issuer - Issuer URL
+ * @returns {Promise<Object>} - OpenID provider metadata
+ */
+const discover = async (issuer) => {
+  const cached = discoveryCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+  // The issuer in the document must be exactly the configured one (OIDC Discovery 4.3)
+  if (metadata.issuer !== issuer) {
+    throw createError('Identity provider issuer does not match the configured issuer', 502);
+  }
+
+  for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!metadata[field]) {
+      throw createError(`Identity provider metadata is missing ${field}`, 502);
+    }
+  }
+
+  discoveryCache.set(issuer, { metadata, expiresAt: Date.now() + CACHE_TTL_MS });
+  return metadata;
+};
+
+/**
+ * Find the public key an ID token was signed with
+ * @param {String} jwksUri - JWKS URL from the discovery document
+ * @param {String} kid - Key ID from the token header
+ * @returns {Promise<KeyObject>} - Public key
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : true) && key.use !== 'enc');
+
+  const cached = jwksCache.get(jwksUri);
+  let jwk = cached && cached.expiresAt > Date.now() ? findKey(cached.keys) : null;
+
+  // Unknown key ID: the provider may have rotated its keys
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, { keys, expiresAt: Date.now() + CACHE_TTL_MS });
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw createError('No matching signing key found for the ID token', 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Create a PKCE code verifier and its S256 challenge
+ * @returns {Object} - { codeVerifier, codeChallenge }
+ */
+const createPkcePair = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Build the URL that starts the authorization-code flow at the provider
+ * @param {Object} config - OIDC configuration (see config/oidc.js)
+ * @param {Object} params - { state, nonce, codeChallenge }
+ * @returns {Promise<String>} - Authorization URL
+ */
+const buildAuthorizationUrl = async (config, { state, nonce, codeChallenge }) => {
+  const metadata = await discover(config.issuer);
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', config.clientId);
+  url.searchParams.set('redirect_uri', config.redirectUri);
+  url.searchParams.set('scope', config.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} config - OIDC configuration
+ * @param {Object} metadata - Provider metadata
+ * @param {Object} params - { code, codeVerifier }
+ * @returns {Promise<Object>} - Token response
+ */
+const exchangeCode = async (config, metadata, { code, codeVerifier }) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (config.clientSecret) {
+    const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+    if (authMethods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_secret', config.clientSecret);
+    }
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+
+  if (!tokens.id_token) {
+    throw createError('Identity provider did not return an ID token', 502);
+  }
+
+  return tokens;
+};
+
+/**
+ * Verify an ID token's signature and claims
+ * @param {Object} config - OIDC configuration
+ * @param {Object} metadata - Provider metadata
+ * @param {String} idToken - ID token from the token response
+ * @param {String} nonce - Nonce sent in the authorization request
+ * @returns {Promise<Object>} - Verified claims
+ */
+const verifyIdToken = async (config, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw createError('ID token is malformed or uses an unsupported algorithm', 401);
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: config.clientId,
+      clockTolerance: 60
+    });
+  } catch (error) {
+    throw createError(`ID token is invalid: ${error.message}`, 401);
+  }
+
+  if (!claims.sub) {
+    throw createError('ID token has no subject', 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw createError('ID token nonce does not match', 401);
+  }
+
+  // With several audiences the token must have been issued to us (OIDC Core 3.1.3.7)
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== config.clientId) {
+    throw createError('ID token was issued to a different client', 401);
+  }
+
+  return claims;
+};
+
+/**
+ * Fetch claims from the userinfo endpoint
+ * @param {Object} metadata - Provider metadata
+ * @param {String} accessToken - Access token from the token response
+ * @param {String} subject - Subject from the verified ID token
+ * @returns {Promise<Object>} - UserInfo claims
+ */
+const fetchUserInfo = async (metadata, accessToken, subject) => {
+  const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+
+  // UserInfo responses must belong to the same subject (OIDC Core 5.3.2)
+  if (userInfo.sub !== subject) {
+    throw createError('UserInfo subject does not match the ID token', 401);
+  }
+
+  return userInfo;
+};
+
+/**
+ * Complete the authorization-code flow and return the user's identity
+ * @param {Object} config - OIDC configuration
+ * @param {Object} params - { code, codeVerifier, nonce }
+ * @returns {Promise<Object>} - { issuer, subject, email, emailVerified, name, claims }
+ */
+const authenticate = async (config, { code, codeVerifier, nonce }) => {
+  const metadata = await discover(config.issuer);
+  const tokens = await exchangeCode(config, metadata, { code, codeVerifier });
+  let claims = await verifyIdToken(config, metadata, tokens.id_token, nonce);
+
+  // Some providers only put profile claims in the userinfo response
+  if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+    claims = { ...(await fetchUserInfo(metadata, tokens.access_token, claims.sub)), ...claims };
+  }
+
+  return {
+    issuer: metadata.issuer,
+    subject: claims.sub,
+    email: claims.email ? claims.email.toLowerCase().trim() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null,
+    claims
+  };
+};
+
+/**
+ * Forget cached discovery documents and keys
+ */
+const clearCache = () => {
+  discoveryCache.clear();
+  jwksCache.clear();
+};
+
+module.exports = {
+  discover,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  authenticate,
+  clearCache
+};
\ No newline at end of file
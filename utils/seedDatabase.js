@@ -4,6 +4,7 @@ const User = require('../models/User');
 const Board = require('../models/Board');
 const List = require('../models/List');
 const Card = require('../models/Card');
+const BoardTemplate = require('../models/BoardTemplate');
 
 /**
  * Seed database with comprehensive sample data for development
@@ -17,6 +18,7 @@ const seedDatabase = async () => {
     console.log('✅ Connected to MongoDB');
     
     // Clear existing data
+    await BoardTemplate.deleteMany({});
     await Card.deleteMany({});
     await List.deleteMany({});
     await Board.deleteMany({});
@@ -56,7 +58,7 @@ const seedDatabase = async () => {
     // Create users one by one to trigger password hashing
     const createdUsers = [];
     for (const userData of users) {
-      const user = new User(userData);
+      const user = new User({ ...userData, emailVerified: true });
       await user.save();
       createdUsers.push(user);
     }
@@ -295,6 +297,18 @@ const seedDatabase = async () => {
       }
     ];
     
+    // Sample labels go into each board's label catalog; cards reference them by ID
+    for (const cardData of cardsData) {
+      const board = createdBoards.find(b => b._id.equals(cardData.boardId));
+      cardData.labels = cardData.labels.map(label => board.findOrAddLabel(label));
+    }
+    
+    for (const board of createdBoards) {
+      if (board.isModified('labels')) {
+        await board.save();
+      }
+    }
+    
     // Create cards with proper error handling
     const createdCards = [];
     for (const cardData of cardsData) {
@@ -324,6 +338,43 @@ const seedDatabase = async () => {
       console.log('✅ Added checklist items to sample card');
     }
     
+    // Build the built-in template gallery from the sample boards' lists, labels and settings
+    const templatesData = [
+      {
+        board: createdBoards[0],
+        name: 'Software Sprint',
+        description: 'Backlog to done with a WIP-limited In Progress column, code review and testing'
+      },
+      {
+        board: createdBoards[1],
+        name: 'Marketing Campaign',
+        description: 'Take campaign ideas through planning and review to launch'
+      },
+      {
+        board: createdBoards[2],
+        name: 'Design System',
+        description: 'Research, design, build and document shared components'
+      },
+      {
+        board: createdBoards[3],
+        name: 'Personal Tasks',
+        description: 'Plan your day and week with a card limit on Today'
+      }
+    ];
+    
+    const createdTemplates = [];
+    for (const { board, ...templateData } of templatesData) {
+      const template = await BoardTemplate.fromBoard(board, {
+        ...templateData,
+        includeCards: false,
+        builtIn: true
+      });
+      await template.save();
+      createdTemplates.push(template);
+    }
+    
+    console.log(`🧩 Created ${createdTemplates.length} built-in board templates`);
+    
     console.log('\n🎉 Database seeding completed successfully!');
     
     // Display summary
@@ -348,6 +399,7 @@ const seedDatabase = async () => {
     console.log('\n🚀 Ready to test! Try these endpoints:');
     console.log('   POST http://localhost:3000/api/auth/login');
     console.log('   GET  http://localhost:3000/api/boards');
+    console.log('   GET  http://localhost:3000/api/templates');
     console.log('   GET  http://localhost:3000/api/cards/my-cards');
     
     console.log('\n🧪 Run comprehensive API tests:');
@@ -0,0 +1,149 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+
+const DELETED_USER_ID = new mongoose.Types.ObjectId();
+const DELETED_EMAIL = 'leaving@example.com';
+const OTHER_USER_ID = new mongoose.Types.ObjectId();
+const BOARD_ID = new mongoose.Types.ObjectId();
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const sameValue = (a, b) => (a == null || b == null ? a == b : a.toString() === b.toString());
+
+/**
+ * Keep activities in memory and apply the equality filters and $set updates
+ * that Activity.updateMany receives
+ * @param {Array} activities - Plain activity objects
+ */
+const stubUpdateMany = (activities) => {
+  Activity.updateMany = async (filter, update) => {
+    const matches = activities.filter(activity =>
+      Object.entries(filter).every(([path, value]) => sameValue(valueAt(activity, path), value))
+    );
+
+    matches.forEach(activity => {
+      Object.entries(update.$set).forEach(([path, value]) => {
+        const keys = path.split('.');
+        const parent = keys.slice(0, -1).reduce((object, key) => object[key], activity);
+        parent[keys[keys.length - 1]] = value;
+      });
+    });
+
+    return { modifiedCount: matches.length };
+  };
+};
+
+const activityLog = () => [
+  {
+    event: 'comment-added',
+    actorId: DELETED_USER_ID,
+    verb: 'commented',
+    target: { type: 'card', id: new mongoose.Types.ObjectId(), name: 'Release notes' },
+    details: { text: 'Call me on 555-0100' }
+  },
+  {
+    event: 'member-added',
+    actorId: OTHER_USER_ID,
+    verb: 'added',
+    target: { type: 'member', id: DELETED_USER_ID, name: 'Leaving User' },
+    details: { role: 'editor', viaInvitation: false }
+  },
+  {
+    event: 'invitation-created',
+    actorId: OTHER_USER_ID,
+    verb: 'invited',
+    target: { type: 'invitation', id: new mongoose.Types.ObjectId(), name: DELETED_EMAIL },
+    details: { type: 'email', role: 'editor' }
+  },
+  {
+    event: 'comment-added',
+    actorId: OTHER_USER_ID,
+    verb: 'commented',
+    target: { type: 'card', id: new mongoose.Types.ObjectId(), name: 'Release notes' },
+    details: { text: 'Looks good' }
+  },
+  {
+    event: 'member-added',
+    actorId: OTHER_USER_ID,
+    verb: 'added',
+    target: { type: 'member', id: OTHER_USER_ID, name: 'Staying User' },
+    details: { role: 'admin', viaInvitation: false }
+  }
+].map(activity => ({ boardId: BOARD_ID, changes: [], ...activity }));
+
+/**
+ * Test the activity log's handling of deleted accounts
+ */
+const testActivity = async () => {
+  console.log('🧪 Testing KanbanFlow Activity Log\n');
+
+  const tests = [
+    ['Details of the deleted user\'s own activities are cleared', async () => {
+      const activities = activityLog();
+      stubUpdateMany(activities);
+      await Activity.anonymizeUser(DELETED_USER_ID, DELETED_EMAIL);
+
+      assert.strictEqual(activities[0].details, null);
+      assert.strictEqual(activities[0].actorId, DELETED_USER_ID, 'the entry stays attributed to the user');
+      assert.strictEqual(activities[0].target.name, 'Release notes');
+    }],
+
+    ['The deleted user\'s name is removed where they are the target', async () => {
+      const activities = activityLog();
+      stubUpdateMany(activities);
+      await Activity.anonymizeUser(DELETED_USER_ID, DELETED_EMAIL);
+
+      assert.strictEqual(activities[1].target.name, null);
+      assert.deepStrictEqual(activities[1].details, { role: 'editor', viaInvitation: false });
+    }],
+
+    ['Invitations to the deleted user\'s address lose the address', async () => {
+      const activities = activityLog();
+      stubUpdateMany(activities);
+      await Activity.anonymizeUser(DELETED_USER_ID, DELETED_EMAIL);
+
+      assert.strictEqual(activities[2].target.name, null);
+    }],
+
+    ['Other users\' activities are left alone', async () => {
+      const activities = activityLog();
+      stubUpdateMany(activities);
+      await Activity.anonymizeUser(DELETED_USER_ID, DELETED_EMAIL);
+
+      assert.deepStrictEqual(activities[3].details, { text: 'Looks good' });
+      assert.strictEqual(activities[4].target.name, 'Staying User');
+    }]
+  ];
+
+  let failed = 0;
+
+  for (const [index, [name, run]] of tests.entries()) {
+    try {
+      await run();
+      console.log(`✅ ${index + 1}. ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${index + 1}. ${name}`);
+      console.error('   ', error.message);
+    }
+  }
+
+  console.log();
+  if (failed > 0) {
+    console.error(`❌ ${failed} of ${tests.length} activity log tests failed`);
+    process.exitCode = 1;
+  } else {
+    console.log(`🎉 All ${tests.length} activity log tests passed!`);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  testActivity().catch(error => {
+    console.error('❌ Test setup failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = testActivity;
\ No newline at end of file
@@ -0,0 +1,137 @@
+const assert = require('assert');
+const { csvCell, csvRow, parseCsv } = require('./csv');
+const { resolveCsvColumns } = require('../controllers/importController');
+
+// Cells of each parsed row, without line numbers
+const cellsOf = (text) => parseCsv(text).map(row => row.cells);
+
+/**
+ * Test CSV parsing and the column mapping used by the card import
+ */
+const testCsv = async () => {
+  console.log('🧪 Testing KanbanFlow CSV Import\n');
+
+  const tests = [
+    ['Simple rows are split on commas', () => {
+      assert.deepStrictEqual(cellsOf('Title,Priority\nFirst,high\n'), [['Title', 'Priority'], ['First', 'high']]);
+    }],
+
+    ['Quoted fields keep delimiters and doubled quotes', () => {
+      assert.deepStrictEqual(cellsOf('Title,Description\n"Fix a, b and c","Say ""hi"""\n'), [
+        ['Title', 'Description'],
+        ['Fix a, b and c', 'Say "hi"']
+      ]);
+    }],
+
+    ['Line breaks inside quotes stay in the cell and line numbers follow the file', () => {
+      const rows = parseCsv('Title,Description\r\n"Multi","line one\r\nline two"\r\nNext,row\r\n');
+      assert.deepStrictEqual(rows.map(row => row.cells), [
+        ['Title', 'Description'],
+        ['Multi', 'line one\r\nline two'],
+        ['Next', 'row']
+      ]);
+      assert.deepStrictEqual(rows.map(row => row.line), [1, 2, 4]);
+    }],
+
+    ['Byte order mark is dropped', () => {
+      assert.deepStrictEqual(cellsOf('\uFEFFTitle,Due\nA,2025-01-01'), [['Title', 'Due'], ['A', '2025-01-01']]);
+    }],
+
+    ['Semicolons are detected as the delimiter', () => {
+      assert.deepStrictEqual(cellsOf('Title;Estimate\n"Decimal, with comma";1,5\n'), [
+        ['Title', 'Estimate'],
+        ['Decimal, with comma', '1,5']
+      ]);
+    }],
+
+    ['Tabs are detected as the delimiter', () => {
+      assert.deepStrictEqual(cellsOf('Title\tLabels\nA\tbug, ui\n'), [['Title', 'Labels'], ['A', 'bug, ui']]);
+    }],
+
+    ['Delimiters inside quoted headers do not count', () => {
+      assert.deepStrictEqual(cellsOf('"Title; name",Due\nA,B\n'), [['Title; name', 'Due'], ['A', 'B']]);
+    }],
+
+    ['Blank lines are dropped and the last row needs no line break', () => {
+      assert.deepStrictEqual(cellsOf('Title\n\nA\n , \nB'), [['Title'], ['A'], ['B']]);
+    }],
+
+    ['Unterminated quotes are rejected with the starting line', () => {
+      assert.throws(() => parseCsv('Title,Description\nA,ok\nB,"never closed\nmore'), error => {
+        assert.match(error.message, /Unterminated quoted field starting on line 3/);
+        assert.strictEqual(error.statusCode, 400);
+        return true;
+      });
+    }],
+
+    ['Exported cells survive a round trip', () => {
+      const cells = ['Plain', 'Comma, inside', 'Quote "here"', 'Two\nlines', null];
+      assert.deepStrictEqual(cellsOf(csvRow(cells)), [['Plain', 'Comma, inside', 'Quote "here"', 'Two\nlines', '']]);
+    }],
+
+    ['Formula-like text is exported as text', () => {
+      assert.strictEqual(csvCell('=SUM(A1)'), '\'=SUM(A1)');
+      assert.strictEqual(csvCell(-5), '-5');
+    }],
+
+    ['Columns are matched by their usual names, ignoring case and spacing', () => {
+      const { columns, errors } = resolveCsvColumns(['Card Name', 'DUE_DATE', 'assigned-to', 'Tags', 'Other']);
+      assert.deepStrictEqual(errors, []);
+      assert.deepStrictEqual(columns, { title: 0, dueDate: 1, assignees: 2, labels: 3 });
+    }],
+
+    ['The first of repeated headers is used', () => {
+      const { columns } = resolveCsvColumns(['Title', 'Description', 'Title']);
+      assert.strictEqual(columns.title, 0);
+    }],
+
+    ['An explicit mapping wins over header names', () => {
+      const { columns, errors } = resolveCsvColumns(['Title', 'Subject', 'Notes'], { title: 'subject', description: 'Notes' });
+      assert.deepStrictEqual(errors, []);
+      assert.strictEqual(columns.title, 1);
+      assert.strictEqual(columns.description, 2);
+    }],
+
+    ['Mapping to a missing column is an error', () => {
+      const { errors } = resolveCsvColumns(['Title'], { priority: 'Urgency' });
+      assert.deepStrictEqual(errors, ['Column "Urgency" mapped to priority is not in the CSV header']);
+    }],
+
+    ['A title column is required', () => {
+      const { errors } = resolveCsvColumns(['Description', 'Due']);
+      assert.strictEqual(errors.length, 1);
+      assert.match(errors[0], /No title column found/);
+    }]
+  ];
+
+  let failed = 0;
+
+  for (const [index, [name, run]] of tests.entries()) {
+    try {
+      await run();
+      console.log(`✅ ${index + 1}. ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${index + 1}. ${name}`);
+      console.error('   ', error.message);
+    }
+  }
+
+  console.log();
+  if (failed > 0) {
+    console.error(`❌ ${failed} of ${tests.length} CSV tests failed`);
+    process.exitCode = 1;
+  } else {
+    console.log(`🎉 All ${tests.length} CSV tests passed!`);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  testCsv().catch(error => {
+    console.error('❌ Test setup failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = testCsv;
\ No newline at end of file
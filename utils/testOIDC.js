@@ -0,0 +1,317 @@
+const http = require('http');
+const crypto = require('crypto');
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+const oidc = require('./oidc');
+
+const CLIENT_ID = 'kanbanflow-test';
+const CLIENT_SECRET = 'test-secret';
+const REDIRECT_URI = 'http://localhost:4200/auth/callback';
+
+/**
+ * Minimal OpenID provider for exercising the login flow without a real IdP
+ */
+const createMockIssuer = () => {
+  const codes = new Map();
+  const state = {
+    issuerOverride: null,
+    keys: [],
+    signingKey: null,
+    userInfo: null
+  };
+
+  const addKey = (publish = true) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    const key = { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' } };
+
+    if (publish) state.keys.push(key);
+    state.signingKey = key;
+    return key;
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, mock.issuer);
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return send(res, 200, {
+        issuer: state.issuerOverride || mock.issuer,
+        authorization_endpoint: `${mock.issuer}/authorize`,
+        token_endpoint: `${mock.issuer}/token`,
+        userinfo_endpoint: `${mock.issuer}/userinfo`,
+        jwks_uri: `${mock.issuer}/jwks`,
+        token_endpoint_auth_methods_supported: ['client_secret_basic']
+      });
+    }
+
+    if (url.pathname === '/jwks') {
+      return send(res, 200, { keys: state.keys.map(key => key.jwk) });
+    }
+
+    if (url.pathname === '/userinfo') {
+      if (req.headers.authorization !== 'Bearer mock-access-token') {
+        return send(res, 401, { error: 'invalid_token' });
+      }
+      return send(res, 200, state.userInfo);
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        const body = new URLSearchParams(raw);
+        const expectedAuth = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+
+        if (req.headers.authorization !== expectedAuth) {
+          return send(res, 401, { error: 'invalid_client' });
+        }
+
+        const grant = codes.get(body.get('code'));
+        codes.delete(body.get('code'));
+
+        if (!grant || body.get('redirect_uri') !== REDIRECT_URI) {
+          return send(res, 400, { error: 'invalid_grant' });
+        }
+
+        const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+        if (challenge !== grant.codeChallenge) {
+          return send(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const claims = {
+          iss: mock.issuer,
+          aud: CLIENT_ID,
+          sub: 'user-123',
+          email: 'Jane.Doe@Example.com',
+          email_verified: true,
+          name: 'Jane Doe',
+          nonce: grant.nonce,
+          iat: now,
+          exp: now + 300,
+          ...grant.claims
+        };
+        Object.keys(claims).forEach(key => claims[key] === undefined && delete claims[key]);
+
+        const idToken = jwt.sign(claims, state.signingKey.privateKey, {
+          algorithm: 'RS256',
+          keyid: state.signingKey.kid
+        });
+
+        send(res, 200, {
+          access_token: 'mock-access-token',
+          token_type: 'Bearer',
+          expires_in: 300,
+          id_token: idToken
+        });
+      });
+      return;
+    }
+
+    send(res, 404, { error: 'not_found' });
+  });
+
+  const mock = {
+    issuer: null,
+    state,
+    addKey,
+    issueCode: ({ nonce, codeChallenge, claims = {} }) => {
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, { nonce, codeChallenge, claims });
+      return code;
+    },
+    start: () => new Promise(resolve => {
+      server.listen(0, '127.0.0.1', () => {
+        mock.issuer = `http://127.0.0.1:${server.address().port}`;
+        resolve(mock);
+      });
+    }),
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+
+  addKey();
+  return mock;
+};
+
+/**
+ * Run the authorization-code flow against the mock issuer, the way the browser and
+ * oidcController would: authorization URL -> provider login -> code exchange
+ */
+const runLogin = async (mock, config, { claims, tamperVerifier = false, tamperNonce = false } = {}) => {
+  const { codeVerifier, codeChallenge } = oidc.createPkcePair();
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const authorizationUrl = await oidc.buildAuthorizationUrl(config, { state: 'test-state', nonce, codeChallenge });
+  const params = new URL(authorizationUrl).searchParams;
+
+  const code = mock.issueCode({
+    nonce: params.get('nonce'),
+    codeChallenge: params.get('code_challenge'),
+    claims
+  });
+
+  return oidc.authenticate(config, {
+    code,
+    codeVerifier: tamperVerifier ? `${codeVerifier}x` : codeVerifier,
+    nonce: tamperNonce ? 'another-nonce' : nonce
+  });
+};
+
+const expectRejection = async (promise, pattern) => {
+  await assert.rejects(promise, error => {
+    assert.match(error.message, pattern);
+    assert.ok(error.statusCode, 'errors carry an HTTP status code');
+    return true;
+  });
+};
+
+/**
+ * Test the OIDC client against a local mock issuer
+ */
+const testOIDC = async () => {
+  console.log('🧪 Testing KanbanFlow OpenID Connect Login\n');
+
+  const mock = await createMockIssuer().start();
+  const config = {
+    issuer: mock.issuer,
+    clientId: CLIENT_ID,
+    clientSecret: CLIENT_SECRET,
+    redirectUri: REDIRECT_URI,
+    scopes: 'openid email profile'
+  };
+
+  const tests = [
+    ['Authorization URL carries the required parameters', async () => {
+      const url = new URL(await oidc.buildAuthorizationUrl(config, { state: 's', nonce: 'n', codeChallenge: 'c' }));
+      assert.strictEqual(url.origin + url.pathname, `${mock.issuer}/authorize`);
+      assert.strictEqual(url.searchParams.get('response_type'), 'code');
+      assert.strictEqual(url.searchParams.get('client_id'), CLIENT_ID);
+      assert.strictEqual(url.searchParams.get('redirect_uri'), REDIRECT_URI);
+      assert.strictEqual(url.searchParams.get('scope'), 'openid email profile');
+      assert.strictEqual(url.searchParams.get('code_challenge_method'), 'S256');
+    }],
+
+    ['Successful login returns the verified identity', async () => {
+      const identity = await runLogin(mock, config);
+      assert.strictEqual(identity.issuer, mock.issuer);
+      assert.strictEqual(identity.subject, 'user-123');
+      assert.strictEqual(identity.email, 'jane.doe@example.com');
+      assert.strictEqual(identity.emailVerified, true);
+      assert.strictEqual(identity.name, 'Jane Doe');
+    }],
+
+    ['Unverified email is reported as unverified', async () => {
+      const identity = await runLogin(mock, config, { claims: { email_verified: false } });
+      assert.strictEqual(identity.emailVerified, false);
+    }],
+
+    ['Wrong PKCE verifier is rejected by the provider', async () => {
+      await expectRejection(runLogin(mock, config, { tamperVerifier: true }), /PKCE verification failed/);
+    }],
+
+    ['Nonce mismatch is rejected', async () => {
+      await expectRejection(runLogin(mock, config, { tamperNonce: true }), /nonce/);
+    }],
+
+    ['Token for another client is rejected', async () => {
+      await expectRejection(runLogin(mock, config, { claims: { aud: 'someone-else' } }), /audience/);
+    }],
+
+    ['Token from another issuer is rejected', async () => {
+      await expectRejection(runLogin(mock, config, { claims: { iss: 'https://evil.example.com' } }), /issuer/);
+    }],
+
+    ['Expired token is rejected', async () => {
+      const past = Math.floor(Date.now() / 1000) - 3600;
+      await expectRejection(runLogin(mock, config, { claims: { iat: past - 300, exp: past } }), /expired/);
+    }],
+
+    ['Multi-audience token without matching azp is rejected', async () => {
+      await expectRejection(runLogin(mock, config, { claims: { aud: [CLIENT_ID, 'other'], azp: 'other' } }), /different client/);
+    }],
+
+    ['Rotated signing keys are picked up', async () => {
+      mock.addKey();
+      const identity = await runLogin(mock, config);
+      assert.strictEqual(identity.subject, 'user-123');
+    }],
+
+    ['Token signed with an unpublished key is rejected', async () => {
+      const published = mock.state.signingKey;
+      mock.addKey(false);
+      await expectRejection(runLogin(mock, config), /signing key/);
+      mock.state.signingKey = published;
+    }],
+
+    ['Unsigned token is rejected', async () => {
+      const identity = oidc.verifyIdToken(config, await oidc.discover(mock.issuer),
+        jwt.sign({ sub: 'x', aud: CLIENT_ID, iss: mock.issuer }, null, { algorithm: 'none' }), 'n');
+      await expectRejection(identity, /unsupported algorithm/);
+    }],
+
+    ['Missing email is read from the userinfo endpoint', async () => {
+      mock.state.userInfo = { sub: 'user-123', email: 'info@example.com', email_verified: true, name: 'Info User' };
+      const identity = await runLogin(mock, config, { claims: { email: undefined, email_verified: undefined, name: undefined } });
+      assert.strictEqual(identity.email, 'info@example.com');
+      assert.strictEqual(identity.emailVerified, true);
+      assert.strictEqual(identity.name, 'Info User');
+    }],
+
+    ['Userinfo for a different subject is rejected', async () => {
+      mock.state.userInfo = { sub: 'someone-else', email: 'info@example.com' };
+      await expectRejection(runLogin(mock, config, { claims: { email: undefined } }), /UserInfo subject/);
+    }],
+
+    ['Wrong client secret is rejected', async () => {
+      await expectRejection(runLogin(mock, { ...config, clientSecret: 'wrong' }), /invalid_client/);
+    }],
+
+    ['Discovery document for a different issuer is rejected', async () => {
+      oidc.clearCache();
+      mock.state.issuerOverride = 'https://evil.example.com';
+      await expectRejection(oidc.discover(mock.issuer), /does not match/);
+      mock.state.issuerOverride = null;
+      oidc.clearCache();
+    }]
+  ];
+
+  let failed = 0;
+
+  for (const [index, [name, run]] of tests.entries()) {
+    try {
+      await run();
+      console.log(`✅ ${index + 1}. ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${index + 1}. ${name}`);
+      console.error('   ', error.message);
+    }
+  }
+
+  await mock.stop();
+
+  console.log();
+  if (failed > 0) {
+    console.error(`❌ ${failed} of ${tests.length} OIDC tests failed`);
+    process.exitCode = 1;
+  } else {
+    console.log(`🎉 All ${tests.length} OIDC tests passed!`);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  testOIDC().catch(error => {
+    console.error('❌ Test setup failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createMockIssuer,
+  testOIDC
+};
\ No newline at end of file
@@ -0,0 +1,179 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const List = require('../models/List');
+const Card = require('../models/Card');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const { mapTrelloBoard } = require('./trelloImport');
+const { importTrelloBoard } = require('../controllers/importController');
+
+// Trello IDs start with their creation time in seconds
+const CARD_CREATED = new Date('2024-03-01T09:00:00Z');
+const trelloId = (date, suffix) => Math.floor(date.getTime() / 1000).toString(16) + suffix.padStart(16, '0');
+
+const IMPORTER_ID = new mongoose.Types.ObjectId();
+const OTHER_USER_ID = new mongoose.Types.ObjectId();
+
+const trelloExport = () => ({
+  name: 'Roadmap',
+  lists: [{ id: trelloId(CARD_CREATED, 'l1'), name: 'Done', pos: 1 }],
+  cards: [
+    {
+      id: trelloId(CARD_CREATED, 'c1'),
+      idList: trelloId(CARD_CREATED, 'l1'),
+      name: 'Shipped feature',
+      dueComplete: true,
+      dateLastActivity: '2024-03-08T17:30:00Z',
+      pos: 1
+    },
+    { id: 'not-a-trello-id', idList: trelloId(CARD_CREATED, 'l1'), name: 'Odd card', pos: 2 }
+  ],
+  // Trello lists actions newest first
+  actions: [
+    {
+      type: 'commentCard',
+      idMemberCreator: 'other',
+      memberCreator: { fullName: 'Olga Other' },
+      data: { card: { id: trelloId(CARD_CREATED, 'c1') }, text: 'Theirs' },
+      date: '2024-03-03T10:00:00Z'
+    },
+    {
+      type: 'commentCard',
+      idMemberCreator: 'importer',
+      memberCreator: { fullName: 'Ida Importer' },
+      data: { card: { id: trelloId(CARD_CREATED, 'c1') }, text: 'Mine' },
+      date: '2024-03-02T10:00:00Z'
+    }
+  ]
+});
+
+/**
+ * Replace the database writes of an import with in-memory fakes
+ * @returns {Object} - { cards } collecting the inserted card documents
+ */
+const stubPersistence = () => {
+  const inserted = { cards: [] };
+
+  User.find = () => ({ select: async () => [] });
+  Board.prototype.save = async function() { return this; };
+  Board.prototype.populate = async function() { return this; };
+  List.insertMany = async (docs) => docs.map(doc => new List(doc));
+  Card.insertMany = async (docs) => {
+    inserted.cards.push(...docs);
+    return docs;
+  };
+  Activity.record = async () => null;
+
+  return inserted;
+};
+
+const runImport = async (body) => {
+  const req = {
+    body: { memberEmails: {}, includeArchived: false, ...body },
+    user: { _id: IMPORTER_ID, name: 'Ida Importer', twoFactorEnabled: true }
+  };
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+
+  await importTrelloBoard(req, res);
+  return res;
+};
+
+/**
+ * Test mapping and importing Trello board exports
+ */
+const testTrelloImport = async () => {
+  console.log('🧪 Testing KanbanFlow Trello Import\n');
+
+  const inserted = stubPersistence();
+
+  const tests = [
+    ['Imported cards are stored with creation and update times', async () => {
+      inserted.cards.length = 0;
+      const res = await runImport({ board: trelloExport() });
+
+      assert.strictEqual(res.statusCode, 201);
+      assert.strictEqual(inserted.cards.length, 2);
+      inserted.cards.forEach(card => {
+        assert.ok(card.createdAt instanceof Date, `"${card.title}" has createdAt`);
+        assert.ok(card.updatedAt instanceof Date, `"${card.title}" has updatedAt`);
+      });
+    }],
+
+    ['Creation time comes from the Trello card ID, last update from its last activity', async () => {
+      inserted.cards.length = 0;
+      await runImport({ board: trelloExport() });
+
+      const card = inserted.cards.find(doc => doc.title === 'Shipped feature');
+      assert.strictEqual(card.createdAt.toISOString(), CARD_CREATED.toISOString());
+      assert.strictEqual(card.updatedAt.toISOString(), '2024-03-08T17:30:00.000Z');
+      assert.strictEqual(card.lastActivityAt.toISOString(), '2024-03-08T17:30:00.000Z');
+    }],
+
+    ['Completed cards get a lead time from creation to completion', async () => {
+      inserted.cards.length = 0;
+      await runImport({ board: trelloExport() });
+
+      const card = inserted.cards.find(doc => doc.title === 'Shipped feature');
+      assert.strictEqual(card.completed, true);
+      assert.ok(card.completedAt > card.createdAt);
+    }],
+
+    ['Cards with an unusual ID are created now', async () => {
+      inserted.cards.length = 0;
+      const before = Date.now();
+      await runImport({ board: trelloExport() });
+
+      const card = inserted.cards.find(doc => doc.title === 'Odd card');
+      assert.ok(card.createdAt.getTime() >= before);
+      assert.strictEqual(card.updatedAt.getTime(), card.createdAt.getTime());
+    }],
+
+    ['Only the importer\'s own comments are posted under their account', () => {
+      const board = new Board({ name: 'Roadmap', ownerId: IMPORTER_ID, members: [IMPORTER_ID] });
+      const { cards } = mapTrelloBoard(trelloExport(), {
+        board,
+        importerId: IMPORTER_ID,
+        usersByTrelloId: new Map([['importer', IMPORTER_ID], ['other', OTHER_USER_ID]])
+      });
+
+      const comments = cards[0].data.comments;
+      assert.deepStrictEqual(comments.map(comment => comment.text), ['Mine', 'Olga Other (Trello): Theirs']);
+      assert.ok(comments.every(comment => comment.userId.equals(IMPORTER_ID)));
+    }]
+  ];
+
+  let failed = 0;
+
+  for (const [index, [name, run]] of tests.entries()) {
+    try {
+      await run();
+      console.log(`✅ ${index + 1}. ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${index + 1}. ${name}`);
+      console.error('   ', error.message);
+    }
+  }
+
+  console.log();
+  if (failed > 0) {
+    console.error(`❌ ${failed} of ${tests.length} Trello import tests failed`);
+    process.exitCode = 1;
+  } else {
+    console.log(`🎉 All ${tests.length} Trello import tests passed!`);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  testTrelloImport().catch(error => {
+    console.error('❌ Test setup failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = testTrelloImport;
\ No newline at end of file
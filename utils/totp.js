@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {String} input - Base32 string (case-insensitive, padding and spaces ignored)
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} - Base32 encoded secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Get the TOTP time step for a timestamp
+ * @param {Number} time - Timestamp in milliseconds
+ * @returns {Number} - Time step counter
+ */
+const getTimeStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / PERIOD);
+};
+
+/**
+ * Generate the HOTP code for a counter (RFC 4226)
+ * @param {String} secret - Base32 encoded secret
+ * @param {Number} counter - Counter / time step
+ * @returns {String} - Zero-padded numeric code
+ */
+const generateCode = (secret, counter = getTimeStep()) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Verify a TOTP code, allowing for small clock drift
+ * @param {String} secret - Base32 encoded secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} options - { window, time }
+ * @returns {Number|null} - Matching time step, or null if the code is invalid
+ */
+const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  if (!secret || typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time);
+
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = generateCode(secret, currentStep + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return currentStep + drift;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {String} - otpauth URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+/**
+ * Generate one-time recovery codes
+ * @param {Number} count - Number of codes
+ * @returns {String[]} - Codes formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+/**
+ * Hash a recovery code for storage
+ * @param {String} code - Recovery code
+ * @returns {String} - SHA-256 hash
+ */
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
\ No newline at end of file
@@ -0,0 +1,247 @@
+// Trello label colors (and their _light/_dark variants) mapped to hex colors
+const TRELLO_COLORS = {
+  green: '#61bd4f',
+  yellow: '#f2d600',
+  orange: '#ff9f1a',
+  red: '#eb5a46',
+  purple: '#c377e0',
+  blue: '#0079bf',
+  sky: '#00c2e0',
+  lime: '#51e898',
+  pink: '#ff78cb',
+  black: '#344563'
+};
+const NO_COLOR = '#b3bac5';
+
+// Trello exports only contain the most recent actions, so old comments can be missing
+const TRELLO_ACTIONS_LIMIT = 1000;
+
+const HEX_COLOR = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
+
+const byPosition = (a, b) => (Number(a.pos) || 0) - (Number(b.pos) || 0);
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// Trello IDs are MongoDB-style object IDs: the first 8 hex digits are the creation time in seconds
+const trelloIdDate = (id) => (/^[a-f0-9]{24}$/i.test(id || '') ? new Date(parseInt(id.slice(0, 8), 16) * 1000) : null);
+
+/**
+ * Trim text to a length limit, noting truncations in the report
+ * @param {String} text - Text from Trello
+ * @param {Number} max - Maximum length
+ * @param {Function} onTruncate - Called when the text was cut
+ * @returns {String} - Text that fits
+ */
+const fit = (text, max, onTruncate) => {
+  const value = (text || '').trim();
+  if (value.length <= max) return value;
+
+  onTruncate();
+  return value.slice(0, max);
+};
+
+/**
+ * Map a Trello label color name to a hex color
+ * @param {String|null} color - Trello color, e.g. "green" or "green_dark"
+ * @returns {String} - Hex color
+ */
+const trelloColor = (color) => TRELLO_COLORS[(color || '').split('_')[0]] || NO_COLOR;
+
+/**
+ * Pick the email to match a Trello member with: one given in the request (by member ID or
+ * username) wins over one in the export, which Trello only includes for some workspaces
+ * @param {Object} member - Trello member
+ * @param {Object} memberEmails - Emails keyed by Trello member ID or username
+ * @returns {String|null} - Lower-cased email
+ */
+const memberEmail = (member, memberEmails = {}) => {
+  const email = memberEmails[member.id] || memberEmails[member.username] || member.email;
+  return email ? email.trim().toLowerCase() : null;
+};
+
+/**
+ * Map a Trello board export onto KanbanFlow lists and cards. Works on plain data only;
+ * the caller creates the documents.
+ * @param {Object} trello - Trello board export
+ * @param {Object} options - { board: new Board document, importerId, usersByTrelloId (Map of
+ *                           Trello member ID to user ID), includeArchived }
+ * @returns {Object} - { lists, cards, report } where each card carries its list's index
+ */
+const mapTrelloBoard = (trello, { board, importerId, usersByTrelloId, includeArchived = false }) => {
+  const report = {
+    lists: { imported: 0, skipped: [] },
+    cards: { imported: 0, skipped: [] },
+    labels: { imported: 0 },
+    checklistItems: { imported: 0 },
+    comments: { imported: 0, attributedToImporter: 0 },
+    unmapped: {},
+    warnings: []
+  };
+  const warn = (message) => report.warnings.push(message);
+  const unmapped = (kind, count = 1) => {
+    report.unmapped[kind] = (report.unmapped[kind] || 0) + count;
+  };
+
+  // Labels go into the board's catalog; unnamed Trello labels are named after their color
+  const labelIds = new Map();
+  (trello.labels || []).forEach(label => {
+    const name = fit(label.name, 50, () => warn(`Label "${label.name}" was shortened to 50 characters`))
+      || (label.color ? label.color.charAt(0).toUpperCase() + label.color.slice(1).replace(/_/g, ' ') : 'No color');
+
+    labelIds.set(label.id, board.findOrAddLabel({ name, color: trelloColor(label.color) }));
+  });
+  report.labels.imported = board.labels.length;
+
+  // Lists
+  const lists = [];
+  const listIndexes = new Map();
+  (trello.lists || []).slice().sort(byPosition).forEach(list => {
+    if (list.closed && !includeArchived) {
+      report.lists.skipped.push({ id: list.id, name: list.name, reason: 'archived' });
+      return;
+    }
+
+    listIndexes.set(list.id, lists.length);
+    lists.push({
+      name: fit(list.name, 100, () => warn(`List "${list.name}" was shortened to 100 characters`)) || 'Untitled list',
+      boardId: board._id,
+      position: lists.length,
+      archived: Boolean(list.closed)
+    });
+  });
+  report.lists.imported = lists.length;
+
+  // Checklists, flattened into one checklist per card
+  const checklistsByCard = new Map();
+  (trello.checklists || []).slice().sort(byPosition).forEach(checklist => {
+    if (!checklistsByCard.has(checklist.idCard)) checklistsByCard.set(checklist.idCard, []);
+    checklistsByCard.get(checklist.idCard).push(checklist);
+  });
+
+  // Comments live in the board's actions
+  const actions = trello.actions || [];
+  if (actions.length >= TRELLO_ACTIONS_LIMIT) {
+    warn(`The export contains ${actions.length} actions; Trello only exports the most recent ones, so older comments may be missing`);
+  }
+
+  const commentsByCard = new Map();
+  actions
+    .filter(action => action.type === 'commentCard' && action.data && action.data.card && action.data.text)
+    .forEach(action => {
+      if (!commentsByCard.has(action.data.card.id)) commentsByCard.set(action.data.card.id, []);
+      commentsByCard.get(action.data.card.id).push(action);
+    });
+
+  // Cards
+  const cards = [];
+  const nextPosition = new Map();
+  (trello.cards || []).slice().sort(byPosition).forEach(card => {
+    const listIndex = listIndexes.get(card.idList);
+
+    if (listIndex === undefined) {
+      report.cards.skipped.push({ id: card.id, name: card.name, reason: 'its list was not imported' });
+      return;
+    }
+
+    if (card.closed && !includeArchived) {
+      report.cards.skipped.push({ id: card.id, name: card.name, reason: 'archived' });
+      return;
+    }
+
+    const position = nextPosition.get(listIndex) || 0;
+    nextPosition.set(listIndex, position + 1);
+
+    const assignedTo = [];
+    (card.idMembers || []).forEach(memberId => {
+      if (usersByTrelloId.has(memberId)) {
+        assignedTo.push(usersByTrelloId.get(memberId));
+      } else {
+        unmapped('assignments');
+      }
+    });
+
+    const cardChecklists = checklistsByCard.get(card.id) || [];
+    const checklist = cardChecklists.flatMap(list => (list.checkItems || []).slice().sort(byPosition).map(item => {
+      // With several checklists, items keep the name of the one they came from
+      const text = cardChecklists.length > 1 ? `${list.name}: ${item.name}` : item.name;
+      return {
+        text: fit(text, 200, () => warn(`A checklist item on "${card.name}" was shortened to 200 characters`)),
+        completed: item.state === 'complete'
+      };
+    })).filter(item => item.text).map((item, index) => ({ ...item, position: index }));
+    report.checklistItems.imported += checklist.length;
+
+    // Trello lists newest comments first. Only the importer's own comments are posted
+    // under their account; nobody else is made the author of text they never wrote here.
+    const comments = (commentsByCard.get(card.id) || []).slice().reverse().map(action => {
+      const userId = usersByTrelloId.get(action.idMemberCreator);
+      const ownComment = Boolean(userId) && userId.toString() === importerId.toString();
+      const author = action.memberCreator ? action.memberCreator.fullName || action.memberCreator.username : 'Unknown';
+      const text = ownComment ? action.data.text : `${author} (Trello): ${action.data.text}`;
+
+      if (!ownComment) report.comments.attributedToImporter++;
+
+      return {
+        userId: importerId,
+        text: fit(text, 1000, () => warn(`A comment on "${card.name}" was shortened to 1000 characters`)),
+        createdAt: toDate(action.date) || new Date()
+      };
+    });
+    report.comments.imported += comments.length;
+
+    if (card.attachments && card.attachments.length > 0) unmapped('attachments', card.attachments.length);
+    if (card.customFieldItems && card.customFieldItems.length > 0) unmapped('customFieldValues', card.customFieldItems.length);
+
+    // Timestamps are set here because the cards are inserted without Mongoose's defaults
+    const createdAt = trelloIdDate(card.id) || new Date();
+    const lastActivityAt = toDate(card.dateLastActivity) || createdAt;
+
+    cards.push({
+      trelloId: card.id,
+      listIndex,
+      data: {
+        title: fit(card.name, 200, () => warn(`Card "${card.name.slice(0, 50)}..." was shortened to 200 characters`)) || 'Untitled card',
+        description: fit(card.desc, 2000, () => warn(`The description of "${card.name}" was shortened to 2000 characters`)),
+        boardId: board._id,
+        position,
+        createdBy: importerId,
+        assignedTo: [...new Set(assignedTo.map(String))],
+        labels: [...new Set((card.idLabels || []).filter(id => labelIds.has(id)).map(id => labelIds.get(id)))],
+        checklist,
+        comments,
+        dueDate: toDate(card.due),
+        startDate: toDate(card.start),
+        completed: Boolean(card.dueComplete),
+        completedAt: card.dueComplete ? toDate(card.dateLastActivity) : null,
+        archived: Boolean(card.closed),
+        lastActivityAt,
+        createdAt,
+        updatedAt: lastActivityAt
+      }
+    });
+  });
+
+  if (trello.customFields && trello.customFields.length > 0) unmapped('customFields', trello.customFields.length);
+
+  return { lists, cards, report };
+};
+
+/**
+ * Background color of a Trello board, if it is a plain color
+ * @param {Object} trello - Trello board export
+ * @returns {String|null} - Hex color
+ */
+const trelloBackground = (trello) => {
+  const prefs = trello.prefs || {};
+  const color = prefs.backgroundColor || prefs.backgroundTopColor;
+  return color && HEX_COLOR.test(color) ? color : null;
+};
+
+module.exports = {
+  mapTrelloBoard,
+  memberEmail,
+  trelloBackground
+};
\ No newline at end of file
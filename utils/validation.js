@@ -1,4 +1,11 @@
 const joi = require('joi');
+const { SCOPES: TOKEN_SCOPES } = require('../models/PersonalAccessToken');
+const {
+  MEMBER_ROLES: BOARD_MEMBER_ROLES,
+  VISIBILITY_LEVELS: BOARD_VISIBILITY_LEVELS,
+  CUSTOM_FIELD_TYPES
+} = require('../models/Board');
+const { MEMBER_ROLES: WORKSPACE_MEMBER_ROLES } = require('../models/Workspace');
 
 // Validation middleware factory
 const validate = (schema) => {
@@ -38,6 +45,9 @@ const authValidationSchemas = {
     confirmPassword: joi.string().valid(joi.ref('password')).required().messages({
       'any.only': 'Passwords do not match',
       'any.required': 'Please confirm your password'
+    }),
+    inviteToken: joi.string().messages({
+      'string.base': 'Invite token must be a string'
     })
   }),
 
@@ -51,6 +61,21 @@ const authValidationSchemas = {
     })
   }),
 
+  oidcCallback: joi.object({
+    code: joi.string().required().messages({
+      'any.required': 'Authorization code is required'
+    }),
+    state: joi.string().required().messages({
+      'any.required': 'State is required'
+    })
+  }),
+
+  refresh: joi.object({
+    refreshToken: joi.string().required().messages({
+      'any.required': 'Refresh token is required'
+    })
+  }),
+
   updateProfile: joi.object({
     name: joi.string().trim().min(2).max(50).messages({
       'string.min': 'Name must be at least 2 characters long',
@@ -83,28 +108,108 @@ const authValidationSchemas = {
   }),
 
   resetPassword: joi.object({
-    password: joi.string().min(6).required().messages({
+    password: joi.string().min(6).pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/).required().messages({
       'string.min': 'Password must be at least 6 characters long',
+      'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, and one number',
       'any.required': 'Password is required'
     }),
     token: joi.string().required().messages({
       'any.required': 'Reset token is required'
     })
+  }),
+
+  twoFactorCode: joi.object({
+    code: joi.string().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'Authentication code must be 6 digits',
+      'any.required': 'Authentication code is required'
+    })
+  }),
+
+  twoFactorVerify: joi.object({
+    challengeToken: joi.string().required().messages({
+      'any.required': 'Challenge token is required'
+    }),
+    code: joi.string().pattern(/^\d{6}$/).messages({
+      'string.pattern.base': 'Authentication code must be 6 digits'
+    }),
+    recoveryCode: joi.string().trim().max(20)
+  }).xor('code', 'recoveryCode').messages({
+    'object.missing': 'An authentication code or recovery code is required',
+    'object.xor': 'Provide either an authentication code or a recovery code, not both'
+  }),
+
+  createToken: joi.object({
+    name: joi.string().trim().min(1).max(100).required().messages({
+      'string.max': 'Token name cannot exceed 100 characters',
+      'any.required': 'Token name is required'
+    }),
+    scopes: joi.array().items(joi.string().valid(...TOKEN_SCOPES)).min(1).required().messages({
+      'any.only': `Scopes must be any of: ${TOKEN_SCOPES.join(', ')}`,
+      'array.min': 'At least one scope is required',
+      'any.required': 'Scopes are required'
+    }),
+    expiresInDays: joi.number().integer().min(1).max(365).messages({
+      'number.min': 'Token must be valid for at least 1 day',
+      'number.max': 'Token cannot be valid for more than 365 days'
+    })
+  }),
+
+  twoFactorDisable: joi.object({
+    password: joi.string().required().messages({
+      'any.required': 'Password is required'
+    }),
+    code: joi.string().pattern(/^\d{6}$/).messages({
+      'string.pattern.base': 'Authentication code must be 6 digits'
+    }),
+    recoveryCode: joi.string().trim().max(20)
+  }).xor('code', 'recoveryCode').messages({
+    'object.missing': 'An authentication code or recovery code is required',
+    'object.xor': 'Provide either an authentication code or a recovery code, not both'
+  }),
+
+  deleteAccount: joi.object({
+    password: joi.string().required().messages({
+      'any.required': 'Password is required'
+    }),
+    code: joi.string().pattern(/^\d{6}$/).messages({
+      'string.pattern.base': 'Authentication code must be 6 digits'
+    }),
+    recoveryCode: joi.string().trim().max(20),
+    ownedBoards: joi.string().valid('transfer', 'delete').messages({
+      'any.only': 'ownedBoards must be either transfer or delete'
+    })
+  }).oxor('code', 'recoveryCode').messages({
+    'object.oxor': 'Provide either an authentication code or a recovery code, not both'
   })
 };
 
 // Board validation schemas
 const boardValidationSchemas = {
   create: joi.object({
-    name: joi.string().trim().min(1).max(100).required().messages({
+    // Boards created from a template default to the template's name
+    name: joi.string().trim().min(1).max(100).when('templateId', {
+      is: joi.exist(),
+      otherwise: joi.required()
+    }).messages({
       'string.min': 'Board name must be at least 1 character long',
       'string.max': 'Board name cannot exceed 100 characters',
       'any.required': 'Board name is required'
     }),
+    templateId: joi.string().hex().length(24).messages({
+      'string.hex': 'Template ID must be a valid ID',
+      'string.length': 'Template ID must be a valid ID'
+    }),
     description: joi.string().trim().max(500).allow('').messages({
       'string.max': 'Board description cannot exceed 500 characters'
     }),
     isPublic: joi.boolean(),
+    visibility: joi.string().valid(...BOARD_VISIBILITY_LEVELS).messages({
+      'any.only': `Visibility must be one of: ${BOARD_VISIBILITY_LEVELS.join(', ')}`
+    }),
+    workspaceId: joi.string().hex().length(24).allow(null).messages({
+      'string.hex': 'Workspace ID must be a valid ID',
+      'string.length': 'Workspace ID must be a valid ID'
+    }),
     backgroundColor: joi.string().pattern(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).messages({
       'string.pattern.base': 'Background color must be a valid hex color'
     }),
@@ -122,13 +227,19 @@ const boardValidationSchemas = {
       'string.max': 'Board description cannot exceed 500 characters'
     }),
     isPublic: joi.boolean(),
+    visibility: joi.string().valid(...BOARD_VISIBILITY_LEVELS).messages({
+      'any.only': `Visibility must be one of: ${BOARD_VISIBILITY_LEVELS.join(', ')}`
+    }),
+    workspaceId: joi.string().hex().length(24).allow(null).messages({
+      'string.hex': 'Workspace ID must be a valid ID',
+      'string.length': 'Workspace ID must be a valid ID'
+    }),
     backgroundColor: joi.string().pattern(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).messages({
       'string.pattern.base': 'Background color must be a valid hex color'
     }),
     backgroundImage: joi.string().uri().allow('').messages({
       'string.uri': 'Background image must be a valid URL'
     }),
-    starred: joi.boolean(),
     settings: joi.object({
       allowComments: joi.boolean(),
       allowVoting: joi.boolean(),
@@ -136,10 +247,315 @@ const boardValidationSchemas = {
     })
   }),
   
+  transferOwnership: joi.object({
+    userId: joi.string().hex().length(24).required().messages({
+      'string.hex': 'User ID must be a valid ID',
+      'string.length': 'User ID must be a valid ID',
+      'any.required': 'User ID is required'
+    })
+  }),
+
+  copy: joi.object({
+    name: joi.string().trim().min(1).max(100).messages({
+      'string.min': 'Board name must be at least 1 character long',
+      'string.max': 'Board name cannot exceed 100 characters'
+    }),
+    workspaceId: joi.string().hex().length(24).allow(null).messages({
+      'string.hex': 'Workspace ID must be a valid ID',
+      'string.length': 'Workspace ID must be a valid ID'
+    }),
+    includeCards: joi.boolean(),
+    keep: joi.object({
+      checklists: joi.boolean(),
+      labels: joi.boolean(),
+      attachments: joi.boolean(),
+      assignees: joi.boolean(),
+      dueDates: joi.boolean(),
+      members: joi.boolean()
+    })
+  }),
+
+  createLabel: joi.object({
+    name: joi.string().trim().min(1).max(50).required().messages({
+      'string.min': 'Label name cannot be empty',
+      'string.max': 'Label name cannot exceed 50 characters',
+      'any.required': 'Label name is required'
+    }),
+    color: joi.string().pattern(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).required().messages({
+      'string.pattern.base': 'Label color must be a valid hex color',
+      'any.required': 'Label color is required'
+    })
+  }),
+
+  updateLabel: joi.object({
+    name: joi.string().trim().min(1).max(50).messages({
+      'string.min': 'Label name cannot be empty',
+      'string.max': 'Label name cannot exceed 50 characters'
+    }),
+    color: joi.string().pattern(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).messages({
+      'string.pattern.base': 'Label color must be a valid hex color'
+    })
+  }).or('name', 'color').messages({
+    'object.missing': 'Provide a new name and/or color'
+  }),
+
+  createCustomField: joi.object({
+    name: joi.string().trim().min(1).max(50).required().messages({
+      'string.min': 'Custom field name cannot be empty',
+      'string.max': 'Custom field name cannot exceed 50 characters',
+      'any.required': 'Custom field name is required'
+    }),
+    type: joi.string().valid(...CUSTOM_FIELD_TYPES).required().messages({
+      'any.only': `Custom field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`,
+      'any.required': 'Custom field type is required'
+    }),
+    options: joi.when('type', {
+      is: 'dropdown',
+      then: joi.array().items(joi.object({
+        name: joi.string().trim().min(1).max(50).required(),
+        color: joi.string().pattern(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).allow(null)
+      })).min(1).max(50).required(),
+      otherwise: joi.forbidden()
+    }).messages({
+      'array.min': 'Dropdown fields need at least one option',
+      'array.max': 'Dropdown fields cannot have more than 50 options',
+      'any.required': 'Dropdown fields need at least one option',
+      'any.unknown': 'Only dropdown fields have options'
+    })
+  }),
+
+  updateCustomField: joi.object({
+    name: joi.string().trim().min(1).max(50).messages({
+      'string.min': 'Custom field name cannot be empty',
+      'string.max': 'Custom field name cannot exceed 50 characters'
+    }),
+    // The full option list; options keep their _id, new ones have none
+    options: joi.array().items(joi.object({
+      _id: joi.string().hex().length(24),
+      name: joi.string().trim().min(1).max(50).required(),
+      color: joi.string().pattern(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).allow(null)
+    })).min(1).max(50).messages({
+      'array.min': 'Dropdown fields need at least one option',
+      'array.max': 'Dropdown fields cannot have more than 50 options'
+    }),
+    type: joi.forbidden().messages({
+      'any.unknown': 'The type of a custom field cannot be changed'
+    })
+  }).or('name', 'options').messages({
+    'object.missing': 'Provide a new name and/or options'
+  }),
+
+  // Only the parts of a Trello export the importer reads are checked
+  importTrello: joi.object({
+    board: joi.object({
+      name: joi.string().allow(''),
+      desc: joi.string().allow(''),
+      labels: joi.array().items(joi.object({
+        id: joi.string().required(),
+        name: joi.string().allow('')
+      }).unknown(true)),
+      lists: joi.array().items(joi.object({
+        id: joi.string().required(),
+        name: joi.string().allow('')
+      }).unknown(true)).required(),
+      cards: joi.array().items(joi.object({
+        id: joi.string().required(),
+        idList: joi.string().required(),
+        name: joi.string().allow(''),
+        desc: joi.string().allow('')
+      }).unknown(true)).required(),
+      checklists: joi.array().items(joi.object({
+        idCard: joi.string().required(),
+        name: joi.string().allow(''),
+        checkItems: joi.array().items(joi.object({
+          name: joi.string().allow('')
+        }).unknown(true))
+      }).unknown(true)),
+      members: joi.array().items(joi.object({
+        id: joi.string().required()
+      }).unknown(true)),
+      actions: joi.array().items(joi.object().unknown(true))
+    }).unknown(true).required().messages({
+      'object.base': 'The Trello export must be a JSON object',
+      'any.required': 'The Trello board export is required'
+    }),
+    name: joi.string().trim().min(1).max(100).messages({
+      'string.min': 'Board name must be at least 1 character long',
+      'string.max': 'Board name cannot exceed 100 characters'
+    }),
+    workspaceId: joi.string().hex().length(24).allow(null).messages({
+      'string.hex': 'Workspace ID must be a valid ID',
+      'string.length': 'Workspace ID must be a valid ID'
+    }),
+    // Trello exports rarely include emails, so they can be given per member ID or username
+    memberEmails: joi.object().pattern(joi.string(), joi.string().email()).messages({
+      'string.email': 'Member emails must be valid email addresses'
+    }),
+    includeArchived: joi.boolean()
+  }),
+
+  archive: joi.object({
+    archived: joi.boolean().required().messages({
+      'any.required': 'Archived status is required'
+    })
+  }),
+
+  updatePreferences: joi.object({
+    starred: joi.boolean(),
+    pinned: joi.boolean()
+  }).or('starred', 'pinned').messages({
+    'object.missing': 'Provide starred and/or pinned'
+  }),
+
+  reorder: joi.object({
+    boardIds: joi.array().items(
+      joi.string().hex().length(24).messages({
+        'string.hex': 'Board IDs must be valid IDs',
+        'string.length': 'Board IDs must be valid IDs'
+      })
+    ).max(500).unique().required().messages({
+      'array.max': 'Cannot order more than 500 boards',
+      'array.unique': 'Board IDs must not repeat',
+      'any.required': 'Board IDs are required'
+    })
+  }),
+
+  addMember: joi.object({
+    email: joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    }),
+    role: joi.string().valid(...BOARD_MEMBER_ROLES).messages({
+      'any.only': `Role must be one of: ${BOARD_MEMBER_ROLES.join(', ')}`
+    })
+  }),
+
+  createInvitation: joi.object({
+    email: joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    }),
+    role: joi.string().valid(...BOARD_MEMBER_ROLES).messages({
+      'any.only': `Role must be one of: ${BOARD_MEMBER_ROLES.join(', ')}`
+    }),
+    expiresInDays: joi.number().integer().min(1).max(30).messages({
+      'number.min': 'Invitations must be valid for at least 1 day',
+      'number.max': 'Invitations cannot be valid for more than 30 days'
+    })
+  }),
+
+  createInviteLink: joi.object({
+    role: joi.string().valid(...BOARD_MEMBER_ROLES).messages({
+      'any.only': `Role must be one of: ${BOARD_MEMBER_ROLES.join(', ')}`
+    }),
+    maxUses: joi.number().integer().min(1).max(1000).allow(null).messages({
+      'number.min': 'Usage limit must be at least 1',
+      'number.max': 'Usage limit cannot exceed 1000'
+    }),
+    expiresInDays: joi.number().integer().min(1).max(30).messages({
+      'number.min': 'Invite links must be valid for at least 1 day',
+      'number.max': 'Invite links cannot be valid for more than 30 days'
+    })
+  }),
+
+  updateMemberRole: joi.object({
+    role: joi.string().valid(...BOARD_MEMBER_ROLES).required().messages({
+      'any.only': `Role must be one of: ${BOARD_MEMBER_ROLES.join(', ')}`,
+      'any.required': 'Role is required'
+    })
+  })
+};
+
+// Admin validation schemas
+const adminValidationSchemas = {
+  updateStatus: joi.object({
+    isActive: joi.boolean().required().messages({
+      'any.required': 'isActive is required'
+    }),
+    reason: joi.string().trim().max(500).allow('').messages({
+      'string.max': 'Reason cannot exceed 500 characters'
+    })
+  }),
+  
+  updateRole: joi.object({
+    role: joi.string().valid('user', 'admin').required().messages({
+      'any.only': 'Role must be either user or admin',
+      'any.required': 'Role is required'
+    })
+  }),
+
+  transferBoardOwnership: joi.object({
+    userId: joi.string().hex().length(24).required().messages({
+      'string.hex': 'User ID must be a valid ID',
+      'string.length': 'User ID must be a valid ID',
+      'any.required': 'User ID is required'
+    }),
+    reason: joi.string().trim().max(500).allow('').messages({
+      'string.max': 'Reason cannot exceed 500 characters'
+    })
+  })
+};
+
+// Workspace validation schemas
+const workspaceValidationSchemas = {
+  create: joi.object({
+    name: joi.string().trim().min(1).max(100).required().messages({
+      'string.min': 'Workspace name must be at least 1 character long',
+      'string.max': 'Workspace name cannot exceed 100 characters',
+      'any.required': 'Workspace name is required'
+    }),
+    description: joi.string().trim().max(500).allow('').messages({
+      'string.max': 'Workspace description cannot exceed 500 characters'
+    })
+  }),
+  
+  update: joi.object({
+    name: joi.string().trim().min(1).max(100).messages({
+      'string.min': 'Workspace name must be at least 1 character long',
+      'string.max': 'Workspace name cannot exceed 100 characters'
+    }),
+    description: joi.string().trim().max(500).allow('').messages({
+      'string.max': 'Workspace description cannot exceed 500 characters'
+    })
+  }),
+  
   addMember: joi.object({
     email: joi.string().email().required().messages({
       'string.email': 'Please provide a valid email address',
       'any.required': 'Email is required'
+    }),
+    role: joi.string().valid(...WORKSPACE_MEMBER_ROLES).messages({
+      'any.only': `Role must be one of: ${WORKSPACE_MEMBER_ROLES.join(', ')}`
+    })
+  }),
+  
+  updateMemberRole: joi.object({
+    role: joi.string().valid(...WORKSPACE_MEMBER_ROLES).required().messages({
+      'any.only': `Role must be one of: ${WORKSPACE_MEMBER_ROLES.join(', ')}`,
+      'any.required': 'Role is required'
+    })
+  })
+};
+
+// Board template validation schemas
+const templateValidationSchemas = {
+  create: joi.object({
+    boardId: joi.string().hex().length(24).required().messages({
+      'string.hex': 'Board ID must be a valid ID',
+      'string.length': 'Board ID must be a valid ID',
+      'any.required': 'Board ID is required'
+    }),
+    name: joi.string().trim().min(1).max(100).messages({
+      'string.min': 'Template name must be at least 1 character long',
+      'string.max': 'Template name cannot exceed 100 characters'
+    }),
+    description: joi.string().trim().max(500).allow('').messages({
+      'string.max': 'Template description cannot exceed 500 characters'
+    }),
+    includeCards: joi.boolean(),
+    workspaceId: joi.string().hex().length(24).allow(null).messages({
+      'string.hex': 'Workspace ID must be a valid ID',
+      'string.length': 'Workspace ID must be a valid ID'
     })
   })
 };
@@ -180,6 +596,23 @@ const listValidationSchemas = {
       'number.min': 'Position cannot be negative',
       'any.required': 'Position is required'
     })
+  }),
+  
+  // Multipart fields sent along with the CSV file; mapping values are CSV column headers
+  importCards: joi.object({
+    mapping: joi.object({
+      title: joi.string().trim().min(1).max(100),
+      description: joi.string().trim().min(1).max(100),
+      priority: joi.string().trim().min(1).max(100),
+      dueDate: joi.string().trim().min(1).max(100),
+      labels: joi.string().trim().min(1).max(100),
+      assignees: joi.string().trim().min(1).max(100),
+      estimatedHours: joi.string().trim().min(1).max(100)
+    }).messages({
+      'object.unknown': 'Columns can only be mapped to: title, description, priority, dueDate, labels, assignees, estimatedHours'
+    }),
+    dryRun: joi.boolean(),
+    skipInvalid: joi.boolean()
   })
 };
 
@@ -187,6 +620,7 @@ const listValidationSchemas = {
 const cardValidationSchemas = {
   create: joi.object({
     title: joi.string().trim().min(1).max(200).required().messages({
+      'string.empty': 'Card title is required',
       'string.min': 'Card title must be at least 1 character long',
       'string.max': 'Card title cannot exceed 200 characters',
       'any.required': 'Card title is required'
@@ -207,10 +641,19 @@ const cardValidationSchemas = {
     priority: joi.string().valid('low', 'medium', 'high', 'urgent').messages({
       'any.only': 'Priority must be one of: low, medium, high, urgent'
     }),
-    labels: joi.array().items(joi.object({
-      name: joi.string().trim().max(50).required(),
-      color: joi.string().pattern(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).required()
-    }))
+    labels: joi.array().items(
+      joi.string().hex().length(24).messages({
+        'string.hex': 'Label IDs must be valid IDs',
+        'string.length': 'Label IDs must be valid IDs'
+      })
+    ).unique().messages({
+      'array.unique': 'Label IDs must not repeat'
+    }),
+    estimatedHours: joi.number().min(0).max(1000).allow(null).messages({
+      'number.base': 'Estimated hours must be a number',
+      'number.min': 'Estimated hours cannot be negative',
+      'number.max': 'Estimated hours cannot exceed 1000'
+    })
   }),
   
   update: joi.object({
@@ -227,10 +670,14 @@ const cardValidationSchemas = {
     priority: joi.string().valid('low', 'medium', 'high', 'urgent').messages({
       'any.only': 'Priority must be one of: low, medium, high, urgent'
     }),
-    labels: joi.array().items(joi.object({
-      name: joi.string().trim().max(50).required(),
-      color: joi.string().pattern(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).required()
-    })),
+    labels: joi.array().items(
+      joi.string().hex().length(24).messages({
+        'string.hex': 'Label IDs must be valid IDs',
+        'string.length': 'Label IDs must be valid IDs'
+      })
+    ).unique().messages({
+      'array.unique': 'Label IDs must not repeat'
+    }),
     estimatedHours: joi.number().min(0).max(1000).allow(null).messages({
       'number.min': 'Estimated hours cannot be negative',
       'number.max': 'Estimated hours cannot exceed 1000'
@@ -258,6 +705,14 @@ const cardValidationSchemas = {
       'string.max': 'Comment cannot exceed 1000 characters',
       'any.required': 'Comment text is required'
     })
+  }),
+  
+  // Values are checked against the board's field definitions by the controller
+  setCustomFields: joi.object({
+    values: joi.object().required().messages({
+      'object.base': 'Values must be an object keyed by custom field ID',
+      'any.required': 'Custom field values are required'
+    })
   })
 };
 
@@ -306,6 +761,9 @@ const handleValidationErrors = (req, res, next) => {
 module.exports = {
   authValidationSchemas,
   boardValidationSchemas,
+  workspaceValidationSchemas,
+  templateValidationSchemas,
+  adminValidationSchemas,
   listValidationSchemas,
   cardValidationSchemas,
   validate,